@@ -5,6 +5,7 @@
  */
 
 import apiFetch from '@wordpress/api-fetch';
+import { addQueryArgs } from '@wordpress/url';
 
 const API_BASE = '/affinite-db-manager/v1';
 
@@ -14,10 +15,179 @@ const API_BASE = '/affinite-db-manager/v1';
  * @param {string} tableName Table name.
  * @param {number} limit Maximum rows to return.
  * @param {number} offset Offset for pagination.
+ * @param {Object} params Additional query parameters.
+ * @param {string} params.orderby Column to sort by.
+ * @param {string} params.order Sort direction, asc or desc.
+ * @param {Array} params.filters Filters with column, operator and value.
+ * @param {string} params.match How filters are combined, and or or.
+ * @param {string} params.search Term matched against all text columns.
+ * @param {string} params.cursor Primary key value to seek from instead of using the offset.
+ * @param {string} params.direction Seek direction from the cursor, next or prev.
  * @returns {Promise<Object>} Data preview with columns, rows, and total.
  */
-export const getData = async (tableName, limit = 100, offset = 0) => {
+export const getData = async (tableName, limit = 100, offset = 0, params = {}) => {
 	return apiFetch({
-		path: `${API_BASE}/tables/${tableName}/data?limit=${limit}&offset=${offset}`,
+		path: addQueryArgs(`${API_BASE}/tables/${tableName}/data`, { limit, offset, ...params }),
+	});
+};
+
+/**
+ * Update a single row identified by its primary key.
+ *
+ * @param {string} tableName Table name.
+ * @param {Object} key Primary key values keyed by column name.
+ * @param {Object} values New values keyed by column name.
+ * @returns {Promise<Object>} Update result with the updated row.
+ */
+export const updateRow = async (tableName, key, values) => {
+	return apiFetch({
+		path: `${API_BASE}/tables/${tableName}/data/row`,
+		method: 'PUT',
+		data: { key, values },
+	});
+};
+
+/**
+ * Insert a row into a table.
+ *
+ * @param {string} tableName Table name.
+ * @param {Object} values Values keyed by column name.
+ * @returns {Promise<Object>} Insert result with the new row.
+ */
+export const insertRow = async (tableName, values) => {
+	return apiFetch({
+		path: `${API_BASE}/tables/${tableName}/data`,
+		method: 'POST',
+		data: { values },
+	});
+};
+
+/**
+ * Delete rows identified by their primary keys.
+ *
+ * @param {string} tableName Table name.
+ * @param {Array<Object>} keys Primary keys, each keyed by column name.
+ * @returns {Promise<Object>} Delete result with the number of deleted rows.
+ */
+export const deleteRows = async (tableName, keys) => {
+	return apiFetch({
+		path: `${API_BASE}/tables/${tableName}/data`,
+		method: 'DELETE',
+		data: { keys },
+	});
+};
+
+/**
+ * Get rows in other tables that reference the given rows.
+ *
+ * @param {string} tableName Table name.
+ * @param {Array<Object>} keys Primary keys, each keyed by column name.
+ * @returns {Promise<Array>} Referencing foreign keys with their ON DELETE rule and row count.
+ */
+export const getDeleteImpact = async (tableName, keys) => {
+	return apiFetch({
+		path: `${API_BASE}/tables/${tableName}/data/impact`,
+		method: 'POST',
+		data: { keys },
+	});
+};
+
+/**
+ * Get the download URL of a binary value of a row.
+ *
+ * The value is streamed as a file, so the URL is opened by the browser
+ * instead of fetched; the REST nonce is passed as a query argument.
+ *
+ * @param {string} tableName Table name.
+ * @param {string} column Column name.
+ * @param {Object} key Primary key values keyed by column name.
+ * @param {boolean} inline Whether an image is displayed instead of downloaded.
+ * @returns {string} Download URL.
+ */
+export const getValueUrl = (tableName, column, key, inline = false) => {
+	const { restUrl, nonce } = window.affiniteDbManager;
+
+	return addQueryArgs(`${restUrl}tables/${tableName}/data/value`, { column, key, inline, _wpnonce: nonce });
+};
+
+/**
+ * Replace a binary value of a row with a file.
+ *
+ * @param {string} tableName Table name.
+ * @param {string} column Column name.
+ * @param {Object} key Primary key values keyed by column name.
+ * @param {File} file File to store.
+ * @returns {Promise<Object>} Upload result with the updated row.
+ */
+export const uploadValue = async (tableName, column, key, file) => {
+	const body = new window.FormData();
+
+	body.append('column', column);
+	Object.entries(key).forEach(([name, value]) => body.append(`key[${name}]`, value));
+	body.append('file', file);
+
+	return apiFetch({
+		path: `${API_BASE}/tables/${tableName}/data/value`,
+		method: 'POST',
+		body,
+	});
+};
+
+/**
+ * Format rows identified by their primary keys for the clipboard.
+ *
+ * @param {string} tableName Table name.
+ * @param {Array<Object>} keys Primary keys, each keyed by column name.
+ * @param {string} format Format: sql, json, tsv or markdown.
+ * @returns {Promise<Object>} Formatted text and the number of rows.
+ */
+export const copyRows = async (tableName, keys, format) => {
+	return apiFetch({
+		path: `${API_BASE}/tables/${tableName}/data/copy`,
+		method: 'POST',
+		data: { keys, format },
+	});
+};
+
+/**
+ * Set columns of all rows matching filters.
+ *
+ * @param {string} tableName Table name.
+ * @param {Object} params Update parameters.
+ * @param {Array} params.filters Filters with column, operator and value.
+ * @param {string} params.match How filters are combined, and or or.
+ * @param {string} params.search Term matched against all text columns.
+ * @param {Object} params.values New values keyed by column name, each with type (value, null or expression) and value.
+ * @param {boolean} params.dry_run Whether to only count the rows and build the statement.
+ * @param {number} params.expected Number of rows the user confirmed (optional).
+ * @returns {Promise<Object>} Number of matching rows, the UPDATE statement and, unless a dry run, the number of updated rows.
+ */
+export const bulkUpdate = async (tableName, params) => {
+	return apiFetch({
+		path: `${API_BASE}/tables/${tableName}/data/bulk-update`,
+		method: 'POST',
+		data: params,
+	});
+};
+
+/**
+ * Find and replace in the next batch of rows of a table.
+ *
+ * @param {string} tableName Table name.
+ * @param {Object} params Replacement parameters.
+ * @param {Array<string>} params.columns Columns to search in.
+ * @param {string} params.search Text or regular expression to find.
+ * @param {string} params.replace Replacement, may reference regex groups like $1.
+ * @param {string} params.mode Either text or regex.
+ * @param {boolean} params.case_sensitive Whether matching is case sensitive.
+ * @param {boolean} params.dry_run Whether to only list the changes.
+ * @param {Object} params.after Primary key of the last row of the previous batch (optional).
+ * @returns {Promise<Object>} Scanned and changed row counts, changes on a dry run and the key to continue after.
+ */
+export const replaceValues = async (tableName, params) => {
+	return apiFetch({
+		path: `${API_BASE}/tables/${tableName}/data/replace`,
+		method: 'POST',
+		data: params,
 	});
 };
@@ -0,0 +1,70 @@
+/**
+ * Export API functions.
+ *
+ * @package Affinite\DBManager
+ */
+
+import apiFetch from '@wordpress/api-fetch';
+import { addQueryArgs } from '@wordpress/url';
+
+/**
+ * Get the download URL of a table export.
+ *
+ * The export is streamed as a file download, so the URL is opened by the
+ * browser instead of fetched; the REST nonce is passed as a query argument.
+ *
+ * @param {string} tableName Table name.
+ * @param {Object} params Export parameters.
+ * @param {string} params.format Export format: csv, json, ndjson or sql.
+ * @param {string} params.delimiter CSV delimiter: comma, semicolon, tab or pipe.
+ * @param {string} params.quote CSV quoting, minimal or all.
+ * @param {boolean} params.bom Whether to start the file with a UTF-8 byte order mark.
+ * @param {boolean} params.structure Whether an SQL dump includes CREATE TABLE.
+ * @param {boolean} params.data Whether an SQL dump includes INSERT statements.
+ * @param {boolean} params.drop Whether an SQL dump includes DROP TABLE IF EXISTS.
+ * @param {string} params.orderby Column to sort by (optional).
+ * @param {string} params.order Sort direction, asc or desc (optional).
+ * @param {Array} params.filters Filters with column, operator and value (optional).
+ * @param {string} params.match How filters are combined, and or or (optional).
+ * @param {string} params.search Term to search for in all text columns (optional).
+ * @returns {string} Export URL.
+ */
+export const getExportUrl = (tableName, params) => {
+	const { restUrl, nonce } = window.affiniteDbManager;
+
+	return addQueryArgs(`${restUrl}tables/${tableName}/export`, { ...params, _wpnonce: nonce });
+};
+
+/**
+ * Get the download URL of an SQL dump of several tables.
+ *
+ * @param {Array<string>} tables Table names.
+ * @param {Object} params Dump parameters with structure, data and drop.
+ * @returns {string} Export URL.
+ */
+export const getTablesExportUrl = (tables, params) => {
+	const { restUrl, nonce } = window.affiniteDbManager;
+
+	return addQueryArgs(`${restUrl}export`, { ...params, tables, _wpnonce: nonce });
+};
+
+/**
+ * Download an export after checking that it can start.
+ *
+ * The export URL is first fetched as a dry run, so errors such as an
+ * expired nonce or an invalid filter reject the promise instead of
+ * replacing the admin page. The file is then downloaded through a link,
+ * which keeps the page even if the download fails.
+ *
+ * @param {string} url Export URL from getExportUrl() or getTablesExportUrl().
+ * @returns {Promise<void>} Resolves once the download has started.
+ */
+export const downloadExport = async (url) => {
+	await apiFetch({ url: addQueryArgs(url, { dry_run: true }) });
+
+	const link = document.createElement('a');
+
+	link.href = url;
+	link.download = '';
+	link.click();
+};
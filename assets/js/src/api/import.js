@@ -0,0 +1,67 @@
+/**
+ * Import API functions.
+ *
+ * @package Affinite\DBManager
+ */
+
+import apiFetch from '@wordpress/api-fetch';
+
+const API_BASE = '/affinite-db-manager/v1';
+
+/**
+ * Maximum number of rows sent in a single import request.
+ */
+export const IMPORT_BATCH_SIZE = 200;
+
+/**
+ * Maximum number of SQL statements sent in a single import request.
+ */
+export const SQL_BATCH_SIZE = 50;
+
+/**
+ * Maximum number of SQL statements the server executes in a single request.
+ *
+ * Batches grow up to this size to keep a transaction in one request.
+ */
+export const SQL_MAX_BATCH_SIZE = 200;
+
+/**
+ * Maximum total length of SQL statements sent in a single import request.
+ *
+ * A longer statement is sent on its own.
+ */
+export const SQL_BATCH_LENGTH = 1024 * 1024;
+
+/**
+ * Import a batch of rows into a table.
+ *
+ * @param {string} tableName Table name.
+ * @param {Array<Object>} rows Rows, each keyed by column name.
+ * @param {string} mode Import mode: insert, upsert or replace.
+ * @returns {Promise<Object>} Numbers of inserted and updated rows and the rejected rows with their index and message.
+ */
+export const importRows = async (tableName, rows, mode) => {
+	return apiFetch({
+		path: `${API_BASE}/tables/${tableName}/import`,
+		method: 'POST',
+		data: { rows, mode },
+	});
+};
+
+/**
+ * Execute a batch of statements from an SQL file.
+ *
+ * @param {Array<string>} statements SQL statements without the trailing delimiter.
+ * @param {Object} options Import options.
+ * @param {boolean} options.stopOnError Whether to stop at the first failed statement.
+ * @param {boolean} options.allowProtected Whether statements may touch locked and core tables.
+ * @param {Object} options.session Session settings returned by the previous batch.
+ * @returns {Promise<Object>} Numbers of executed and failed statements, affected rows per table, errors, warnings and session settings.
+ */
+export const importSql = async (statements, { stopOnError, allowProtected, session }) => {
+	return apiFetch({
+		path: `${API_BASE}/import/sql`,
+		method: 'POST',
+		data: { statements, stop_on_error: stopOnError, allow_protected: allowProtected, session },
+	});
+};
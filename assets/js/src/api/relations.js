@@ -5,6 +5,7 @@
  */
 
 import apiFetch from '@wordpress/api-fetch';
+import { addQueryArgs } from '@wordpress/url';
 
 const API_BASE = '/affinite-db-manager/v1';
 
@@ -18,6 +19,20 @@ export const getRelations = async (tableName) => {
 	return apiFetch({ path: `${API_BASE}/tables/${tableName}/relations` });
 };
 
+/**
+ * Get foreign keys of other tables that reference a table.
+ *
+ * With a row key, each relation also contains the referenced value and the
+ * number of rows pointing at that row.
+ *
+ * @param {string} tableName Table name.
+ * @param {Object} key Primary key values of the row (optional).
+ * @returns {Promise<Array>} List of incoming relations.
+ */
+export const getIncomingRelations = async (tableName, key = null) => {
+	return apiFetch({ path: addQueryArgs(`${API_BASE}/tables/${tableName}/relations/incoming`, key ? { key } : {}) });
+};
+
 /**
  * Add a relation to a table.
  *
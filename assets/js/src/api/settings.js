@@ -81,3 +81,96 @@ export const removeEmail = async (email) => {
 		method: 'DELETE',
 	});
 };
+
+/**
+ * Get the current user's column layout of a table.
+ *
+ * @param {string} tableName Table name.
+ * @returns {Promise<Object>} Layout with order, hidden and pinned column names.
+ */
+export const getLayout = async (tableName) => {
+	return apiFetch({ path: `${API_BASE}/settings/layouts/${tableName}` });
+};
+
+/**
+ * Save the current user's column layout of a table.
+ *
+ * @param {string} tableName Table name.
+ * @param {Object} layout Layout with order, hidden and pinned column names.
+ * @returns {Promise<Object>} Save result with the stored layout.
+ */
+export const saveLayout = async (tableName, layout) => {
+	return apiFetch({
+		path: `${API_BASE}/settings/layouts/${tableName}`,
+		method: 'POST',
+		data: layout,
+	});
+};
+
+/**
+ * Reset the current user's column layout of a table.
+ *
+ * @param {string} tableName Table name.
+ * @returns {Promise<Object>} Reset result.
+ */
+export const resetLayout = async (tableName) => {
+	return apiFetch({
+		path: `${API_BASE}/settings/layouts/${tableName}`,
+		method: 'DELETE',
+	});
+};
+
+/**
+ * Get the saved views of a table visible to the current user.
+ *
+ * @param {string} tableName Table name.
+ * @returns {Promise<Array>} Own and shared views.
+ */
+export const getViews = async (tableName) => {
+	return apiFetch({ path: `${API_BASE}/settings/views/${tableName}` });
+};
+
+/**
+ * Save a new view of a table.
+ *
+ * @param {string} tableName Table name.
+ * @param {Object} view View with name, shared, query and layout.
+ * @returns {Promise<Object>} Save result with the stored view.
+ */
+export const createView = async (tableName, view) => {
+	return apiFetch({
+		path: `${API_BASE}/settings/views/${tableName}`,
+		method: 'POST',
+		data: view,
+	});
+};
+
+/**
+ * Update a saved view owned by the current user.
+ *
+ * @param {string} tableName Table name.
+ * @param {string} id View ID.
+ * @param {Object} view View with name, shared, query and layout.
+ * @returns {Promise<Object>} Save result with the stored view.
+ */
+export const updateView = async (tableName, id, view) => {
+	return apiFetch({
+		path: `${API_BASE}/settings/views/${tableName}/${id}`,
+		method: 'PUT',
+		data: view,
+	});
+};
+
+/**
+ * Delete a saved view owned by the current user.
+ *
+ * @param {string} tableName Table name.
+ * @param {string} id View ID.
+ * @returns {Promise<Object>} Delete result.
+ */
+export const deleteView = async (tableName, id) => {
+	return apiFetch({
+		path: `${API_BASE}/settings/views/${tableName}/${id}`,
+		method: 'DELETE',
+	});
+};
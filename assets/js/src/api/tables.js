@@ -27,6 +27,16 @@ export const getTable = async (name) => {
 	return apiFetch({ path: `${API_BASE}/tables/${name}` });
 };
 
+/**
+ * Get column statistics of a table.
+ *
+ * @param {string} name Table name.
+ * @returns {Promise<Object>} Row count, sample size and per-column statistics.
+ */
+export const getTableStats = async (name) => {
+	return apiFetch({ path: `${API_BASE}/tables/${name}/stats` });
+};
+
 /**
  * Create a new table.
  *
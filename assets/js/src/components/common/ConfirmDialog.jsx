@@ -21,6 +21,7 @@ import Modal from './Modal';
  * @param {boolean} props.isDangerous Whether this is a dangerous action.
  * @param {Function} props.onConfirm Callback when confirmed.
  * @param {Function} props.onCancel Callback when cancelled.
+ * @param {JSX.Element} props.children Additional content shown below the message (optional).
  * @returns {JSX.Element} Confirm dialog component.
  */
 const ConfirmDialog = ({
@@ -32,6 +33,7 @@ const ConfirmDialog = ({
 	isDangerous = false,
 	onConfirm,
 	onCancel,
+	children,
 }) => {
 	const [inputValue, setInputValue] = useState('');
 	const [loading, setLoading] = useState(false);
@@ -80,6 +82,7 @@ const ConfirmDialog = ({
 	return (
 		<Modal title={title} onClose={onCancel} footer={footer}>
 			<p>{message}</p>
+			{children}
 			{requiresInput && (
 				<div className="affinite-db-manager__confirm-input">
 					<label>
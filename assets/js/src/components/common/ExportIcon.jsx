@@ -0,0 +1,42 @@
+/**
+ * Export icon component for Affinite DB Manager.
+ * Material Design file download icon.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { memo } from '@wordpress/element';
+
+/**
+ * Export icon component.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.className Additional CSS classes.
+ * @param {number} props.size Icon size in pixels (default: 20).
+ * @returns {JSX.Element} Export icon component.
+ */
+const ExportIcon = memo(({ className = '', size = 20 }) => {
+	const iconClassName = `affinite-db-manager__icon-svg ${className}`.trim();
+
+	return (
+		<svg
+			className={iconClassName}
+			width={size}
+			height={size}
+			viewBox="0 0 24 24"
+			fill="none"
+			xmlns="http://www.w3.org/2000/svg"
+			aria-hidden="true"
+		>
+			<path
+				d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"
+				fill="currentColor"
+			/>
+		</svg>
+	);
+});
+
+ExportIcon.displayName = 'ExportIcon';
+
+export default ExportIcon;
+
@@ -0,0 +1,169 @@
+/**
+ * Add row modal component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, CheckboxControl } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import Modal from '../common/Modal';
+import ValueInput from './ValueInput';
+import { insertRow } from '../../api/data';
+import { isAutoIncrement, isGeneratedColumn, isDefaultExpression, isBooleanColumn, validateValue } from '../../utils/columnTypes';
+
+/**
+ * Build the initial form state from column definitions.
+ *
+ * Literal defaults are pre-filled, nullable columns without a default start as NULL
+ * and boolean flags without a default start as 0.
+ *
+ * @param {Array} columns List of column definitions.
+ * @returns {Object} Field state keyed by column name.
+ */
+const getInitialFields = (columns) => {
+	return columns.reduce((fields, column) => {
+		const hasLiteralDefault = column.default !== null && !isDefaultExpression(column.default);
+		let value = hasLiteralDefault ? String(column.default) : '';
+
+		if (value === '' && isBooleanColumn(column)) {
+			value = '0';
+		}
+
+		return {
+			...fields,
+			[column.name]: {
+				value,
+				isNull: column.nullable && column.default === null,
+			},
+		};
+	}, {});
+};
+
+/**
+ * Add row modal component.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.tableName Table name.
+ * @param {Array} props.columns List of column definitions.
+ * @param {Function} props.onClose Callback when modal is closed.
+ * @param {Function} props.onSuccess Callback when row is added successfully.
+ * @param {Function} props.showNotification Callback to show notification.
+ * @returns {JSX.Element} Add row modal component.
+ */
+const AddRowModal = ({ tableName, columns, onClose, onSuccess, showNotification }) => {
+	const editableColumns = columns.filter((column) => !isAutoIncrement(column) && !isGeneratedColumn(column));
+	const [fields, setFields] = useState(() => getInitialFields(editableColumns));
+	const [loading, setLoading] = useState(false);
+
+	/**
+	 * Update a field.
+	 *
+	 * @param {string} name Column name.
+	 * @param {Object} changes Field changes.
+	 */
+	const updateField = (name, changes) => {
+		setFields({ ...fields, [name]: { ...fields[name], ...changes } });
+	};
+
+	/**
+	 * Handle form submission.
+	 *
+	 * Values are checked against their column types first, so MySQL does not
+	 * silently truncate them or store zero dates.
+	 */
+	const handleSubmit = async () => {
+		const values = {};
+
+		for (const column of editableColumns) {
+			const field = fields[column.name];
+
+			if (field.isNull) {
+				values[column.name] = null;
+				continue;
+			}
+
+			// Let the database evaluate expression defaults like CURRENT_TIMESTAMP.
+			if (field.value === '' && isDefaultExpression(column.default)) {
+				continue;
+			}
+
+			// A pre-filled default, such as the zero date of wp_posts, is accepted as the table defines it.
+			const isDefault = column.default !== null && field.value === String(column.default);
+			const error = isDefault ? '' : validateValue(field.value, column);
+
+			if (error) {
+				showNotification(
+					sprintf(
+						/* translators: 1: column name, 2: reason the value is invalid */
+						__('Invalid value for %1$s: %2$s.', 'affinite-db-manager'),
+						column.name,
+						error
+					),
+					'error'
+				);
+				return;
+			}
+
+			values[column.name] = field.value;
+		}
+
+		setLoading(true);
+		try {
+			await insertRow(tableName, values);
+			showNotification(__('Row added successfully.', 'affinite-db-manager'), 'success');
+			onSuccess();
+		} catch (error) {
+			showNotification(error.message || __('Failed to add row.', 'affinite-db-manager'), 'error');
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	const footer = (
+		<>
+			<Button variant="secondary" onClick={onClose} disabled={loading}>
+				{__('Cancel', 'affinite-db-manager')}
+			</Button>
+			<Button variant="primary" onClick={handleSubmit} isBusy={loading} disabled={loading}>
+				{__('Add', 'affinite-db-manager')}
+			</Button>
+		</>
+	);
+
+	return (
+		<Modal
+			title={__('Add Row', 'affinite-db-manager')}
+			onClose={onClose}
+			footer={footer}
+			width={700}
+		>
+			{editableColumns.map((column) => {
+				const field = fields[column.name];
+
+				return (
+					<div key={column.name} className="affinite-db-manager__form-group affinite-db-manager__row-field">
+						<ValueInput
+							column={column}
+							label={column.name}
+							help={column.type}
+							value={field.value}
+							placeholder={isDefaultExpression(column.default) ? `${column.default} (${__('default', 'affinite-db-manager')})` : ''}
+							disabled={field.isNull}
+							onChange={(value) => updateField(column.name, { value })}
+						/>
+						{column.nullable && (
+							<CheckboxControl
+								label="NULL"
+								checked={field.isNull}
+								onChange={(isNull) => updateField(column.name, { isNull })}
+							/>
+						)}
+					</div>
+				);
+			})}
+		</Modal>
+	);
+};
+
+export default AddRowModal;
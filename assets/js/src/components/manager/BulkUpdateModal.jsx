@@ -0,0 +1,287 @@
+/**
+ * Bulk update modal component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, SelectControl } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import Modal from '../common/Modal';
+import ConfirmDialog from '../common/ConfirmDialog';
+import DeleteIcon from '../common/DeleteIcon';
+import ValueInput from './ValueInput';
+import { bulkUpdate } from '../../api/data';
+import { SQL_EXPRESSIONS, isBooleanColumn, isGeneratedColumn, validateValue } from '../../utils/columnTypes';
+
+// Number of rows above which the table name has to be typed to confirm.
+const TYPED_CONFIRM_ROWS = 100;
+
+/**
+ * Build an empty assignment for a column.
+ *
+ * @param {Object} column Column definition.
+ * @returns {Object} Assignment with column, type and value.
+ */
+const createAssignment = (column) => ({
+	column: column.name,
+	type: 'value',
+	value: isBooleanColumn(column) ? '0' : '',
+});
+
+/**
+ * Bulk update modal component.
+ *
+ * Sets one or more columns of every row matching the current filters and
+ * search to a value, NULL or an SQL expression like NOW(). The exact
+ * number of rows and the UPDATE statement are confirmed before it runs.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.tableName Table name.
+ * @param {Array} props.columns List of column definitions.
+ * @param {Object} props.query Current query with filters, match and search.
+ * @param {Function} props.onClose Callback when modal is closed.
+ * @param {Function} props.onComplete Callback when rows have been updated.
+ * @param {Function} props.showNotification Callback to show notification.
+ * @returns {JSX.Element} Bulk update modal component.
+ */
+const BulkUpdateModal = ({ tableName, columns, query, onClose, onComplete, showNotification }) => {
+	// Generated columns are computed by the database and cannot be set.
+	const writableColumns = columns.filter((column) => !isGeneratedColumn(column));
+
+	const [assignments, setAssignments] = useState(() => (writableColumns.length > 0 ? [createAssignment(writableColumns[0])] : []));
+	const [review, setReview] = useState(null);
+	const [loading, setLoading] = useState(false);
+
+	const columnsByName = columns.reduce((map, column) => ({ ...map, [column.name]: column }), {});
+	const hasFilter = query.filters.length > 0 || query.search !== '';
+
+	// Errors of plain values, keyed by column name.
+	const errors = assignments.reduce((map, assignment) => {
+		const reason = assignment.type === 'value' ? validateValue(assignment.value, columnsByName[assignment.column]) : '';
+
+		return reason ? { ...map, [assignment.column]: reason } : map;
+	}, {});
+
+	const canReview = assignments.length > 0 && Object.keys(errors).length === 0;
+
+	/**
+	 * Update an assignment.
+	 *
+	 * @param {number} index Assignment index.
+	 * @param {Object} changes Changed fields.
+	 */
+	const updateAssignment = (index, changes) => {
+		setAssignments(assignments.map((assignment, i) => (i === index ? { ...assignment, ...changes } : assignment)));
+	};
+
+	/**
+	 * Change the column of an assignment, resetting its value.
+	 *
+	 * @param {number} index Assignment index.
+	 * @param {string} name Column name.
+	 */
+	const changeColumn = (index, name) => {
+		setAssignments(assignments.map((assignment, i) => (i === index ? createAssignment(columnsByName[name]) : assignment)));
+	};
+
+	/**
+	 * Change the type of an assignment.
+	 *
+	 * @param {number} index Assignment index.
+	 * @param {string} type Either value, null or expression.
+	 */
+	const changeType = (index, type) => {
+		const column = columnsByName[assignments[index].column];
+		let value = '';
+
+		if (type === 'expression') {
+			value = SQL_EXPRESSIONS[0];
+		} else if (type === 'value') {
+			value = createAssignment(column).value;
+		}
+
+		updateAssignment(index, { type, value });
+	};
+
+	/**
+	 * Add an assignment for the first column not assigned yet.
+	 */
+	const addAssignment = () => {
+		const assigned = assignments.map((assignment) => assignment.column);
+		const column = writableColumns.find((item) => !assigned.includes(item.name));
+
+		if (column) {
+			setAssignments([...assignments, createAssignment(column)]);
+		}
+	};
+
+	/**
+	 * Build the request parameters.
+	 *
+	 * @param {boolean} dryRun Whether to only count the rows and build the statement.
+	 * @returns {Object} Request parameters.
+	 */
+	const getParams = (dryRun) => ({
+		filters: query.filters,
+		match: query.match,
+		search: query.search,
+		values: assignments.reduce(
+			(values, { column, type, value }) => ({ ...values, [column]: { type, value: type === 'null' ? null : value } }),
+			{}
+		),
+		dry_run: dryRun,
+	});
+
+	/**
+	 * Count the matching rows and build the statement to confirm.
+	 */
+	const handleReview = async () => {
+		setLoading(true);
+
+		try {
+			setReview(await bulkUpdate(tableName, getParams(true)));
+		} catch (error) {
+			showNotification(error.message || __('Failed to prepare the update.', 'affinite-db-manager'), 'error');
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Run the confirmed update.
+	 */
+	const handleConfirm = async () => {
+		try {
+			const result = await bulkUpdate(tableName, { ...getParams(false), expected: review.count });
+
+			showNotification(
+				sprintf(
+					/* translators: %d: number of rows */
+					_n('%d row updated.', '%d rows updated.', result.updated, 'affinite-db-manager'),
+					result.updated
+				),
+				'success'
+			);
+			onComplete();
+			onClose();
+		} catch (error) {
+			showNotification(error.message || __('Failed to update rows.', 'affinite-db-manager'), 'error');
+			setReview(null);
+		}
+	};
+
+	if (review) {
+		return (
+			<ConfirmDialog
+				title={__('Update Rows', 'affinite-db-manager')}
+				message={hasFilter
+					? sprintf(
+						/* translators: %d: number of rows */
+						_n('This will update %d row matching the current filters.', 'This will update %d rows matching the current filters.', review.count, 'affinite-db-manager'),
+						review.count
+					)
+					: sprintf(
+						/* translators: %d: number of rows */
+						_n('This will update %d row of the table.', 'This will update all %d rows of the table.', review.count, 'affinite-db-manager'),
+						review.count
+					)}
+				confirmText={review.count > TYPED_CONFIRM_ROWS ? tableName : ''}
+				confirmLabel={__('Update', 'affinite-db-manager')}
+				isDangerous
+				onConfirm={handleConfirm}
+				onCancel={() => setReview(null)}
+			>
+				<pre className="affinite-db-manager__bulk-update-sql">{review.sql}</pre>
+			</ConfirmDialog>
+		);
+	}
+
+	const footer = (
+		<>
+			<Button variant="secondary" onClick={onClose} disabled={loading}>
+				{__('Cancel', 'affinite-db-manager')}
+			</Button>
+			<Button variant="primary" onClick={handleReview} isBusy={loading} disabled={loading || !canReview}>
+				{__('Review update', 'affinite-db-manager')}
+			</Button>
+		</>
+	);
+
+	return (
+		<Modal
+			title={sprintf(
+				/* translators: %s: table name */
+				__('Update rows of %s', 'affinite-db-manager'),
+				tableName
+			)}
+			onClose={onClose}
+			footer={footer}
+			width={700}
+		>
+			<p>
+				{hasFilter
+					? __('Sets the columns of every row matching the current filters and search, on all pages.', 'affinite-db-manager')
+					: __('No filter is applied, so the columns of every row of the table are set.', 'affinite-db-manager')}
+			</p>
+
+			{assignments.map((assignment, index) => {
+				const column = columnsByName[assignment.column];
+				const assigned = assignments.map((item) => item.column);
+
+				return (
+					<div key={index} className="affinite-db-manager__bulk-update-row">
+						<SelectControl
+							value={assignment.column}
+							options={writableColumns
+								.filter((item) => item.name === assignment.column || !assigned.includes(item.name))
+								.map((item) => ({ label: item.name, value: item.name }))}
+							onChange={(name) => changeColumn(index, name)}
+						/>
+						<SelectControl
+							value={assignment.type}
+							options={[
+								{ label: __('Value', 'affinite-db-manager'), value: 'value' },
+								...(column.nullable ? [{ label: 'NULL', value: 'null' }] : []),
+								{ label: __('SQL expression', 'affinite-db-manager'), value: 'expression' },
+							]}
+							onChange={(type) => changeType(index, type)}
+						/>
+						<div className="affinite-db-manager__bulk-update-value">
+							{assignment.type === 'value' && (
+								<ValueInput
+									column={column}
+									value={assignment.value}
+									help={errors[assignment.column]}
+									onChange={(value) => updateAssignment(index, { value })}
+								/>
+							)}
+							{assignment.type === 'expression' && (
+								<SelectControl
+									value={assignment.value}
+									options={SQL_EXPRESSIONS.map((expression) => ({ label: expression, value: expression }))}
+									onChange={(value) => updateAssignment(index, { value })}
+								/>
+							)}
+						</div>
+						<Button
+							variant="secondary"
+							onClick={() => setAssignments(assignments.filter((item, i) => i !== index))}
+							label={__('Remove column', 'affinite-db-manager')}
+							isSmall
+							isDestructive
+						>
+							<DeleteIcon />
+						</Button>
+					</div>
+				);
+			})}
+
+			<Button variant="secondary" onClick={addAssignment} disabled={assignments.length >= writableColumns.length} isSmall>
+				{__('+ Add Column', 'affinite-db-manager')}
+			</Button>
+		</Modal>
+	);
+};
+
+export default BulkUpdateModal;
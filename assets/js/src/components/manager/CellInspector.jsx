@@ -0,0 +1,284 @@
+/**
+ * Cell inspector component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState, useMemo, useRef } from '@wordpress/element';
+import { Button } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import { getBaseType, isBinaryValue, getImageType, formatBytes } from '../../utils/columnTypes';
+import { isSerialized } from '../../utils/phpSerialize';
+import SerializedEditor from './SerializedEditor';
+
+/**
+ * Parse a cell value as JSON.
+ *
+ * Values of other than JSON columns are only parsed when they look like an object or array.
+ *
+ * @param {*} value Cell value.
+ * @param {boolean} isJsonColumn Whether the column is typed JSON.
+ * @returns {*} Parsed value, or undefined if it is not JSON.
+ */
+const parseJson = (value, isJsonColumn) => {
+	if (typeof value !== 'string' || (!isJsonColumn && !/^\s*[[{]/.test(value))) {
+		return undefined;
+	}
+
+	try {
+		return JSON.parse(value);
+	} catch (error) {
+		return undefined;
+	}
+};
+
+/**
+ * Format a hex string as a dump with offsets and printable characters.
+ *
+ * @param {string} hex Hex string.
+ * @returns {string} Hex dump with 16 bytes per line.
+ */
+const formatHexDump = (hex) => {
+	const lines = [];
+
+	for (let offset = 0; offset < hex.length / 2; offset += 16) {
+		const bytes = hex.substring(offset * 2, (offset + 16) * 2).match(/../g) || [];
+		const ascii = bytes
+			.map((byte) => {
+				const code = parseInt(byte, 16);
+				return code >= 32 && code < 127 ? String.fromCharCode(code) : '.';
+			})
+			.join('');
+
+		lines.push(`${offset.toString(16).padStart(8, '0')}  ${bytes.join(' ').padEnd(47)}  ${ascii}`);
+	}
+
+	return lines.join('\n');
+};
+
+/**
+ * Collapsible JSON tree node.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.name Key of the node in its parent (optional).
+ * @param {*} props.value Node value.
+ * @param {number} props.depth Nesting depth.
+ * @returns {JSX.Element} JSON node component.
+ */
+const JsonNode = ({ name, value, depth = 0 }) => {
+	const label = name !== undefined && <span className="affinite-db-manager__json-key">{name}: </span>;
+
+	if (value !== null && typeof value === 'object') {
+		const entries = Object.entries(value);
+		const isArray = Array.isArray(value);
+		const summary = isArray ? `[${entries.length}]` : `{${entries.length}}`;
+
+		return (
+			<details className="affinite-db-manager__json-node" open={depth < 2}>
+				<summary>
+					{label}
+					<span className="affinite-db-manager__json-summary">{summary}</span>
+				</summary>
+				{entries.map(([key, child]) => (
+					<JsonNode key={key} name={key} value={child} depth={depth + 1} />
+				))}
+			</details>
+		);
+	}
+
+	return (
+		<div className="affinite-db-manager__json-leaf">
+			{label}
+			<span className={`affinite-db-manager__json-value--${value === null ? 'null' : typeof value}`}>
+				{JSON.stringify(value)}
+			</span>
+		</div>
+	);
+};
+
+/**
+ * Cell inspector side panel.
+ *
+ * Shows the full value of a cell: JSON and PHP-serialized data as a
+ * collapsible tree, binary values as size and hex dump, everything else as
+ * plain text. Serialized values can be edited in the tree. Binary values can
+ * be downloaded and replaced with a file, and PNG, JPEG and GIF images get a
+ * thumbnail.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.columnName Column name.
+ * @param {Object} props.column Column definition (optional).
+ * @param {*} props.value Cell value.
+ * @param {Function} props.onSave Callback with a new cell value; omit if the cell is read-only.
+ * @param {Function} props.onUpload Callback with a file to store in a binary cell; omit if it cannot be replaced.
+ * @param {string} props.downloadUrl Download URL of a binary value (optional).
+ * @param {string} props.previewUrl URL displaying a binary value inline (optional).
+ * @param {boolean} props.saving Whether a new value is being saved.
+ * @param {Function} props.onClose Callback when the panel is closed.
+ * @param {Function} props.showNotification Callback to show notification.
+ * @returns {JSX.Element} Cell inspector component.
+ */
+const CellInspector = ({ columnName, column, value, onSave, onUpload, downloadUrl, previewUrl, saving = false, onClose, showNotification }) => {
+	const [showRaw, setShowRaw] = useState(false);
+	const fileInput = useRef(null);
+
+	const isJsonColumn = getBaseType(column?.type) === 'JSON';
+	const json = useMemo(() => parseJson(value, isJsonColumn), [value, isJsonColumn]);
+	const isBinary = isBinaryValue(value);
+	const imageType = getImageType(value);
+	const isJson = json !== undefined;
+	const serialized = useMemo(() => !isJson && isSerialized(value), [value, isJson]);
+
+	let copyText = value === null ? 'NULL' : String(value);
+	let size = '';
+
+	if (isBinary) {
+		copyText = value.hex;
+		size = formatBytes(value.size);
+	} else if (typeof value === 'string') {
+		size = `${value.length.toLocaleString()} ${__('characters', 'affinite-db-manager')}`;
+	}
+
+	/**
+	 * Copy the value to the clipboard.
+	 */
+	const handleCopy = async () => {
+		try {
+			await window.navigator.clipboard.writeText(isJson && !showRaw ? JSON.stringify(json, null, 2) : copyText);
+			showNotification(__('Copied to clipboard.', 'affinite-db-manager'), 'success');
+		} catch (error) {
+			showNotification(__('Failed to copy to clipboard.', 'affinite-db-manager'), 'error');
+		}
+	};
+
+	/**
+	 * Store the selected file in the cell.
+	 *
+	 * @param {Event} e Change event of the file input.
+	 */
+	const handleFile = (e) => {
+		const file = e.target.files[0];
+
+		e.target.value = '';
+
+		if (file) {
+			onUpload(file);
+		}
+	};
+
+	/**
+	 * Render the value body.
+	 *
+	 * @returns {JSX.Element} Value body.
+	 */
+	const renderValue = () => {
+		if (value === null) {
+			return <em>NULL</em>;
+		}
+
+		if (isBinary) {
+			return (
+				<>
+					{imageType && previewUrl && (
+						<img
+							key={value.hex}
+							className="affinite-db-manager__inspector-image"
+							src={previewUrl}
+							alt={columnName}
+						/>
+					)}
+					{value.hex.length / 2 < value.size && (
+						<p className="affinite-db-manager__data-hint">
+							{__('Showing the first', 'affinite-db-manager')} {formatBytes(value.hex.length / 2)}.
+						</p>
+					)}
+					<pre className="affinite-db-manager__inspector-pre">{formatHexDump(value.hex)}</pre>
+				</>
+			);
+		}
+
+		if (serialized && !showRaw) {
+			return (
+				<SerializedEditor
+					key={value}
+					value={value}
+					saving={saving}
+					onSave={onSave}
+					showNotification={showNotification}
+				/>
+			);
+		}
+
+		if (isJson && !showRaw) {
+			return (
+				<div className="affinite-db-manager__json-tree">
+					<JsonNode value={json} />
+				</div>
+			);
+		}
+
+		return <pre className="affinite-db-manager__inspector-pre">{String(value)}</pre>;
+	};
+
+	return (
+		<aside className="affinite-db-manager__cell-inspector">
+			<div className="affinite-db-manager__cell-inspector-header">
+				<div>
+					<strong>{columnName}</strong>
+					{column && <span className="affinite-db-manager__data-hint"> {column.type}</span>}
+					{size && <div className="affinite-db-manager__data-hint">{size}</div>}
+				</div>
+				<Button
+					variant="tertiary"
+					onClick={onClose}
+					label={__('Close', 'affinite-db-manager')}
+					isSmall
+				>
+					✕
+				</Button>
+			</div>
+
+			<div className="affinite-db-manager__cell-inspector-actions">
+				{value !== null && (
+					<Button variant="secondary" onClick={handleCopy} isSmall>
+						{__('Copy', 'affinite-db-manager')}
+					</Button>
+				)}
+				{isBinary && downloadUrl && (
+					<Button variant="secondary" href={downloadUrl} isSmall>
+						{__('Download', 'affinite-db-manager')}
+					</Button>
+				)}
+				{onUpload && (
+					<>
+						<Button variant="secondary" onClick={() => fileInput.current.click()} disabled={saving} isSmall>
+							{__('Upload file', 'affinite-db-manager')}
+						</Button>
+						<input ref={fileInput} type="file" onChange={handleFile} hidden />
+					</>
+				)}
+				{(isJson || serialized) && (
+					<Button variant="secondary" onClick={() => setShowRaw(!showRaw)} isSmall>
+						{showRaw ? __('Formatted', 'affinite-db-manager') : __('Raw', 'affinite-db-manager')}
+					</Button>
+				)}
+				{serialized && (
+					<span className="affinite-db-manager__data-hint">
+						{__('PHP serialized', 'affinite-db-manager')}
+					</span>
+				)}
+				{!isJson && isJsonColumn && value !== null && (
+					<span className="affinite-db-manager__data-hint">
+						{__('Value is not valid JSON.', 'affinite-db-manager')}
+					</span>
+				)}
+			</div>
+
+			<div className="affinite-db-manager__cell-inspector-body">
+				{renderValue()}
+			</div>
+		</aside>
+	);
+};
+
+export default CellInspector;
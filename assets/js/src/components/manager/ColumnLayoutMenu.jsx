@@ -0,0 +1,122 @@
+/**
+ * Column layout menu component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, CheckboxControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Menu to show, hide, reorder and pin grid columns.
+ *
+ * Columns are reordered by dragging or with the arrow buttons.
+ *
+ * @param {Object} props Component props.
+ * @param {Array<string>} props.columns All column names in display order.
+ * @param {Object} props.layout Layout with order, hidden and pinned column names.
+ * @param {Function} props.onChange Callback with the new layout.
+ * @param {Function} props.onReset Callback to restore the default layout.
+ * @returns {JSX.Element} Column layout menu component.
+ */
+const ColumnLayoutMenu = ({ columns, layout, onChange, onReset }) => {
+	const [dragged, setDragged] = useState(null);
+
+	/**
+	 * Move a column to a new position.
+	 *
+	 * @param {number} from Current index.
+	 * @param {number} to New index.
+	 */
+	const moveColumn = (from, to) => {
+		if (to < 0 || to >= columns.length || from === to) {
+			return;
+		}
+
+		const order = [...columns];
+		const [column] = order.splice(from, 1);
+		order.splice(to, 0, column);
+
+		onChange({ ...layout, order });
+	};
+
+	/**
+	 * Toggle a column in one of the layout lists.
+	 *
+	 * @param {string} field Layout list, hidden or pinned.
+	 * @param {string} column Column name.
+	 */
+	const toggle = (field, column) => {
+		const list = layout[field].includes(column)
+			? layout[field].filter((name) => name !== column)
+			: [...layout[field], column];
+
+		onChange({ ...layout, order: columns, [field]: list });
+	};
+
+	const visibleCount = columns.length - layout.hidden.length;
+
+	return (
+		<div className="affinite-db-manager__column-menu">
+			<ul className="affinite-db-manager__column-menu-list">
+				{columns.map((column, index) => {
+					const isHidden = layout.hidden.includes(column);
+					const isPinned = layout.pinned.includes(column);
+
+					return (
+						<li
+							key={column}
+							draggable
+							className={dragged === index ? 'affinite-db-manager__column-menu-item--dragged' : undefined}
+							onDragStart={() => setDragged(index)}
+							onDragOver={(e) => e.preventDefault()}
+							onDrop={() => moveColumn(dragged, index)}
+							onDragEnd={() => setDragged(null)}
+						>
+							<span className="affinite-db-manager__column-menu-handle" aria-hidden="true">⋮⋮</span>
+							<CheckboxControl
+								label={column}
+								checked={!isHidden}
+								disabled={!isHidden && visibleCount === 1}
+								onChange={() => toggle('hidden', column)}
+							/>
+							<Button
+								variant={isPinned ? 'primary' : 'tertiary'}
+								onClick={() => toggle('pinned', column)}
+								isPressed={isPinned}
+								label={isPinned ? __('Unpin column', 'affinite-db-manager') : __('Pin column to the left', 'affinite-db-manager')}
+								isSmall
+							>
+								{__('Pin', 'affinite-db-manager')}
+							</Button>
+							<Button
+								variant="tertiary"
+								onClick={() => moveColumn(index, index - 1)}
+								disabled={index === 0}
+								label={__('Move up', 'affinite-db-manager')}
+								isSmall
+							>
+								↑
+							</Button>
+							<Button
+								variant="tertiary"
+								onClick={() => moveColumn(index, index + 1)}
+								disabled={index === columns.length - 1}
+								label={__('Move down', 'affinite-db-manager')}
+								isSmall
+							>
+								↓
+							</Button>
+						</li>
+					);
+				})}
+			</ul>
+			<Button variant="tertiary" onClick={onReset} isSmall>
+				{__('Reset layout', 'affinite-db-manager')}
+			</Button>
+		</div>
+	);
+};
+
+export default ColumnLayoutMenu;
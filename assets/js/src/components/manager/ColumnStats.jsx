@@ -0,0 +1,146 @@
+/**
+ * Column statistics component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { Button } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Format a ratio as a percentage.
+ *
+ * @param {number} ratio Ratio between 0 and 1.
+ * @returns {string} Percentage like "12.5%".
+ */
+const formatPercent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+/**
+ * Render a statistic value.
+ *
+ * @param {string|null} value Value, or null for NULL.
+ * @returns {JSX.Element|string} Rendered value.
+ */
+const renderValue = (value) => {
+	if (value === null) {
+		return <em>NULL</em>;
+	}
+
+	return value === '' ? <em>{__('(empty)', 'affinite-db-manager')}</em> : value;
+};
+
+/**
+ * Column statistics component.
+ *
+ * Shows distinct and NULL counts, min and max, average length and the most
+ * frequent values of every column, computed on a sample for big tables.
+ * The summary tells whether the sample is spread across the table or only
+ * its first rows.
+ *
+ * @param {Object} props Component props.
+ * @param {Object} props.stats Row count, sample size and kind, and per-column statistics.
+ * @param {Array} props.indexes List of indexes of the table.
+ * @param {Function} props.onRefresh Callback to compute the statistics again.
+ * @returns {JSX.Element} Column statistics component.
+ */
+const ColumnStats = ({ stats, indexes = [], onRefresh }) => {
+	if (!stats) {
+		return null;
+	}
+
+	const indexedColumns = indexes.flatMap((index) => index.columns);
+
+	let summary = sprintf(
+		/* translators: %s: number of rows */
+		__('Computed on all %s rows.', 'affinite-db-manager'),
+		stats.rows.toLocaleString()
+	);
+
+	if (stats.sampled && stats.spread) {
+		summary = sprintf(
+			/* translators: 1: number of rows in the sample, 2: number of rows in the table */
+			__('Computed on a sample of %1$s rows spread across all %2$s rows.', 'affinite-db-manager'),
+			stats.sample.toLocaleString(),
+			stats.rows.toLocaleString()
+		);
+	} else if (stats.sampled) {
+		summary = sprintf(
+			/* translators: 1: number of rows in the sample, 2: number of rows in the table */
+			__('Computed on the first %1$s of %2$s rows as stored, not on a random sample.', 'affinite-db-manager'),
+			stats.sample.toLocaleString(),
+			stats.rows.toLocaleString()
+		);
+	}
+
+	return (
+		<div className="affinite-db-manager__column-stats">
+			<div className="affinite-db-manager__column-stats-summary">
+				<p>{summary}</p>
+				<Button variant="secondary" onClick={onRefresh} isSmall>
+					{__('Refresh', 'affinite-db-manager')}
+				</Button>
+			</div>
+
+			<table className="affinite-db-manager__data-table">
+				<thead>
+					<tr>
+						<th>{__('Column', 'affinite-db-manager')}</th>
+						<th>{__('Distinct', 'affinite-db-manager')}</th>
+						<th>{__('NULL', 'affinite-db-manager')}</th>
+						<th>{__('Min', 'affinite-db-manager')}</th>
+						<th>{__('Max', 'affinite-db-manager')}</th>
+						<th>{__('Avg length', 'affinite-db-manager')}</th>
+						<th>{__('Top values', 'affinite-db-manager')}</th>
+					</tr>
+				</thead>
+				<tbody>
+					{stats.columns.map((column) => (
+						<tr key={column.name}>
+							<td>
+								<strong>{column.name}</strong>
+								<div className="affinite-db-manager__column-stats-type">
+									{column.type}
+									{indexedColumns.includes(column.name) && ` • ${__('indexed', 'affinite-db-manager')}`}
+								</div>
+							</td>
+							<td>
+								{column.distinct.toLocaleString()}
+								{stats.sample > 0 && (
+									<div className="affinite-db-manager__column-stats-type">
+										{sprintf(
+											/* translators: %s: percentage of rows */
+											__('%s of rows', 'affinite-db-manager'),
+											formatPercent(column.distinct / stats.sample)
+										)}
+									</div>
+								)}
+							</td>
+							<td>{formatPercent(column.null_ratio)}</td>
+							<td className="affinite-db-manager__column-stats-value">{renderValue(column.min)}</td>
+							<td className="affinite-db-manager__column-stats-value">{renderValue(column.max)}</td>
+							<td>{column.avg_length === null ? '–' : column.avg_length}</td>
+							<td>
+								{column.top.length > 0 ? (
+									<ol className="affinite-db-manager__column-stats-top">
+										{column.top.map((item, index) => (
+											<li key={index}>
+												<span className="affinite-db-manager__column-stats-value">{renderValue(item.value)}</span>{' '}
+												<span className="affinite-db-manager__column-stats-type">
+													({item.count.toLocaleString()})
+												</span>
+											</li>
+										))}
+									</ol>
+								) : (
+									'–'
+								)}
+							</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+		</div>
+	);
+};
+
+export default ColumnStats;
@@ -4,10 +4,136 @@
  * @package Affinite\DBManager
  */
 
-import { useState } from '@wordpress/element';
-import { Button } from '@wordpress/components';
-import { __ } from '@wordpress/i18n';
-import { getData } from '../../api/data';
+import { useState, useMemo, useRef, useEffect } from '@wordpress/element';
+import { Button, CheckboxControl, SelectControl, TextControl } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { getData, updateRow, deleteRows, getDeleteImpact, getValueUrl, uploadValue, copyRows } from '../../api/data';
+import AddRowModal from './AddRowModal';
+import BulkUpdateModal from './BulkUpdateModal';
+import FilterBar from './FilterBar';
+import ConfirmDialog from '../common/ConfirmDialog';
+import SearchInput from '../common/SearchInput';
+import CellInspector from './CellInspector';
+import ReferencedByPanel from './ReferencedByPanel';
+import ColumnLayoutMenu from './ColumnLayoutMenu';
+import ExportModal from './ExportModal';
+import ImportModal from './ImportModal';
+import ReplaceModal from './ReplaceModal';
+import SaveViewModal from './SaveViewModal';
+import { useColumnLayout, orderColumns } from '../../hooks/useColumnLayout';
+import { useVirtualGrid } from '../../hooks/useVirtualGrid';
+import {
+	BINARY_TYPES,
+	getBaseType,
+	getEnumValues,
+	isBinaryValue,
+	isBooleanColumn,
+	isTextColumn,
+	formatBytes,
+	getColumnWidth,
+	toDatetimeLocal,
+	fromDatetimeLocal,
+	validateValue,
+} from '../../utils/columnTypes';
+import { isSerialized } from '../../utils/phpSerialize';
+
+const PAGE_SIZES = [25, 50, 100, 250, 500, 1000];
+const SELECT_WIDTH = 40;
+const PAGE_ROWS = 10;
+
+/**
+ * Wrap case-insensitive occurrences of a term in mark elements.
+ *
+ * @param {string} text Text to search in.
+ * @param {string} term Term to highlight.
+ * @returns {Array|string} Text parts with highlighted matches.
+ */
+const highlightText = (text, term) => {
+	if (!term) {
+		return text;
+	}
+
+	const parts = [];
+	const lowerText = text.toLowerCase();
+	const lowerTerm = term.toLowerCase();
+	let start = 0;
+	let index = lowerText.indexOf(lowerTerm);
+
+	while (index !== -1) {
+		parts.push(text.substring(start, index));
+		parts.push(<mark key={index}>{text.substring(index, index + term.length)}</mark>);
+		start = index + term.length;
+		index = lowerText.indexOf(lowerTerm, start);
+	}
+
+	parts.push(text.substring(start));
+
+	return parts;
+};
+
+/**
+ * Describe what a foreign key ON DELETE rule does to referencing rows.
+ *
+ * @param {Object} reference Referencing foreign key with its row count.
+ * @returns {string} Description of the effect.
+ */
+const describeImpact = (reference) => {
+	const { count, table, columns } = reference;
+	const column = columns.length === 1 ? columns[0] : `(${columns.join(', ')})`;
+
+	switch (reference.on_delete) {
+		case 'CASCADE':
+			return sprintf(
+				/* translators: 1: number of rows, 2: table name, 3: column name or list of columns */
+				_n('%1$s row in %2$s.%3$s will also be deleted (CASCADE).', '%1$s rows in %2$s.%3$s will also be deleted (CASCADE).', count, 'affinite-db-manager'),
+				count.toLocaleString(),
+				table,
+				column
+			);
+		case 'SET NULL':
+			return sprintf(
+				/* translators: 1: number of rows, 2: table name, 3: column name or list of columns */
+				_n('%1$s row in %2$s.%3$s will be set to NULL (SET NULL).', '%1$s rows in %2$s.%3$s will be set to NULL (SET NULL).', count, 'affinite-db-manager'),
+				count.toLocaleString(),
+				table,
+				column
+			);
+		case 'SET DEFAULT':
+			return sprintf(
+				/* translators: 1: number of rows, 2: table name, 3: column name or list of columns */
+				_n('%1$s row in %2$s.%3$s will be set to the column default (SET DEFAULT).', '%1$s rows in %2$s.%3$s will be set to the column default (SET DEFAULT).', count, 'affinite-db-manager'),
+				count.toLocaleString(),
+				table,
+				column
+			);
+		case 'NO ACTION':
+			return sprintf(
+				/* translators: 1: number of rows, 2: table name, 3: column name or list of columns */
+				_n('%1$s row in %2$s.%3$s references these rows and will block the delete (NO ACTION).', '%1$s rows in %2$s.%3$s reference these rows and will block the delete (NO ACTION).', count, 'affinite-db-manager'),
+				count.toLocaleString(),
+				table,
+				column
+			);
+		default:
+			return sprintf(
+				/* translators: 1: number of rows, 2: table name, 3: column name or list of columns */
+				_n('%1$s row in %2$s.%3$s references these rows and will block the delete (RESTRICT).', '%1$s rows in %2$s.%3$s reference these rows and will block the delete (RESTRICT).', count, 'affinite-db-manager'),
+				count.toLocaleString(),
+				table,
+				column
+			);
+	}
+};
+
+/**
+ * Check whether a foreign key ON DELETE rule blocks deleting referenced rows.
+ *
+ * @param {Object} reference Referencing foreign key.
+ * @returns {boolean} Whether the rule blocks the delete.
+ */
+const isBlocking = (reference) => {
+	return !['CASCADE', 'SET NULL', 'SET DEFAULT'].includes(reference.on_delete);
+};
 
 /**
  * Data preview component.
@@ -15,14 +141,91 @@ import { getData } from '../../api/data';
  * @param {Object} props Component props.
  * @param {string} props.tableName Table name.
  * @param {Object} props.data Data preview object.
+ * @param {Array} props.columns List of column definitions.
+ * @param {Array} props.relations List of foreign keys of the table.
+ * @param {Array} props.initialFilters Filters the data was loaded with.
+ * @param {Object} props.view Saved view the data was loaded with, used instead of initialFilters (optional).
+ * @param {boolean} props.isLocked Whether table is locked.
+ * @param {Function} props.onNavigate Callback to open a referenced table with filters (optional).
+ * @param {Function} props.onSaveView Callback with a view to save, resolving with the saved view (optional).
  * @param {Function} props.showNotification Callback to show notification.
  * @returns {JSX.Element} Data preview component.
  */
-const DataPreview = ({ tableName, data, showNotification }) => {
+const DataPreview = ({ tableName, data, columns = [], relations = [], initialFilters = [], view, isLocked, onNavigate, onSaveView, showNotification }) => {
 	const [currentData, setCurrentData] = useState(data);
 	const [loading, setLoading] = useState(false);
 	const [page, setPage] = useState(0);
-	const limit = 100;
+	const [editing, setEditing] = useState(null);
+	const [saving, setSaving] = useState(false);
+	const [showAddModal, setShowAddModal] = useState(false);
+	const [selected, setSelected] = useState([]);
+	const [deleteImpact, setDeleteImpact] = useState(null);
+	const [checkingImpact, setCheckingImpact] = useState(false);
+	const [copying, setCopying] = useState(false);
+	const [query, setQuery] = useState(
+		view
+			? { ...view.query, limit: 100 }
+			: { orderby: '', order: 'asc', filters: initialFilters, match: 'and', search: '', limit: 100 }
+	);
+	const [searchTerm, setSearchTerm] = useState(view ? view.query.search : '');
+	const [pageInput, setPageInput] = useState('');
+	const [inspected, setInspected] = useState(null);
+	const [showColumnMenu, setShowColumnMenu] = useState(false);
+	const [showExportModal, setShowExportModal] = useState(false);
+	const [showImportModal, setShowImportModal] = useState(false);
+	const [showSaveViewModal, setShowSaveViewModal] = useState(false);
+	const [showReplaceModal, setShowReplaceModal] = useState(false);
+	const [showBulkUpdateModal, setShowBulkUpdateModal] = useState(false);
+	const [activeCell, setActiveCell] = useState({ rowIndex: 0, column: null });
+	const focusPending = useRef(false);
+	const { layout, updateLayout, resetLayout } = useColumnLayout(tableName, showNotification);
+
+	// Column definitions keyed by name.
+	const columnMap = useMemo(() => {
+		return columns.reduce((map, column) => ({ ...map, [column.name]: column }), {});
+	}, [columns]);
+
+	// Foreign keys keyed by column name.
+	const foreignKeys = useMemo(() => {
+		return relations.reduce((map, relation) => ({ ...map, [relation.column]: relation }), {});
+	}, [relations]);
+
+	const primaryKey = useMemo(() => {
+		return columns.filter((column) => column.key === 'PRI').map((column) => column.name);
+	}, [columns]);
+
+	// Rows can be selected for copying when they can be identified, and edited unless the table is locked.
+	const canSelect = primaryKey.length > 0;
+	const canEdit = !isLocked && canSelect;
+
+	// All columns in display order, and the ones not hidden by the layout.
+	const orderedColumns = useMemo(() => orderColumns(currentData?.columns || [], layout), [currentData, layout]);
+	const visibleColumns = useMemo(() => orderedColumns.filter((column) => !layout.hidden.includes(column)), [orderedColumns, layout]);
+	const pinnedColumns = useMemo(() => visibleColumns.filter((column) => layout.pinned.includes(column)), [visibleColumns, layout]);
+
+	const columnWidths = useMemo(() => {
+		return orderedColumns.reduce((widths, column) => ({ ...widths, [column]: getColumnWidth(column, columnMap[column]) }), {});
+	}, [orderedColumns, columnMap]);
+
+	const grid = useVirtualGrid({
+		rowCount: currentData?.rows.length || 0,
+		columns: visibleColumns,
+		pinned: pinnedColumns,
+		widths: columnWidths,
+		leadingWidth: canSelect ? SELECT_WIDTH : 0,
+	});
+
+	// Focus the active cell after keyboard navigation, once it is rendered.
+	useEffect(() => {
+		if (!focusPending.current || !grid.containerRef.current) {
+			return;
+		}
+
+		focusPending.current = false;
+		grid.containerRef.current
+			.querySelector(`[data-cell="${activeCell.rowIndex}:${window.CSS.escape(activeCell.column)}"]`)
+			?.focus();
+	}, [activeCell, grid.containerRef]);
 
 	if (!currentData) {
 		return (
@@ -32,20 +235,46 @@ const DataPreview = ({ tableName, data, showNotification }) => {
 		);
 	}
 
-	const { columns, rows, total } = currentData;
-	const totalPages = Math.ceil(total / limit);
+	const { columns: columnNames, rows, total, search_columns: searchColumns = [] } = currentData;
+	const totalPages = Math.ceil(total / query.limit);
 
 	/**
 	 * Load page data.
 	 *
 	 * @param {number} newPage Page number.
+	 * @param {Object} newQuery Sort, filter and page size state.
+	 * @param {Object} cursor Primary key value to seek from and the direction, next or prev (optional).
 	 */
-	const loadPage = async (newPage) => {
+	const loadPage = async (newPage, newQuery = query, cursor = null) => {
 		setLoading(true);
+		setEditing(null);
+		setSelected([]);
+		setInspected(null);
 		try {
-			const result = await getData(tableName, limit, newPage * limit);
+			const params = cursor ? { cursor: cursor.value, direction: cursor.direction } : {};
+
+			if (newQuery.orderby) {
+				params.orderby = newQuery.orderby;
+				params.order = newQuery.order;
+			}
+
+			if (newQuery.filters.length > 0) {
+				params.filters = newQuery.filters;
+				params.match = newQuery.match;
+			}
+
+			if (newQuery.search) {
+				params.search = newQuery.search;
+			}
+
+			const result = await getData(tableName, newQuery.limit, newPage * newQuery.limit, params);
 			setCurrentData(result);
+			setActiveCell({ rowIndex: 0, column: null });
+			if (grid.containerRef.current) {
+				grid.containerRef.current.scrollTop = 0;
+			}
 			setPage(newPage);
+			setQuery(newQuery);
 		} catch (error) {
 			showNotification(error.message || __('Failed to load data.', 'affinite-db-manager'), 'error');
 		} finally {
@@ -53,13 +282,463 @@ const DataPreview = ({ tableName, data, showNotification }) => {
 		}
 	};
 
+	/**
+	 * Go to a page, seeking from the current page by primary key when possible.
+	 *
+	 * Keyset pagination only applies to adjacent pages; jumping further uses the offset.
+	 *
+	 * @param {number} newPage Page number.
+	 */
+	const goToPage = (newPage) => {
+		const canSeek = currentData.keyset && primaryKey.length === 1 && rows.length > 0 && newPage > 0;
+
+		if (canSeek && newPage === page + 1) {
+			loadPage(newPage, query, { value: rows[rows.length - 1][primaryKey[0]], direction: 'next' });
+			return;
+		}
+
+		if (canSeek && newPage === page - 1) {
+			loadPage(newPage, query, { value: rows[0][primaryKey[0]], direction: 'prev' });
+			return;
+		}
+
+		loadPage(newPage);
+	};
+
+	/**
+	 * Jump to the page entered in the page input.
+	 */
+	const handlePageJump = () => {
+		const newPage = parseInt(pageInput, 10);
+
+		if (isNaN(newPage) || newPage < 1 || newPage > totalPages) {
+			showNotification(__('Invalid page number.', 'affinite-db-manager'), 'error');
+			return;
+		}
+
+		setPageInput('');
+		goToPage(newPage - 1);
+	};
+
+	/**
+	 * Change the number of rows per page, starting from the first page.
+	 *
+	 * @param {string} value New page size.
+	 */
+	const handlePageSizeChange = (value) => {
+		loadPage(0, { ...query, limit: parseInt(value, 10) });
+	};
+
+	/**
+	 * Sort by a column, cycling through ascending, descending and unsorted.
+	 *
+	 * @param {string} column Column name.
+	 */
+	const handleSort = (column) => {
+		let sort = { orderby: column, order: 'asc' };
+
+		if (query.orderby === column) {
+			sort = query.order === 'asc' ? { orderby: column, order: 'desc' } : { orderby: '', order: 'asc' };
+		}
+
+		loadPage(0, { ...query, ...sort });
+	};
+
+	/**
+	 * Apply new filters, starting from the first page.
+	 *
+	 * @param {Array} filters Filters with column, operator and value.
+	 * @param {string} match How filters are combined, and or or.
+	 */
+	const handleFilter = (filters, match) => {
+		loadPage(0, { ...query, filters, match });
+	};
+
+	/**
+	 * Handle search input changes, reloading when the search is cleared.
+	 *
+	 * @param {string} value Search term.
+	 */
+	const handleSearchChange = (value) => {
+		setSearchTerm(value);
+
+		if (value === '' && query.search) {
+			loadPage(0, { ...query, search: '' });
+		}
+	};
+
+	/**
+	 * Run the search when Enter is pressed.
+	 *
+	 * @param {KeyboardEvent} e Keyboard event.
+	 */
+	const handleSearchKeyDown = (e) => {
+		if (e.key === 'Enter') {
+			e.preventDefault();
+			loadPage(0, { ...query, search: searchTerm.trim() });
+		}
+	};
+
+	/**
+	 * Save the current filters, sorting, search and column layout as a view.
+	 *
+	 * @param {Object} values View fields.
+	 * @param {string} values.id ID of the view to update, or empty to save a new one.
+	 * @param {string} values.name View name.
+	 * @param {boolean} values.shared Whether the view is shared.
+	 */
+	const handleSaveView = async ({ id, name, shared }) => {
+		try {
+			const saved = await onSaveView({
+				id,
+				name,
+				shared,
+				query: {
+					orderby: query.orderby,
+					order: query.order,
+					filters: query.filters,
+					match: query.match,
+					search: query.search,
+				},
+				layout,
+			});
+
+			setShowSaveViewModal(false);
+			showNotification(
+				sprintf(
+					/* translators: %s: view name */
+					__('View "%s" saved.', 'affinite-db-manager'),
+					saved.name
+				),
+				'success'
+			);
+		} catch (error) {
+			showNotification(error.message || __('Failed to save view.', 'affinite-db-manager'), 'error');
+		}
+	};
+
+	/**
+	 * Handle row insertion success.
+	 */
+	const handleAddSuccess = () => {
+		setShowAddModal(false);
+		loadPage(page);
+	};
+
+	/**
+	 * Build the primary key of a row.
+	 *
+	 * @param {Object} row Row data.
+	 * @returns {Object} Primary key values keyed by column name.
+	 */
+	const getRowKey = (row) => {
+		return primaryKey.reduce((key, column) => ({ ...key, [column]: row[column] }), {});
+	};
+
+	const inspectedRow = inspected ? rows[inspected.rowIndex] : null;
+	// Binary values are downloaded by the primary key of their row.
+	const inspectedKey = inspectedRow && primaryKey.length > 0 && isBinaryValue(inspectedRow[inspected.column]) ? getRowKey(inspectedRow) : null;
+	const focusedIndex = inspected?.rowIndex ?? (selected.length === 1 ? selected[0] : null);
+	const focusedRow = primaryKey.length > 0 && focusedIndex !== null ? rows[focusedIndex] : null;
+
+	/**
+	 * Get the class name of a pinned column cell.
+	 *
+	 * @param {string} column Column name.
+	 * @returns {string|undefined} Class name, or undefined if the column is not pinned.
+	 */
+	const getPinnedClass = (column) => {
+		if (!pinnedColumns.includes(column)) {
+			return undefined;
+		}
+
+		const isLast = column === pinnedColumns[pinnedColumns.length - 1];
+
+		return `affinite-db-manager__pinned-cell${isLast ? ' affinite-db-manager__pinned-cell--last' : ''}`;
+	};
+
+	/**
+	 * Get the sticky offset of a pinned column cell.
+	 *
+	 * @param {string} column Column name.
+	 * @returns {Object|undefined} Inline style, or undefined if the column is not pinned.
+	 */
+	const getPinnedStyle = (column) => {
+		return pinnedColumns.includes(column) ? { left: grid.pinnedOffsets[column] } : undefined;
+	};
+
+	/**
+	 * Toggle selection of a row.
+	 *
+	 * @param {number} rowIndex Row index on the current page.
+	 * @param {boolean} checked Whether the row is selected.
+	 */
+	const toggleRow = (rowIndex, checked) => {
+		setSelected(checked ? [...selected, rowIndex] : selected.filter((index) => index !== rowIndex));
+	};
+
+	/**
+	 * Toggle selection of all rows on the current page.
+	 *
+	 * @param {boolean} checked Whether all rows are selected.
+	 */
+	const toggleAll = (checked) => {
+		setSelected(checked ? rows.map((row, index) => index) : []);
+	};
+
+	/**
+	 * Copy the selected rows to the clipboard.
+	 *
+	 * Rows are formatted by the server from their full values, with quoting
+	 * driven by the column types.
+	 *
+	 * @param {string} format Format: sql, json, tsv or markdown.
+	 */
+	const copySelected = async (format) => {
+		if (!format) {
+			return;
+		}
+
+		setCopying(true);
+
+		try {
+			const result = await copyRows(tableName, selected.map((index) => getRowKey(rows[index])), format);
+
+			await window.navigator.clipboard.writeText(result.text);
+			showNotification(
+				sprintf(
+					/* translators: %d: number of rows */
+					_n('%d row copied to clipboard.', '%d rows copied to clipboard.', result.count, 'affinite-db-manager'),
+					result.count
+				),
+				'success'
+			);
+		} catch (error) {
+			showNotification(error.message || __('Failed to copy to clipboard.', 'affinite-db-manager'), 'error');
+		} finally {
+			setCopying(false);
+		}
+	};
+
+	/**
+	 * Check referencing rows and open the delete confirmation.
+	 */
+	const confirmDelete = async () => {
+		setCheckingImpact(true);
+		try {
+			const impact = await getDeleteImpact(tableName, selected.map((index) => getRowKey(rows[index])));
+			setDeleteImpact(impact.filter((reference) => reference.count > 0));
+		} catch (error) {
+			showNotification(error.message || __('Failed to check referencing rows.', 'affinite-db-manager'), 'error');
+		} finally {
+			setCheckingImpact(false);
+		}
+	};
+
+	/**
+	 * Delete the selected rows.
+	 */
+	const handleDelete = async () => {
+		try {
+			const result = await deleteRows(tableName, selected.map((index) => getRowKey(rows[index])));
+			showNotification(
+				sprintf(
+					/* translators: %d: number of rows */
+					_n('%d row deleted.', '%d rows deleted.', result.deleted, 'affinite-db-manager'),
+					result.deleted
+				),
+				'success'
+			);
+			setDeleteImpact(null);
+			loadPage(page);
+		} catch (error) {
+			showNotification(error.message || __('Failed to delete rows.', 'affinite-db-manager'), 'error');
+		}
+	};
+
+	/**
+	 * Check whether a column holds binary data, which cannot be edited inline.
+	 *
+	 * @param {string} column Column name.
+	 * @param {*} value Current cell value.
+	 * @returns {boolean} Whether the column is binary.
+	 */
+	const isBinaryColumn = (column, value) => {
+		return isBinaryValue(value) || BINARY_TYPES.includes(getBaseType(columnMap[column]?.type));
+	};
+
+	/**
+	 * Move the active cell and scroll it into view.
+	 *
+	 * @param {number} rowIndex Row index on the current page.
+	 * @param {number} columnIndex Index in the visible columns.
+	 */
+	const moveActiveCell = (rowIndex, columnIndex) => {
+		const row = Math.min(Math.max(rowIndex, 0), rows.length - 1);
+		const column = visibleColumns[Math.min(Math.max(columnIndex, 0), visibleColumns.length - 1)];
+
+		focusPending.current = true;
+		setActiveCell({ rowIndex: row, column });
+		grid.scrollToCell(row, column);
+	};
+
+	/**
+	 * Handle grid keyboard navigation.
+	 *
+	 * Arrow keys, Home, End, Page Up and Page Down move between cells, Enter
+	 * opens the cell in the inspector and F2 starts editing it.
+	 *
+	 * @param {KeyboardEvent} e Keyboard event.
+	 * @param {number} rowIndex Row index on the current page.
+	 * @param {string} column Column name.
+	 */
+	const handleCellKeyDown = (e, rowIndex, column) => {
+		if (e.target !== e.currentTarget) {
+			return;
+		}
+
+		const columnIndex = visibleColumns.indexOf(column);
+		const moves = {
+			ArrowUp: [rowIndex - 1, columnIndex],
+			ArrowDown: [rowIndex + 1, columnIndex],
+			ArrowLeft: [rowIndex, columnIndex - 1],
+			ArrowRight: [rowIndex, columnIndex + 1],
+			PageUp: [rowIndex - PAGE_ROWS, columnIndex],
+			PageDown: [rowIndex + PAGE_ROWS, columnIndex],
+			Home: [e.ctrlKey ? 0 : rowIndex, 0],
+			End: [e.ctrlKey ? rows.length - 1 : rowIndex, visibleColumns.length - 1],
+		};
+
+		if (moves[e.key]) {
+			e.preventDefault();
+			moveActiveCell(...moves[e.key]);
+		} else if (e.key === 'Enter') {
+			e.preventDefault();
+			setInspected({ rowIndex, column });
+		} else if (e.key === 'F2') {
+			e.preventDefault();
+			startEditing(rowIndex, column);
+		}
+	};
+
+	/**
+	 * Start editing a cell.
+	 *
+	 * @param {number} rowIndex Row index on the current page.
+	 * @param {string} column Column name.
+	 */
+	const startEditing = (rowIndex, column) => {
+		if (!canEdit || saving || isBinaryColumn(column, rows[rowIndex][column])) {
+			return;
+		}
+
+		setEditing({ rowIndex, column });
+	};
+
+	/**
+	 * Save a new cell value.
+	 *
+	 * @param {number} rowIndex Row index on the current page.
+	 * @param {string} column Column name.
+	 * @param {string|null} value New cell value.
+	 * @returns {Promise<boolean>} Whether the value was saved.
+	 */
+	const updateCell = async (rowIndex, column, value) => {
+		const row = rows[rowIndex];
+
+		setSaving(true);
+		try {
+			const result = await updateRow(tableName, getRowKey(row), { [column]: value });
+			const newRows = [...rows];
+			newRows[rowIndex] = result.row && Object.keys(result.row).length > 0
+				? result.row
+				: { ...row, [column]: value };
+			setCurrentData({ ...currentData, rows: newRows });
+			showNotification(__('Row updated successfully.', 'affinite-db-manager'), 'success');
+			return true;
+		} catch (error) {
+			showNotification(error.message || __('Failed to update row.', 'affinite-db-manager'), 'error');
+			return false;
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	/**
+	 * Replace a binary cell value with a file.
+	 *
+	 * @param {number} rowIndex Row index on the current page.
+	 * @param {string} column Column name.
+	 * @param {File} file File to store.
+	 */
+	const uploadCell = async (rowIndex, column, file) => {
+		setSaving(true);
+		try {
+			const result = await uploadValue(tableName, column, getRowKey(rows[rowIndex]), file);
+			const newRows = [...rows];
+			newRows[rowIndex] = result.row;
+			setCurrentData({ ...currentData, rows: newRows });
+			showNotification(__('Value replaced successfully.', 'affinite-db-manager'), 'success');
+		} catch (error) {
+			showNotification(error.message || __('Failed to upload file.', 'affinite-db-manager'), 'error');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	/**
+	 * Save the edited cell value.
+	 *
+	 * PHP-serialized values are only saved if they stay valid, since broken
+	 * string lengths make the whole value unreadable for WordPress.
+	 *
+	 * @param {string|null} value New cell value.
+	 */
+	const saveCell = async (value) => {
+		if (!editing) {
+			return;
+		}
+
+		const original = rows[editing.rowIndex][editing.column];
+
+		if (value === original || (value !== null && original !== null && String(original) === value)) {
+			setEditing(null);
+			return;
+		}
+
+		if (value !== null && isSerialized(original) && !isSerialized(value)) {
+			showNotification(
+				__('This is PHP-serialized data and the edit would corrupt it. Edit it in the cell inspector instead.', 'affinite-db-manager'),
+				'error'
+			);
+			return;
+		}
+
+		if (await updateCell(editing.rowIndex, editing.column, value)) {
+			setEditing(null);
+		}
+	};
+
+	/**
+	 * Check whether a column should be edited in a multi-line editor.
+	 *
+	 * @param {string} column Column name.
+	 * @param {*} value Current cell value.
+	 * @returns {boolean} Whether to use a multi-line editor.
+	 */
+	const isMultiline = (column, value) => {
+		const type = columnMap[column]?.type || '';
+		return /text|json/i.test(type) || (typeof value === 'string' && value.includes('\n'));
+	};
+
 	/**
 	 * Format cell value for display.
 	 *
 	 * @param {*} value Cell value.
-	 * @returns {string} Formatted value.
+	 * @param {string} highlight Search term to highlight (optional).
+	 * @returns {JSX.Element|string} Formatted value.
 	 */
-	const formatValue = (value) => {
+	const formatValue = (value, highlight = '') => {
 		if (value === null) {
 			return <em>NULL</em>;
 		}
@@ -68,74 +747,739 @@ const DataPreview = ({ tableName, data, showNotification }) => {
 			return value ? 'true' : 'false';
 		}
 
+		if (isBinaryValue(value)) {
+			return (
+				<em>
+					{sprintf(
+						/* translators: %s: formatted size, e.g. "2 KB" */
+						__('binary, %s', 'affinite-db-manager'),
+						formatBytes(value.size)
+					)}
+				</em>
+			);
+		}
+
 		const strValue = String(value);
 		if (strValue.length > 100) {
-			return strValue.substring(0, 100) + '...';
+			return <>{highlightText(strValue.substring(0, 100), highlight)}...</>;
 		}
 
-		return strValue;
+		return highlightText(strValue, highlight);
+	};
+
+	/**
+	 * Render a cell value, linking foreign key values to the referenced row.
+	 *
+	 * @param {string} column Column name.
+	 * @param {*} value Cell value.
+	 * @returns {JSX.Element|string} Cell content.
+	 */
+	const renderCell = (column, value) => {
+		const content = formatValue(value, searchColumns.includes(column) ? query.search : '');
+		const foreignKey = foreignKeys[column];
+
+		if (!foreignKey || !onNavigate || value === null || typeof value === 'object') {
+			return content;
+		}
+
+		return (
+			<button
+				type="button"
+				className="affinite-db-manager__fk-link"
+				title={`${foreignKey.referenced_table}.${foreignKey.referenced_column}`}
+				onClick={(e) => {
+					e.stopPropagation();
+					onNavigate(foreignKey.referenced_table, [
+						{ column: foreignKey.referenced_column, operator: '=', value: String(value) },
+					]);
+				}}
+			>
+				{content}
+			</button>
+		);
+	};
+
+	const activeRow = Math.min(activeCell.rowIndex, rows.length - 1);
+	const activeColumn = visibleColumns.includes(activeCell.column) ? activeCell.column : visibleColumns[0];
+	const gridColumnCount = (canSelect ? 1 : 0) + pinnedColumns.length + grid.scrollingColumns.length + (grid.leftWidth > 0 ? 1 : 0) + (grid.rightWidth > 0 ? 1 : 0);
+
+	/**
+	 * Render a column header cell.
+	 *
+	 * @param {string} column Column name.
+	 * @returns {JSX.Element} Header cell.
+	 */
+	const renderHeaderCell = (column) => (
+		<th
+			key={column}
+			aria-sort={query.orderby === column ? `${query.order}ending` : 'none'}
+			className={getPinnedClass(column)}
+			style={getPinnedStyle(column)}
+		>
+			<button
+				type="button"
+				className="affinite-db-manager__sort-button"
+				onClick={() => handleSort(column)}
+				disabled={loading}
+				title={column}
+			>
+				{column}
+				{primaryKey.includes(column) && <span title="Primary Key"> 🔑</span>}
+				{query.orderby === column && (
+					<span className="affinite-db-manager__sort-indicator">
+						{query.order === 'asc' ? ' ▲' : ' ▼'}
+					</span>
+				)}
+			</button>
+		</th>
+	);
+
+	/**
+	 * Render a data cell.
+	 *
+	 * Only the active cell is in the tab order; arrow keys move between cells.
+	 *
+	 * @param {Object} row Row data.
+	 * @param {number} index Row index on the current page.
+	 * @param {string} column Column name.
+	 * @returns {JSX.Element} Data cell.
+	 */
+	const renderDataCell = (row, index, column) => {
+		const isEditing = editing?.rowIndex === index && editing?.column === column;
+
+		return (
+			<td
+				key={column}
+				role="gridcell"
+				data-cell={`${index}:${column}`}
+				aria-colindex={visibleColumns.indexOf(column) + (canSelect ? 2 : 1)}
+				tabIndex={index === activeRow && column === activeColumn ? 0 : -1}
+				className={[
+					canEdit && !isBinaryColumn(column, row[column]) && 'affinite-db-manager__data-cell--editable',
+					inspected?.rowIndex === index && inspected?.column === column && 'affinite-db-manager__data-cell--inspected',
+					isEditing && 'affinite-db-manager__data-cell--editing',
+					getPinnedClass(column),
+				].filter(Boolean).join(' ') || undefined}
+				style={getPinnedStyle(column)}
+				onFocus={() => setActiveCell({ rowIndex: index, column })}
+				onClick={() => !isEditing && setInspected({ rowIndex: index, column })}
+				onKeyDown={(e) => !isEditing && handleCellKeyDown(e, index, column)}
+				onDoubleClick={() => startEditing(index, column)}
+			>
+				{isEditing ? (
+					<InlineEditor
+						value={row[column]}
+						column={columnMap[column]}
+						multiline={isMultiline(column, row[column])}
+						nullable={columnMap[column]?.nullable ?? false}
+						saving={saving}
+						onSave={saveCell}
+						onCancel={() => setEditing(null)}
+					/>
+				) : (
+					renderCell(column, row[column])
+				)}
+			</td>
+		);
 	};
 
 	return (
 		<div className="affinite-db-manager__data-preview">
+			{!isLocked && (
+				<div className="affinite-db-manager__data-actions">
+					<Button variant="primary" onClick={() => setShowAddModal(true)} disabled={columns.length === 0}>
+						{__('+ Add Row', 'affinite-db-manager')}
+					</Button>
+					<Button variant="secondary" onClick={() => setShowImportModal(true)} disabled={columns.length === 0}>
+						{__('Import CSV', 'affinite-db-manager')}
+					</Button>
+					{canEdit && (
+						<Button
+							variant="secondary"
+							isDestructive
+							onClick={confirmDelete}
+							isBusy={checkingImpact}
+							disabled={selected.length === 0 || checkingImpact || loading}
+						>
+							{__('Delete selected', 'affinite-db-manager')} ({selected.length})
+						</Button>
+					)}
+					<Button variant="secondary" onClick={() => setShowBulkUpdateModal(true)} disabled={columns.length === 0 || total === 0}>
+						{__('Set value', 'affinite-db-manager')}
+					</Button>
+					{canEdit && (
+						<Button variant="secondary" onClick={() => setShowReplaceModal(true)}>
+							{__('Find and replace', 'affinite-db-manager')}
+						</Button>
+					)}
+				</div>
+			)}
+
+			<div className="affinite-db-manager__data-toolbar">
+				<div
+					className="affinite-db-manager__data-search"
+					onKeyDown={handleSearchKeyDown}
+					role="presentation"
+				>
+					<SearchInput
+						value={searchTerm}
+						onChange={handleSearchChange}
+						placeholder={__('Search all text columns and press Enter', 'affinite-db-manager')}
+					/>
+				</div>
+				<Button
+					variant="secondary"
+					onClick={() => setShowColumnMenu(!showColumnMenu)}
+					aria-expanded={showColumnMenu}
+				>
+					{__('Columns', 'affinite-db-manager')}
+					{layout.hidden.length > 0 && ` (${visibleColumns.length}/${orderedColumns.length})`}
+				</Button>
+				{canSelect && (
+					<SelectControl
+						value=""
+						options={[
+							{
+								label: sprintf(
+									/* translators: %d: number of selected rows */
+									_n('Copy %d selected row as…', 'Copy %d selected rows as…', selected.length, 'affinite-db-manager'),
+									selected.length
+								),
+								value: '',
+							},
+							{ label: __('SQL INSERT statements', 'affinite-db-manager'), value: 'sql' },
+							{ label: __('JSON array', 'affinite-db-manager'), value: 'json' },
+							{ label: __('TSV for spreadsheets', 'affinite-db-manager'), value: 'tsv' },
+							{ label: __('Markdown table', 'affinite-db-manager'), value: 'markdown' },
+						]}
+						onChange={copySelected}
+						disabled={selected.length === 0 || copying}
+						__nextHasNoMarginBottom
+					/>
+				)}
+				<Button variant="secondary" onClick={() => setShowExportModal(true)}>
+					{__('Export', 'affinite-db-manager')}
+				</Button>
+				{onSaveView && (
+					<Button variant="secondary" onClick={() => setShowSaveViewModal(true)}>
+						{__('Save view', 'affinite-db-manager')}
+					</Button>
+				)}
+			</div>
+
+			{showColumnMenu && (
+				<ColumnLayoutMenu
+					columns={orderedColumns}
+					layout={layout}
+					onChange={updateLayout}
+					onReset={resetLayout}
+				/>
+			)}
+
+			<FilterBar
+				columns={columnNames}
+				filters={query.filters}
+				match={query.match}
+				onApply={handleFilter}
+				disabled={loading}
+			/>
+
 			<p>
 				{__('Showing', 'affinite-db-manager')} {rows.length} {__('of', 'affinite-db-manager')} {total.toLocaleString()} {__('rows', 'affinite-db-manager')}
+				<span className="affinite-db-manager__data-hint">
+					{' '}
+					{canEdit
+						? __('Click a cell or press Enter to see its full value, double-click or press F2 to edit it.', 'affinite-db-manager')
+						: __('Click a cell or press Enter to see its full value.', 'affinite-db-manager')}
+				</span>
+				{!isLocked && primaryKey.length === 0 && (
+					<span className="affinite-db-manager__data-hint">
+						{' '}{__('This table has no primary key, so its rows cannot be edited.', 'affinite-db-manager')}
+					</span>
+				)}
 			</p>
 
-			<div style={{ overflowX: 'auto' }}>
-				<table className="affinite-db-manager__data-table">
-					<thead>
-						<tr>
-							{columns.map((column) => (
-								<th key={column}>{column}</th>
+			<div className="affinite-db-manager__data-layout">
+				<div
+					ref={grid.containerRef}
+					className="affinite-db-manager__data-scroll"
+					onScroll={grid.onScroll}
+				>
+					<table
+						className="affinite-db-manager__data-table affinite-db-manager__data-table--grid"
+						style={{ width: grid.totalWidth }}
+						role="grid"
+						aria-rowcount={rows.length + 1}
+						aria-colcount={visibleColumns.length + (canSelect ? 1 : 0)}
+					>
+						<colgroup>
+							{canSelect && <col style={{ width: SELECT_WIDTH }} />}
+							{pinnedColumns.map((column) => (
+								<col key={column} style={{ width: columnWidths[column] }} />
 							))}
-						</tr>
-					</thead>
-					<tbody>
-						{rows.map((row, index) => (
-							<tr key={index}>
-								{columns.map((column) => (
-									<td key={column}>{formatValue(row[column])}</td>
-								))}
-							</tr>
-						))}
-						{rows.length === 0 && (
-							<tr>
-								<td colSpan={columns.length} style={{ textAlign: 'center' }}>
-									{__('No data found.', 'affinite-db-manager')}
-								</td>
+							{grid.leftWidth > 0 && <col style={{ width: grid.leftWidth }} />}
+							{grid.scrollingColumns.map((column) => (
+								<col key={column} style={{ width: columnWidths[column] }} />
+							))}
+							{grid.rightWidth > 0 && <col style={{ width: grid.rightWidth }} />}
+						</colgroup>
+						<thead>
+							<tr aria-rowindex={1}>
+								{canSelect && (
+									<th
+										className={`affinite-db-manager__select-cell${pinnedColumns.length > 0 ? ' affinite-db-manager__pinned-cell' : ''}`}
+										style={pinnedColumns.length > 0 ? { left: 0 } : undefined}
+									>
+										<input
+											type="checkbox"
+											aria-label={__('Select all rows on this page', 'affinite-db-manager')}
+											checked={rows.length > 0 && selected.length === rows.length}
+											disabled={rows.length === 0}
+											onChange={(e) => toggleAll(e.target.checked)}
+										/>
+									</th>
+								)}
+								{pinnedColumns.map(renderHeaderCell)}
+								{grid.leftWidth > 0 && <th aria-hidden="true" />}
+								{grid.scrollingColumns.map(renderHeaderCell)}
+								{grid.rightWidth > 0 && <th aria-hidden="true" />}
 							</tr>
+						</thead>
+						<tbody>
+							{grid.topHeight > 0 && (
+								<tr aria-hidden="true" className="affinite-db-manager__grid-spacer">
+									<td colSpan={gridColumnCount} style={{ height: grid.topHeight }} />
+								</tr>
+							)}
+							{rows.slice(grid.rowStart, grid.rowEnd).map((row, offset) => {
+								const index = grid.rowStart + offset;
+
+								return (
+									<tr
+										key={index}
+										aria-rowindex={index + 2}
+										className={selected.includes(index) ? 'affinite-db-manager__data-row--selected' : undefined}
+									>
+										{canSelect && (
+											<td
+												className={`affinite-db-manager__select-cell${pinnedColumns.length > 0 ? ' affinite-db-manager__pinned-cell' : ''}`}
+												style={pinnedColumns.length > 0 ? { left: 0 } : undefined}
+											>
+												<input
+													type="checkbox"
+													aria-label={__('Select row', 'affinite-db-manager')}
+													checked={selected.includes(index)}
+													onChange={(e) => toggleRow(index, e.target.checked)}
+												/>
+											</td>
+										)}
+										{pinnedColumns.map((column) => renderDataCell(row, index, column))}
+										{grid.leftWidth > 0 && <td aria-hidden="true" />}
+										{grid.scrollingColumns.map((column) => renderDataCell(row, index, column))}
+										{grid.rightWidth > 0 && <td aria-hidden="true" />}
+									</tr>
+								);
+							})}
+							{grid.bottomHeight > 0 && (
+								<tr aria-hidden="true" className="affinite-db-manager__grid-spacer">
+									<td colSpan={gridColumnCount} style={{ height: grid.bottomHeight }} />
+								</tr>
+							)}
+							{rows.length === 0 && (
+								<tr>
+									<td colSpan={gridColumnCount} style={{ textAlign: 'center' }}>
+										{__('No data found.', 'affinite-db-manager')}
+									</td>
+								</tr>
+							)}
+						</tbody>
+					</table>
+				</div>
+
+				{(inspectedRow || focusedRow) && (
+					<div className="affinite-db-manager__data-sidebar">
+						{inspectedRow && (
+							<CellInspector
+								key={`${inspected.rowIndex}-${inspected.column}`}
+								columnName={inspected.column}
+								column={columnMap[inspected.column]}
+								value={inspectedRow[inspected.column]}
+								onSave={canEdit ? (value) => updateCell(inspected.rowIndex, inspected.column, value) : undefined}
+								onUpload={
+									canEdit && isBinaryColumn(inspected.column, inspectedRow[inspected.column])
+										? (file) => uploadCell(inspected.rowIndex, inspected.column, file)
+										: undefined
+								}
+								downloadUrl={inspectedKey && getValueUrl(tableName, inspected.column, inspectedKey)}
+								previewUrl={inspectedKey && getValueUrl(tableName, inspected.column, inspectedKey, true)}
+								saving={saving}
+								onClose={() => setInspected(null)}
+								showNotification={showNotification}
+							/>
 						)}
-					</tbody>
-				</table>
+						{focusedRow && (
+							<ReferencedByPanel
+								tableName={tableName}
+								rowKey={getRowKey(focusedRow)}
+								onNavigate={onNavigate}
+								showNotification={showNotification}
+							/>
+						)}
+					</div>
+				)}
 			</div>
 
-			{totalPages > 1 && (
+			{total > 0 && (
 				<div className="affinite-db-manager__pagination">
 					<span>
-						{__('Page', 'affinite-db-manager')} {page + 1} {__('of', 'affinite-db-manager')} {totalPages}
+						{__('Page', 'affinite-db-manager')} {(page + 1).toLocaleString()} {__('of', 'affinite-db-manager')} {totalPages.toLocaleString()}
 					</span>
-					<div>
-						<Button
-							variant="secondary"
-							onClick={() => loadPage(page - 1)}
-							disabled={page === 0 || loading}
-							isSmall
-						>
-							{__('Previous', 'affinite-db-manager')}
-						</Button>
-						<Button
-							variant="secondary"
-							onClick={() => loadPage(page + 1)}
-							disabled={page >= totalPages - 1 || loading}
-							isSmall
-							style={{ marginLeft: '10px' }}
-						>
-							{__('Next', 'affinite-db-manager')}
-						</Button>
+					<div className="affinite-db-manager__pagination-controls">
+						<SelectControl
+							label={__('Rows per page', 'affinite-db-manager')}
+							value={String(query.limit)}
+							options={PAGE_SIZES.map((size) => ({ label: String(size), value: String(size) }))}
+							onChange={handlePageSizeChange}
+							disabled={loading}
+						/>
+						{totalPages > 1 && (
+							<>
+								<div
+									className="affinite-db-manager__page-jump"
+									onKeyDown={(e) => e.key === 'Enter' && handlePageJump()}
+									role="presentation"
+								>
+									<TextControl
+										label={__('Go to page', 'affinite-db-manager')}
+										type="number"
+										min={1}
+										max={totalPages}
+										value={pageInput}
+										onChange={setPageInput}
+										disabled={loading}
+									/>
+									<Button
+										variant="secondary"
+										onClick={handlePageJump}
+										disabled={pageInput === '' || loading}
+										isSmall
+									>
+										{__('Go', 'affinite-db-manager')}
+									</Button>
+								</div>
+								<Button
+									variant="secondary"
+									onClick={() => goToPage(page - 1)}
+									disabled={page === 0 || loading}
+									isSmall
+								>
+									{__('Previous', 'affinite-db-manager')}
+								</Button>
+								<Button
+									variant="secondary"
+									onClick={() => goToPage(page + 1)}
+									disabled={page >= totalPages - 1 || loading}
+									isSmall
+								>
+									{__('Next', 'affinite-db-manager')}
+								</Button>
+							</>
+						)}
 					</div>
 				</div>
 			)}
+
+			{showAddModal && (
+				<AddRowModal
+					tableName={tableName}
+					columns={columns}
+					onClose={() => setShowAddModal(false)}
+					onSuccess={handleAddSuccess}
+					showNotification={showNotification}
+				/>
+			)}
+
+			{showImportModal && (
+				<ImportModal
+					tableName={tableName}
+					columns={columns}
+					onClose={() => setShowImportModal(false)}
+					onComplete={() => loadPage(page)}
+					showNotification={showNotification}
+				/>
+			)}
+
+			{showBulkUpdateModal && (
+				<BulkUpdateModal
+					tableName={tableName}
+					columns={columns}
+					query={query}
+					onClose={() => setShowBulkUpdateModal(false)}
+					onComplete={() => loadPage(page)}
+					showNotification={showNotification}
+				/>
+			)}
+
+			{showReplaceModal && (
+				<ReplaceModal
+					tableName={tableName}
+					columns={columns
+						.filter((column) => isTextColumn(column) && !primaryKey.includes(column.name))
+						.map((column) => column.name)}
+					onClose={() => setShowReplaceModal(false)}
+					onComplete={() => loadPage(page)}
+					showNotification={showNotification}
+				/>
+			)}
+
+			{showSaveViewModal && (
+				<SaveViewModal
+					view={view}
+					onSave={handleSaveView}
+					onClose={() => setShowSaveViewModal(false)}
+				/>
+			)}
+
+			{showExportModal && (
+				<ExportModal
+					tableName={tableName}
+					view={query}
+					onClose={() => setShowExportModal(false)}
+					showNotification={showNotification}
+				/>
+			)}
+
+			{deleteImpact && (
+				<ConfirmDialog
+					title={__('Delete Rows', 'affinite-db-manager')}
+					message={sprintf(
+						/* translators: %d: number of rows */
+						_n('Delete %d row? This action cannot be undone.', 'Delete %d rows? This action cannot be undone.', selected.length, 'affinite-db-manager'),
+						selected.length
+					)}
+					confirmLabel={__('Delete', 'affinite-db-manager')}
+					isDangerous
+					onConfirm={handleDelete}
+					onCancel={() => setDeleteImpact(null)}
+				>
+					{deleteImpact.length > 0 && (
+						<div className="affinite-db-manager__delete-impact">
+							<strong>{__('Referencing rows in other tables:', 'affinite-db-manager')}</strong>
+							<ul>
+								{deleteImpact.map((reference) => (
+									<li
+										key={`${reference.table}.${reference.name}`}
+										className={isBlocking(reference) ? 'affinite-db-manager__delete-impact--blocking' : undefined}
+									>
+										{describeImpact(reference)}
+									</li>
+								))}
+							</ul>
+						</div>
+					)}
+				</ConfirmDialog>
+			)}
+		</div>
+	);
+};
+
+/**
+ * Inline cell editor component.
+ *
+ * The input matches the column type: date and time pickers, a select for
+ * ENUM, a toggle for TINYINT(1) and a checked textarea for JSON. Changed
+ * values are validated against the column before they are saved; an
+ * unchanged value, such as a zero date stored earlier, is left as it is.
+ *
+ * Enter saves the value (Ctrl+Enter in multi-line mode), Escape cancels.
+ *
+ * @param {Object} props Component props.
+ * @param {*} props.value Current cell value.
+ * @param {Object} props.column Column definition (optional).
+ * @param {boolean} props.multiline Whether to use a textarea.
+ * @param {boolean} props.nullable Whether the column accepts NULL.
+ * @param {boolean} props.saving Whether the value is being saved.
+ * @param {Function} props.onSave Callback with the new value.
+ * @param {Function} props.onCancel Callback when editing is cancelled.
+ * @returns {JSX.Element} Inline editor component.
+ */
+const InlineEditor = ({ value, column, multiline, nullable, saving, onSave, onCancel }) => {
+	const [draft, setDraft] = useState(value === null ? '' : String(value));
+	const [isNull, setIsNull] = useState(value === null);
+	const [error, setError] = useState('');
+	const baseType = getBaseType(column?.type);
+	const isJson = baseType === 'JSON';
+
+	/**
+	 * Validate and save the value.
+	 */
+	const save = () => {
+		const newValue = isNull ? null : draft;
+
+		if (newValue === (value === null ? null : String(value))) {
+			onCancel();
+			return;
+		}
+
+		const problem = column ? validateValue(newValue, column) : '';
+
+		if (problem) {
+			setError(problem);
+			return;
+		}
+
+		onSave(newValue);
+	};
+
+	/**
+	 * Change the draft value; JSON is checked while typing.
+	 *
+	 * @param {string} newValue New value.
+	 */
+	const handleChange = (newValue) => {
+		setDraft(newValue);
+		setIsNull(false);
+		setError(isJson && newValue !== '' ? validateValue(newValue, column) : '');
+	};
+
+	/**
+	 * Pretty-print the JSON draft.
+	 */
+	const formatJson = () => {
+		try {
+			handleChange(JSON.stringify(JSON.parse(draft), null, 2));
+		} catch (e) {
+			setError(validateValue(draft, column));
+		}
+	};
+
+	/**
+	 * Handle editor keyboard shortcuts.
+	 *
+	 * @param {KeyboardEvent} e Keyboard event.
+	 */
+	const handleKeyDown = (e) => {
+		if (e.key === 'Escape') {
+			e.preventDefault();
+			onCancel();
+		}
+
+		if (e.key === 'Enter' && (!(multiline || isJson) || e.ctrlKey || e.metaKey)) {
+			e.preventDefault();
+			save();
+		}
+	};
+
+	const inputProps = {
+		className: `affinite-db-manager__cell-input${error ? ' affinite-db-manager__cell-input--invalid' : ''}`,
+		value: isNull ? '' : draft,
+		placeholder: isNull ? 'NULL' : '',
+		disabled: saving,
+		autoFocus: true,
+		onChange: (e) => handleChange(e.target.value),
+		onKeyDown: handleKeyDown,
+	};
+
+	/**
+	 * Render the input matching the column type.
+	 *
+	 * @returns {JSX.Element} Input element.
+	 */
+	const renderInput = () => {
+		if (isBooleanColumn(column)) {
+			const checked = !isNull && draft !== '' && draft !== '0';
+
+			return (
+				<CheckboxControl
+					label={isNull ? 'NULL' : draft}
+					checked={checked}
+					disabled={saving}
+					onChange={(isChecked) => handleChange(isChecked ? '1' : '0')}
+				/>
+			);
+		}
+
+		if (baseType === 'ENUM') {
+			const options = getEnumValues(column.type);
+
+			return (
+				<select {...inputProps}>
+					{(isNull || !options.includes(draft)) && <option value={isNull ? '' : draft}>{isNull ? 'NULL' : draft}</option>}
+					{options.map((option) => (
+						<option key={option} value={option}>
+							{option}
+						</option>
+					))}
+				</select>
+			);
+		}
+
+		if (baseType === 'DATE') {
+			return <input type="date" {...inputProps} />;
+		}
+
+		if (baseType === 'TIME') {
+			return <input type="time" step="1" {...inputProps} />;
+		}
+
+		if (baseType === 'DATETIME' || baseType === 'TIMESTAMP') {
+			return (
+				<input
+					type="datetime-local"
+					step="1"
+					{...inputProps}
+					value={isNull ? '' : toDatetimeLocal(draft)}
+					onChange={(e) => handleChange(fromDatetimeLocal(e.target.value))}
+				/>
+			);
+		}
+
+		return multiline || isJson ? <textarea rows={isJson ? 8 : 4} {...inputProps} /> : <input type="text" {...inputProps} />;
+	};
+
+	return (
+		<div className="affinite-db-manager__cell-editor">
+			{renderInput()}
+			{error && <div className="affinite-db-manager__cell-editor-error">{error}</div>}
+			<div className="affinite-db-manager__cell-editor-actions">
+				{nullable && (
+					<CheckboxControl
+						label="NULL"
+						checked={isNull}
+						onChange={(checked) => {
+							setIsNull(checked);
+							setError('');
+						}}
+					/>
+				)}
+				{isJson && (
+					<Button
+						variant="tertiary"
+						onClick={formatJson}
+						disabled={saving || isNull || draft === ''}
+						isSmall
+					>
+						{__('Format', 'affinite-db-manager')}
+					</Button>
+				)}
+				<Button
+					variant="primary"
+					onClick={save}
+					isBusy={saving}
+					disabled={saving}
+					isSmall
+				>
+					{__('Save', 'affinite-db-manager')}
+				</Button>
+				<Button
+					variant="secondary"
+					onClick={onCancel}
+					disabled={saving}
+					isSmall
+				>
+					{__('Cancel', 'affinite-db-manager')}
+				</Button>
+			</div>
 		</div>
 	);
 };
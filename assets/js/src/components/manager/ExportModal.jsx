@@ -0,0 +1,221 @@
+/**
+ * Export modal component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, SelectControl, CheckboxControl } from '@wordpress/components';
+import { __, sprintf, _n } from '@wordpress/i18n';
+import Modal from '../common/Modal';
+import { getExportUrl, getTablesExportUrl, downloadExport } from '../../api/export';
+
+/**
+ * Export modal component.
+ *
+ * Several tables can only be exported together as an SQL dump.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.tableName Table name.
+ * @param {Array<string>} props.tables Table names to export together instead of tableName (optional).
+ * @param {Object} props.view Sort, filters and search of the current data view (optional).
+ * @param {Function} props.onClose Callback when modal is closed.
+ * @param {Function} props.showNotification Callback to show notification.
+ * @returns {JSX.Element} Export modal component.
+ */
+const ExportModal = ({ tableName, tables, view, onClose, showNotification }) => {
+	const exportTables = tables || [tableName];
+	const isMultiple = exportTables.length > 1;
+	const [format, setFormat] = useState(isMultiple ? 'sql' : 'csv');
+	const [delimiter, setDelimiter] = useState('comma');
+	const [quote, setQuote] = useState('minimal');
+	const [encoding, setEncoding] = useState('utf-8');
+	const [content, setContent] = useState('both');
+	const [drop, setDrop] = useState(false);
+	const [loading, setLoading] = useState(false);
+
+	const isFiltered = !!view && (view.filters.length > 0 || view.search !== '');
+	const isSorted = !!view && view.orderby !== '';
+	const [useView, setUseView] = useState(isFiltered || isSorted);
+
+	/**
+	 * Build the export URL from the chosen options.
+	 *
+	 * @returns {string} Export URL.
+	 */
+	const getUrl = () => {
+		const params = { format };
+
+		if (format === 'csv') {
+			Object.assign(params, { delimiter, quote, bom: encoding === 'utf-8-bom' });
+		} else if (format === 'sql') {
+			Object.assign(params, { structure: content !== 'data', data: content !== 'structure', drop });
+		}
+
+		if (isMultiple) {
+			delete params.format;
+			return getTablesExportUrl(exportTables, params);
+		}
+
+		if (useView) {
+			if (isSorted) {
+				params.orderby = view.orderby;
+				params.order = view.order;
+			}
+
+			if (view.filters.length > 0) {
+				params.filters = view.filters;
+				params.match = view.match;
+			}
+
+			if (view.search) {
+				params.search = view.search;
+			}
+		}
+
+		return getExportUrl(exportTables[0], params);
+	};
+
+	/**
+	 * Start the download once the export has been checked.
+	 */
+	const handleExport = async () => {
+		setLoading(true);
+
+		try {
+			await downloadExport(getUrl());
+			onClose();
+		} catch (error) {
+			showNotification(error.message || __('Failed to start the export.', 'affinite-db-manager'), 'error');
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	const footer = (
+		<>
+			<Button variant="secondary" onClick={onClose} disabled={loading}>
+				{__('Cancel', 'affinite-db-manager')}
+			</Button>
+			<Button variant="primary" onClick={handleExport} isBusy={loading} disabled={loading}>
+				{__('Export', 'affinite-db-manager')}
+			</Button>
+		</>
+	);
+
+	const title = isMultiple
+		? sprintf(
+			/* translators: %d: number of tables */
+			_n('Export %d table', 'Export %d tables', exportTables.length, 'affinite-db-manager'),
+			exportTables.length
+		)
+		: sprintf(
+			/* translators: %s: table name */
+			__('Export %s', 'affinite-db-manager'),
+			exportTables[0]
+		);
+
+	return (
+		<Modal
+			title={title}
+			onClose={onClose}
+			footer={footer}
+			width={500}
+		>
+			{isMultiple ? (
+				<p>{exportTables.join(', ')}</p>
+			) : (
+				<div className="affinite-db-manager__form-group">
+					<SelectControl
+						label={__('Format', 'affinite-db-manager')}
+						value={format}
+						options={[
+							{ label: 'CSV', value: 'csv' },
+							{ label: __('JSON array', 'affinite-db-manager'), value: 'json' },
+							{ label: __('NDJSON (one object per line)', 'affinite-db-manager'), value: 'ndjson' },
+							{ label: __('SQL dump', 'affinite-db-manager'), value: 'sql' },
+						]}
+						onChange={setFormat}
+						help={format === 'json' || format === 'ndjson' ? __('Numbers, NULL and JSON columns keep their types.', 'affinite-db-manager') : ''}
+					/>
+				</div>
+			)}
+			{format === 'sql' && (
+				<>
+					<div className="affinite-db-manager__form-group">
+						<SelectControl
+							label={__('Content', 'affinite-db-manager')}
+							value={content}
+							options={[
+								{ label: __('Structure and data', 'affinite-db-manager'), value: 'both' },
+								{ label: __('Structure only', 'affinite-db-manager'), value: 'structure' },
+								{ label: __('Data only', 'affinite-db-manager'), value: 'data' },
+							]}
+							onChange={setContent}
+						/>
+					</div>
+					<div className="affinite-db-manager__form-group">
+						<CheckboxControl
+							label={__('Add DROP TABLE IF EXISTS', 'affinite-db-manager')}
+							checked={drop}
+							onChange={setDrop}
+						/>
+					</div>
+				</>
+			)}
+			{format === 'csv' && (
+				<>
+					<div className="affinite-db-manager__form-group">
+						<SelectControl
+							label={__('Delimiter', 'affinite-db-manager')}
+							value={delimiter}
+							options={[
+								{ label: __('Comma (,)', 'affinite-db-manager'), value: 'comma' },
+								{ label: __('Semicolon (;)', 'affinite-db-manager'), value: 'semicolon' },
+								{ label: __('Tab', 'affinite-db-manager'), value: 'tab' },
+								{ label: __('Pipe (|)', 'affinite-db-manager'), value: 'pipe' },
+							]}
+							onChange={setDelimiter}
+						/>
+					</div>
+					<div className="affinite-db-manager__form-group">
+						<SelectControl
+							label={__('Quoting', 'affinite-db-manager')}
+							value={quote}
+							options={[
+								{ label: __('Only where needed', 'affinite-db-manager'), value: 'minimal' },
+								{ label: __('All values', 'affinite-db-manager'), value: 'all' },
+							]}
+							onChange={setQuote}
+							help={__('NULL is exported as an empty unquoted value.', 'affinite-db-manager')}
+						/>
+					</div>
+					<div className="affinite-db-manager__form-group">
+						<SelectControl
+							label={__('Encoding', 'affinite-db-manager')}
+							value={encoding}
+							options={[
+								{ label: 'UTF-8', value: 'utf-8' },
+								{ label: __('UTF-8 with BOM (Excel)', 'affinite-db-manager'), value: 'utf-8-bom' },
+							]}
+							onChange={setEncoding}
+						/>
+					</div>
+				</>
+			)}
+			{!isMultiple && (isFiltered || isSorted) && (
+				<div className="affinite-db-manager__form-group">
+					<CheckboxControl
+						label={isFiltered
+							? __('Only rows matching the current filters and search, in the current order', 'affinite-db-manager')
+							: __('Keep the current sort order', 'affinite-db-manager')}
+						checked={useView}
+						onChange={setUseView}
+					/>
+				</div>
+			)}
+		</Modal>
+	);
+};
+
+export default ExportModal;
@@ -0,0 +1,204 @@
+/**
+ * Filter bar component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, SelectControl, TextControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import DeleteIcon from '../common/DeleteIcon';
+
+const OPERATORS = ['=', '!=', '<', '>', 'LIKE', 'IN', 'IS NULL', 'BETWEEN'];
+
+/**
+ * Convert applied filters to editable filter rows.
+ *
+ * @param {Array} filters Applied filters.
+ * @returns {Array} Filter rows with value and valueTo fields.
+ */
+const toRows = (filters) => {
+	return filters.map((filter) => {
+		if (filter.operator === 'BETWEEN' && Array.isArray(filter.value)) {
+			return { column: filter.column, operator: filter.operator, value: filter.value[0] ?? '', valueTo: filter.value[1] ?? '' };
+		}
+
+		if (Array.isArray(filter.value)) {
+			return { column: filter.column, operator: filter.operator, value: filter.value.join(', '), valueTo: '' };
+		}
+
+		return { column: filter.column, operator: filter.operator, value: filter.value ?? '', valueTo: '' };
+	});
+};
+
+/**
+ * Convert filter rows to filters accepted by the data endpoint.
+ *
+ * Rows without a column are skipped.
+ *
+ * @param {Array} rows Filter rows.
+ * @returns {Array} Filters with column, operator and value.
+ */
+const toFilters = (rows) => {
+	return rows
+		.filter((row) => row.column)
+		.map((row) => {
+			if (row.operator === 'IS NULL') {
+				return { column: row.column, operator: row.operator };
+			}
+
+			if (row.operator === 'BETWEEN') {
+				return { column: row.column, operator: row.operator, value: [row.value, row.valueTo] };
+			}
+
+			return { column: row.column, operator: row.operator, value: row.value };
+		});
+};
+
+/**
+ * Filter bar component.
+ *
+ * @param {Object} props Component props.
+ * @param {Array<string>} props.columns Column names.
+ * @param {Array} props.filters Applied filters.
+ * @param {string} props.match How filters are combined, and or or.
+ * @param {Function} props.onApply Callback with the new filters and match.
+ * @param {boolean} props.disabled Whether the filter bar is disabled.
+ * @returns {JSX.Element} Filter bar component.
+ */
+const FilterBar = ({ columns, filters, match, onApply, disabled = false }) => {
+	const [rows, setRows] = useState(() => toRows(filters));
+	const [draftMatch, setDraftMatch] = useState(match);
+
+	/**
+	 * Update a filter row.
+	 *
+	 * @param {number} index Row index.
+	 * @param {Object} changes Row changes.
+	 */
+	const updateRow = (index, changes) => {
+		setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+	};
+
+	/**
+	 * Add an empty filter row.
+	 */
+	const addRow = () => {
+		setRows([...rows, { column: columns[0] || '', operator: '=', value: '', valueTo: '' }]);
+	};
+
+	/**
+	 * Remove a filter row.
+	 *
+	 * @param {number} index Row index.
+	 */
+	const removeRow = (index) => {
+		setRows(rows.filter((row, i) => i !== index));
+	};
+
+	/**
+	 * Remove all filters.
+	 */
+	const clearAll = () => {
+		setRows([]);
+		onApply([], draftMatch);
+	};
+
+	/**
+	 * Apply filters when Enter is pressed in a value field.
+	 *
+	 * @param {KeyboardEvent} e Keyboard event.
+	 */
+	const handleKeyDown = (e) => {
+		if (e.key === 'Enter') {
+			e.preventDefault();
+			onApply(toFilters(rows), draftMatch);
+		}
+	};
+
+	const columnOptions = columns.map((column) => ({ label: column, value: column }));
+	const operatorOptions = OPERATORS.map((operator) => ({ label: operator, value: operator }));
+
+	return (
+		<div className="affinite-db-manager__filter-bar">
+			{rows.map((row, index) => (
+				<div key={index} className="affinite-db-manager__filter-row">
+					<span className="affinite-db-manager__filter-match">
+						{index === 0 && __('Where', 'affinite-db-manager')}
+						{index === 1 && (
+							<SelectControl
+								value={draftMatch}
+								options={[
+									{ label: 'AND', value: 'and' },
+									{ label: 'OR', value: 'or' },
+								]}
+								onChange={setDraftMatch}
+							/>
+						)}
+						{index > 1 && draftMatch.toUpperCase()}
+					</span>
+					<SelectControl
+						value={row.column}
+						options={columnOptions}
+						onChange={(column) => updateRow(index, { column })}
+					/>
+					<SelectControl
+						value={row.operator}
+						options={operatorOptions}
+						onChange={(operator) => updateRow(index, { operator })}
+					/>
+					{row.operator !== 'IS NULL' && (
+						<div onKeyDown={handleKeyDown} role="presentation">
+							<TextControl
+								value={row.value}
+								placeholder={row.operator === 'IN' ? __('value1, value2', 'affinite-db-manager') : __('Value', 'affinite-db-manager')}
+								onChange={(value) => updateRow(index, { value })}
+							/>
+						</div>
+					)}
+					{row.operator === 'BETWEEN' && (
+						<div onKeyDown={handleKeyDown} role="presentation">
+							<TextControl
+								value={row.valueTo}
+								placeholder={__('and', 'affinite-db-manager')}
+								onChange={(valueTo) => updateRow(index, { valueTo })}
+							/>
+						</div>
+					)}
+					<Button
+						variant="secondary"
+						onClick={() => removeRow(index)}
+						label={__('Remove filter', 'affinite-db-manager')}
+						isSmall
+						isDestructive
+					>
+						<DeleteIcon />
+					</Button>
+				</div>
+			))}
+
+			<div className="affinite-db-manager__filter-actions">
+				<Button variant="secondary" onClick={addRow} disabled={disabled || columns.length === 0} isSmall>
+					{__('+ Add Filter', 'affinite-db-manager')}
+				</Button>
+				{(rows.length > 0 || filters.length > 0) && (
+					<>
+						<Button
+							variant="primary"
+							onClick={() => onApply(toFilters(rows), draftMatch)}
+							disabled={disabled}
+							isSmall
+						>
+							{__('Apply Filters', 'affinite-db-manager')}
+						</Button>
+						<Button variant="tertiary" onClick={clearAll} disabled={disabled} isSmall>
+							{__('Clear', 'affinite-db-manager')}
+						</Button>
+					</>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default FilterBar;
@@ -0,0 +1,528 @@
+/**
+ * CSV import modal component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState, useMemo, useRef } from '@wordpress/element';
+import { Button, SelectControl, CheckboxControl } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import Modal from '../common/Modal';
+import { importRows, IMPORT_BATCH_SIZE } from '../../api/import';
+import { CSV_DELIMITERS, detectDelimiter, parseCsv, toCsv } from '../../utils/csv';
+import { isAutoIncrement, isGeneratedColumn, validateValue } from '../../utils/columnTypes';
+
+const PREVIEW_ROWS = 10;
+
+const STEPS = {
+	UPLOAD: 'upload',
+	MAP: 'map',
+	IMPORT: 'import',
+};
+
+/**
+ * Match CSV headers to table columns by name.
+ *
+ * @param {Array<string>} headers CSV headers.
+ * @param {Array} columns List of column definitions.
+ * @returns {Object} CSV field index keyed by column name, '' for unmapped columns.
+ */
+const getInitialMapping = (headers, columns) => {
+	const normalized = headers.map((header) => header.trim().toLowerCase());
+
+	return columns.reduce((mapping, column) => {
+		const index = normalized.indexOf(column.name.toLowerCase());
+
+		return { ...mapping, [column.name]: index === -1 ? '' : String(index) };
+	}, {});
+};
+
+/**
+ * Build the row sent for a CSV record.
+ *
+ * @param {Array<string>} fields CSV fields.
+ * @param {Array} mappedColumns Column definitions with a mapped field.
+ * @param {Object} mapping CSV field index keyed by column name.
+ * @param {boolean} emptyAsNull Whether empty values of nullable columns become NULL.
+ * @returns {Object} Values keyed by column name.
+ */
+const buildRow = (fields, mappedColumns, mapping, emptyAsNull) => {
+	return mappedColumns.reduce((row, column) => {
+		const value = fields[Number(mapping[column.name])] ?? '';
+
+		return { ...row, [column.name]: value === '' && emptyAsNull && column.nullable ? null : value };
+	}, {});
+};
+
+/**
+ * CSV import modal component.
+ *
+ * Walks through uploading a file, mapping its fields to table columns with a
+ * validated preview, and importing it in batches.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.tableName Table name.
+ * @param {Array} props.columns List of column definitions.
+ * @param {Function} props.onClose Callback when modal is closed.
+ * @param {Function} props.onComplete Callback when rows have been imported.
+ * @param {Function} props.showNotification Callback to show notification.
+ * @returns {JSX.Element} Import modal component.
+ */
+const ImportModal = ({ tableName, columns, onClose, onComplete, showNotification }) => {
+	const [step, setStep] = useState(STEPS.UPLOAD);
+	const [fileName, setFileName] = useState('');
+	const [text, setText] = useState('');
+	const [delimiter, setDelimiter] = useState('comma');
+	const [hasHeader, setHasHeader] = useState(true);
+	const [mapping, setMapping] = useState({});
+	const [mode, setMode] = useState('insert');
+	const [emptyAsNull, setEmptyAsNull] = useState(true);
+	const [progress, setProgress] = useState(0);
+	const [running, setRunning] = useState(false);
+	const [result, setResult] = useState(null);
+	const cancelled = useRef(false);
+
+	const hasPrimaryKey = columns.some((column) => column.key === 'PRI');
+
+	// Generated columns are computed by the database and cannot be imported.
+	const writableColumns = useMemo(() => columns.filter((column) => !isGeneratedColumn(column)), [columns]);
+
+	// Parsed records without blank lines.
+	const records = useMemo(() => {
+		return parseCsv(text, CSV_DELIMITERS[delimiter]).filter((record) => record.length > 1 || record[0] !== '');
+	}, [text, delimiter]);
+
+	const headers = useMemo(() => {
+		if (records.length === 0) {
+			return [];
+		}
+
+		return hasHeader
+			? records[0]
+			: records[0].map((field, index) => sprintf(
+				/* translators: %d: field number */
+				__('Field %d', 'affinite-db-manager'),
+				index + 1
+			));
+	}, [records, hasHeader]);
+
+	const dataRows = useMemo(() => (hasHeader ? records.slice(1) : records), [records, hasHeader]);
+
+	const mappedColumns = useMemo(() => {
+		return writableColumns.filter((column) => mapping[column.name] !== undefined && mapping[column.name] !== '');
+	}, [writableColumns, mapping]);
+
+	// Errors of every record, keyed by column name; only records with errors are listed.
+	const validation = useMemo(() => {
+		if (step !== STEPS.MAP) {
+			return {};
+		}
+
+		const errors = {};
+
+		dataRows.forEach((fields, index) => {
+			const row = buildRow(fields, mappedColumns, mapping, emptyAsNull);
+
+			mappedColumns.forEach((column) => {
+				const reason = validateValue(row[column.name], column);
+
+				if (reason) {
+					errors[index] = { ...errors[index], [column.name]: reason };
+				}
+			});
+		});
+
+		return errors;
+	}, [step, dataRows, mappedColumns, mapping, emptyAsNull]);
+
+	const invalidCount = Object.keys(validation).length;
+
+	// Columns new rows cannot do without.
+	const missingRequired = writableColumns.filter((column) =>
+		!column.nullable &&
+		column.default === null &&
+		!isAutoIncrement(column) &&
+		!mappedColumns.includes(column)
+	);
+
+	/**
+	 * Read the selected file.
+	 *
+	 * @param {Event} e Change event of the file input.
+	 */
+	const handleFile = async (e) => {
+		const file = e.target.files[0];
+
+		if (!file) {
+			return;
+		}
+
+		try {
+			const content = await file.text();
+
+			setFileName(file.name);
+			setText(content);
+			setDelimiter(detectDelimiter(content));
+		} catch (error) {
+			showNotification(error.message || __('Failed to read the file.', 'affinite-db-manager'), 'error');
+		}
+	};
+
+	/**
+	 * Continue to the mapping step.
+	 */
+	const goToMapping = () => {
+		setMapping(getInitialMapping(headers, writableColumns));
+		setStep(STEPS.MAP);
+	};
+
+	/**
+	 * Import all records in batches.
+	 */
+	const runImport = async () => {
+		const firstLine = hasHeader ? 2 : 1;
+		const totals = { inserted: 0, updated: 0, rejected: [] };
+
+		cancelled.current = false;
+		setStep(STEPS.IMPORT);
+		setRunning(true);
+		setProgress(0);
+
+		for (let start = 0; start < dataRows.length && !cancelled.current; start += IMPORT_BATCH_SIZE) {
+			const batch = dataRows.slice(start, start + IMPORT_BATCH_SIZE);
+
+			try {
+				const response = await importRows(tableName, batch.map((fields) => buildRow(fields, mappedColumns, mapping, emptyAsNull)), mode);
+
+				totals.inserted += response.inserted;
+				totals.updated += response.updated;
+				response.rejected.forEach(({ index, message }) => {
+					totals.rejected.push({ line: start + index + firstLine, message, fields: batch[index] });
+				});
+			} catch (error) {
+				const message = error.message || __('Import request failed.', 'affinite-db-manager');
+
+				batch.forEach((fields, index) => {
+					totals.rejected.push({ line: start + index + firstLine, message, fields });
+				});
+			}
+
+			setProgress(Math.min(start + batch.length, dataRows.length));
+		}
+
+		setRunning(false);
+		setResult({ ...totals, cancelled: cancelled.current });
+
+		if (totals.inserted + totals.updated > 0) {
+			onComplete();
+		}
+
+		showNotification(
+			sprintf(
+				/* translators: 1: inserted rows, 2: updated rows, 3: rejected rows */
+				__('Import finished: %1$d inserted, %2$d updated, %3$d rejected.', 'affinite-db-manager'),
+				totals.inserted,
+				totals.updated,
+				totals.rejected.length
+			),
+			totals.rejected.length > 0 ? 'warning' : 'success'
+		);
+	};
+
+	/**
+	 * Download the rejected rows with their errors as CSV.
+	 */
+	const downloadReport = () => {
+		const rows = [
+			[__('Row', 'affinite-db-manager'), __('Error', 'affinite-db-manager'), ...headers],
+			...result.rejected.map(({ line, message, fields }) => [line, message, ...fields]),
+		];
+		const url = window.URL.createObjectURL(new window.Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }));
+		const link = document.createElement('a');
+
+		link.href = url;
+		link.download = `${tableName}-import-errors.csv`;
+		link.click();
+		window.URL.revokeObjectURL(url);
+	};
+
+	/**
+	 * Close the modal, stopping a running import after the current batch.
+	 */
+	const handleClose = () => {
+		cancelled.current = true;
+		onClose();
+	};
+
+	let footer;
+
+	if (step === STEPS.UPLOAD) {
+		footer = (
+			<>
+				<Button variant="secondary" onClick={handleClose}>
+					{__('Cancel', 'affinite-db-manager')}
+				</Button>
+				<Button variant="primary" onClick={goToMapping} disabled={dataRows.length === 0}>
+					{__('Next', 'affinite-db-manager')}
+				</Button>
+			</>
+		);
+	} else if (step === STEPS.MAP) {
+		footer = (
+			<>
+				<Button variant="secondary" onClick={() => setStep(STEPS.UPLOAD)}>
+					{__('Back', 'affinite-db-manager')}
+				</Button>
+				<Button variant="primary" onClick={runImport} disabled={mappedColumns.length === 0}>
+					{sprintf(
+						/* translators: %d: number of rows */
+						_n('Import %d row', 'Import %d rows', dataRows.length, 'affinite-db-manager'),
+						dataRows.length
+					)}
+				</Button>
+			</>
+		);
+	} else {
+		footer = running ? (
+			<Button variant="secondary" onClick={() => (cancelled.current = true)}>
+				{__('Stop', 'affinite-db-manager')}
+			</Button>
+		) : (
+			<>
+				{result?.rejected.length > 0 && (
+					<Button variant="secondary" onClick={downloadReport}>
+						{__('Download error report', 'affinite-db-manager')}
+					</Button>
+				)}
+				<Button variant="primary" onClick={handleClose}>
+					{__('Close', 'affinite-db-manager')}
+				</Button>
+			</>
+		);
+	}
+
+	return (
+		<Modal
+			title={sprintf(
+				/* translators: %s: table name */
+				__('Import CSV into %s', 'affinite-db-manager'),
+				tableName
+			)}
+			onClose={handleClose}
+			footer={footer}
+			width={step === STEPS.MAP ? 900 : 500}
+			className="affinite-db-manager__import-modal"
+		>
+			{step === STEPS.UPLOAD && (
+				<>
+					<div className="affinite-db-manager__form-group">
+						<label htmlFor="affinite-db-manager-import-file">{__('CSV file', 'affinite-db-manager')}</label>
+						<input
+							id="affinite-db-manager-import-file"
+							type="file"
+							accept=".csv,.tsv,.txt,text/csv"
+							onChange={handleFile}
+						/>
+					</div>
+					{fileName && (
+						<>
+							<div className="affinite-db-manager__form-group">
+								<SelectControl
+									label={__('Delimiter', 'affinite-db-manager')}
+									value={delimiter}
+									options={[
+										{ label: __('Comma (,)', 'affinite-db-manager'), value: 'comma' },
+										{ label: __('Semicolon (;)', 'affinite-db-manager'), value: 'semicolon' },
+										{ label: __('Tab', 'affinite-db-manager'), value: 'tab' },
+										{ label: __('Pipe (|)', 'affinite-db-manager'), value: 'pipe' },
+									]}
+									onChange={setDelimiter}
+								/>
+							</div>
+							<div className="affinite-db-manager__form-group">
+								<CheckboxControl
+									label={__('First row contains column names', 'affinite-db-manager')}
+									checked={hasHeader}
+									onChange={setHasHeader}
+								/>
+							</div>
+							<p>
+								{sprintf(
+									/* translators: 1: number of rows, 2: number of fields, e.g. "3 fields" */
+									_n('%1$d row with %2$s found.', '%1$d rows with %2$s found.', dataRows.length, 'affinite-db-manager'),
+									dataRows.length,
+									sprintf(
+										/* translators: %d: number of fields */
+										_n('%d field', '%d fields', headers.length, 'affinite-db-manager'),
+										headers.length
+									)
+								)}
+							</p>
+						</>
+					)}
+				</>
+			)}
+
+			{step === STEPS.MAP && (
+				<>
+					<div className="affinite-db-manager__import-options">
+						<SelectControl
+							label={__('Mode', 'affinite-db-manager')}
+							value={mode}
+							options={[
+								{ label: __('Insert new rows', 'affinite-db-manager'), value: 'insert' },
+								...(hasPrimaryKey ? [
+									{ label: __('Update rows with the same primary key, insert the rest', 'affinite-db-manager'), value: 'upsert' },
+									{ label: __('Replace rows with the same key', 'affinite-db-manager'), value: 'replace' },
+								] : []),
+							]}
+							onChange={setMode}
+						/>
+						<CheckboxControl
+							label={__('Import empty values as NULL where allowed', 'affinite-db-manager')}
+							checked={emptyAsNull}
+							onChange={setEmptyAsNull}
+						/>
+					</div>
+
+					<table className="affinite-db-manager__data-table affinite-db-manager__import-mapping">
+						<thead>
+							<tr>
+								<th>{__('Column', 'affinite-db-manager')}</th>
+								<th>{__('Type', 'affinite-db-manager')}</th>
+								<th>{__('CSV field', 'affinite-db-manager')}</th>
+							</tr>
+						</thead>
+						<tbody>
+							{writableColumns.map((column) => (
+								<tr key={column.name}>
+									<td>{column.name}</td>
+									<td>
+										<code>{column.type}</code>
+										{!column.nullable && ` ${__('NOT NULL', 'affinite-db-manager')}`}
+									</td>
+									<td>
+										<SelectControl
+											value={mapping[column.name] ?? ''}
+											options={[
+												{ label: __('— Skip (use default) —', 'affinite-db-manager'), value: '' },
+												...headers.map((header, index) => ({ label: header, value: String(index) })),
+											]}
+											onChange={(value) => setMapping({ ...mapping, [column.name]: value })}
+											__nextHasNoMarginBottom
+										/>
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+
+					{missingRequired.length > 0 && (
+						<p className="affinite-db-manager__import-warning">
+							{__('New rows need a value for these unmapped columns and will be rejected:', 'affinite-db-manager')}{' '}
+							{missingRequired.map((column) => column.name).join(', ')}
+						</p>
+					)}
+
+					{mappedColumns.length > 0 && (
+						<>
+							<h3>{__('Preview', 'affinite-db-manager')}</h3>
+							<p className={invalidCount > 0 ? 'affinite-db-manager__import-warning' : undefined}>
+								{invalidCount > 0
+									? sprintf(
+										/* translators: 1: number of invalid rows, 2: number of rows */
+										_n('%1$d of %2$d rows has invalid values and will be rejected.', '%1$d of %2$d rows have invalid values and will be rejected.', invalidCount, 'affinite-db-manager'),
+										invalidCount,
+										dataRows.length
+									)
+									: __('All values match their column types.', 'affinite-db-manager')}
+							</p>
+							<div className="affinite-db-manager__import-preview">
+								<table className="affinite-db-manager__data-table">
+									<thead>
+										<tr>
+											{mappedColumns.map((column) => (
+												<th key={column.name}>{column.name}</th>
+											))}
+										</tr>
+									</thead>
+									<tbody>
+										{dataRows.slice(0, PREVIEW_ROWS).map((fields, index) => {
+											const row = buildRow(fields, mappedColumns, mapping, emptyAsNull);
+
+											return (
+												<tr key={index}>
+													{mappedColumns.map((column) => {
+														const reason = validation[index]?.[column.name];
+
+														return (
+															<td
+																key={column.name}
+																className={reason ? 'affinite-db-manager__import-invalid' : undefined}
+																title={reason || undefined}
+															>
+																{row[column.name] === null
+																	? <em>NULL</em>
+																	: row[column.name]}
+															</td>
+														);
+													})}
+												</tr>
+											);
+										})}
+									</tbody>
+								</table>
+							</div>
+						</>
+					)}
+				</>
+			)}
+
+			{step === STEPS.IMPORT && (
+				<>
+					<progress
+						className="affinite-db-manager__import-progress"
+						value={progress}
+						max={dataRows.length}
+					/>
+					<p>
+						{sprintf(
+							/* translators: 1: processed rows, 2: number of rows */
+							_n('%1$d of %2$d row processed.', '%1$d of %2$d rows processed.', dataRows.length, 'affinite-db-manager'),
+							progress,
+							dataRows.length
+						)}
+					</p>
+					{result && (
+						<ul className="affinite-db-manager__import-result">
+							{result.cancelled && <li>{__('The import was stopped.', 'affinite-db-manager')}</li>}
+							<li>
+								{sprintf(
+									/* translators: %d: number of rows */
+									__('Inserted: %d', 'affinite-db-manager'),
+									result.inserted
+								)}
+							</li>
+							<li>
+								{sprintf(
+									/* translators: %d: number of rows */
+									__('Updated: %d', 'affinite-db-manager'),
+									result.updated
+								)}
+							</li>
+							<li>
+								{sprintf(
+									/* translators: %d: number of rows */
+									__('Rejected: %d', 'affinite-db-manager'),
+									result.rejected.length
+								)}
+							</li>
+						</ul>
+					)}
+				</>
+			)}
+		</Modal>
+	);
+};
+
+export default ImportModal;
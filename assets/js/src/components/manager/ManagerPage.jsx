@@ -21,14 +21,23 @@ import WarningIcon from '../common/WarningIcon';
  */
 const ManagerPage = memo(({ settings, showNotification }) => {
 	const { isActive, hasAccess } = useAccess(settings);
-	const [selectedTable, setSelectedTable] = useState(null);
+	// Tables opened by following foreign keys, each with the filters of its Data tab.
+	const [trail, setTrail] = useState([]);
 
 	const handleBack = useCallback(() => {
-		setSelectedTable(null);
+		setTrail([]);
 	}, []);
 
 	const handleSelectTable = useCallback((tableName) => {
-		setSelectedTable(tableName);
+		setTrail([{ tableName, filters: [] }]);
+	}, []);
+
+	const handleNavigate = useCallback((tableName, filters) => {
+		setTrail((current) => [...current, { tableName, filters }]);
+	}, []);
+
+	const handleTrailSelect = useCallback((index) => {
+		setTrail((current) => current.slice(0, index + 1));
 	}, []);
 
 	// Show no access message if not active or no access.
@@ -56,11 +65,18 @@ const ManagerPage = memo(({ settings, showNotification }) => {
 	}
 
 	// Show table detail if a table is selected.
-	if (selectedTable) {
+	if (trail.length > 0) {
+		const current = trail[trail.length - 1];
+
 		return (
 			<TableDetail
-				tableName={selectedTable}
+				key={trail.length}
+				tableName={current.tableName}
+				initialFilters={current.filters}
+				trail={trail}
 				onBack={handleBack}
+				onNavigate={handleNavigate}
+				onTrailSelect={handleTrailSelect}
 				showNotification={showNotification}
 			/>
 		);
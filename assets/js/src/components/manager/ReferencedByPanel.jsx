@@ -0,0 +1,113 @@
+/**
+ * Referenced-by panel component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Spinner } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { getIncomingRelations } from '../../api/relations';
+
+/**
+ * Panel listing rows of other tables that reference a row.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.tableName Table name.
+ * @param {Object} props.rowKey Primary key values of the row.
+ * @param {Function} props.onNavigate Callback to open a referencing table with filters (optional).
+ * @param {Function} props.showNotification Callback to show notification.
+ * @returns {JSX.Element} Referenced-by panel component.
+ */
+const ReferencedByPanel = ({ tableName, rowKey, onNavigate, showNotification }) => {
+	const [relations, setRelations] = useState(null);
+	const keyValue = JSON.stringify(rowKey);
+
+	useEffect(() => {
+		let cancelled = false;
+
+		setRelations(null);
+		getIncomingRelations(tableName, JSON.parse(keyValue))
+			.then((result) => {
+				if (!cancelled) {
+					setRelations(result);
+				}
+			})
+			.catch((error) => {
+				if (!cancelled) {
+					setRelations([]);
+					showNotification(error.message || __('Failed to load referencing rows.', 'affinite-db-manager'), 'error');
+				}
+			});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [tableName, keyValue, showNotification]);
+
+	return (
+		<aside className="affinite-db-manager__referenced-by">
+			<div className="affinite-db-manager__cell-inspector-header">
+				<strong>{__('Referenced by', 'affinite-db-manager')}</strong>
+			</div>
+
+			<div className="affinite-db-manager__cell-inspector-body">
+				{relations === null && <Spinner />}
+				{relations !== null && relations.length === 0 && (
+					<p className="affinite-db-manager__data-hint">
+						{__('No other tables reference this table.', 'affinite-db-manager')}
+					</p>
+				)}
+				{relations !== null && relations.length > 0 && (
+					<ul className="affinite-db-manager__referenced-by-list">
+						{relations.map((relation) => (
+							<li key={`${relation.table}.${relation.name}`}>
+								<div>
+									<code>
+										{relation.columns.length === 1
+											? `${relation.table}.${relation.columns[0]}`
+											: `${relation.table}.(${relation.columns.join(', ')})`}
+									</code>
+									<span className="affinite-db-manager__data-hint"> ON DELETE {relation.on_delete}</span>
+								</div>
+								<div className="affinite-db-manager__referenced-by-count">
+									<span>
+										{sprintf(
+											/* translators: %s: number of rows */
+											_n('%s row', '%s rows', relation.count, 'affinite-db-manager'),
+											relation.count.toLocaleString()
+										)}
+										{relation.is_locked && (
+											<span className="affinite-db-manager__locked-badge" title={__('Locked tables are read-only, but ON DELETE rules still apply to them.', 'affinite-db-manager')}>
+												{__('Locked', 'affinite-db-manager')}
+											</span>
+										)}
+									</span>
+									{onNavigate && relation.count > 0 && (
+										<Button
+											variant="link"
+											onClick={() =>
+												onNavigate(
+													relation.table,
+													Object.entries(relation.values).map(([column, value]) => ({
+														column,
+														operator: '=',
+														value: String(value),
+													}))
+												)
+											}
+										>
+											{__('Show rows', 'affinite-db-manager')}
+										</Button>
+									)}
+								</div>
+							</li>
+						))}
+					</ul>
+				)}
+			</div>
+		</aside>
+	);
+};
+
+export default ReferencedByPanel;
@@ -0,0 +1,361 @@
+/**
+ * Find and replace modal component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState, useRef } from '@wordpress/element';
+import { Button, TextControl, SelectControl, CheckboxControl } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import Modal from '../common/Modal';
+import { replaceValues } from '../../api/data';
+
+// Number of changes listed in the preview.
+const PREVIEW_LIMIT = 100;
+
+/**
+ * Format a primary key for display.
+ *
+ * @param {Object} key Primary key values keyed by column name.
+ * @returns {string} Key like "id = 5".
+ */
+const formatKey = (key) => {
+	return Object.entries(key)
+		.map(([column, value]) => `${column} = ${value}`)
+		.join(', ');
+};
+
+/**
+ * Find and replace modal component.
+ *
+ * Replaces plain text or a regular expression in the chosen columns. The
+ * changes are previewed first, then applied in batches. PHP-serialized
+ * values are rewritten on the server with their string lengths fixed.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.tableName Table name.
+ * @param {Array<string>} props.columns Names of the columns that can be searched in.
+ * @param {Function} props.onClose Callback when modal is closed.
+ * @param {Function} props.onComplete Callback when rows have been changed.
+ * @param {Function} props.showNotification Callback to show notification.
+ * @returns {JSX.Element} Find and replace modal component.
+ */
+const ReplaceModal = ({ tableName, columns, onClose, onComplete, showNotification }) => {
+	const [selectedColumns, setSelectedColumns] = useState(columns.length === 1 ? columns : []);
+	const [search, setSearch] = useState('');
+	const [replace, setReplace] = useState('');
+	const [mode, setMode] = useState('text');
+	const [caseSensitive, setCaseSensitive] = useState(true);
+	const [preview, setPreview] = useState(null);
+	const [progress, setProgress] = useState(null);
+	const [running, setRunning] = useState(false);
+	const cancelled = useRef(false);
+
+	const canSearch = selectedColumns.length > 0 && search !== '';
+
+	/**
+	 * Update a form field, discarding a preview made with the old value.
+	 *
+	 * @param {Function} setter State setter of the field.
+	 * @returns {Function} Change handler.
+	 */
+	const handleChange = (setter) => (value) => {
+		setter(value);
+		setPreview(null);
+	};
+
+	/**
+	 * Toggle a column to search in.
+	 *
+	 * @param {string} column Column name.
+	 * @param {boolean} checked Whether the column is selected.
+	 */
+	const toggleColumn = (column, checked) => {
+		setSelectedColumns(checked ? [...selectedColumns, column] : selectedColumns.filter((name) => name !== column));
+		setPreview(null);
+	};
+
+	/**
+	 * Walk the table in batches.
+	 *
+	 * @param {boolean} dryRun Whether to only list the changes.
+	 * @param {Function} onBatch Callback with the totals after each batch, returning true to stop.
+	 * @returns {Promise<Object>} Totals of scanned, changed and skipped rows, changes and whether the table was fully walked.
+	 */
+	const walk = async (dryRun, onBatch) => {
+		const totals = { scanned: 0, changed: 0, skipped: 0, changes: [], done: false };
+		let after = null;
+
+		cancelled.current = false;
+
+		while (!cancelled.current) {
+			const response = await replaceValues(tableName, {
+				columns: selectedColumns,
+				search,
+				replace,
+				mode,
+				case_sensitive: caseSensitive,
+				dry_run: dryRun,
+				...(after ? { after } : {}),
+			});
+
+			totals.scanned += response.scanned;
+			totals.changed += response.changed;
+			totals.skipped += response.skipped;
+			totals.changes = [...totals.changes, ...response.changes];
+			after = response.next;
+
+			if (!after) {
+				totals.done = true;
+				break;
+			}
+
+			if (onBatch({ ...totals })) {
+				break;
+			}
+		}
+
+		return totals;
+	};
+
+	/**
+	 * List the changes of the first matching rows.
+	 */
+	const runPreview = async () => {
+		setRunning(true);
+		setProgress(null);
+
+		try {
+			const totals = await walk(true, (current) => current.changes.length >= PREVIEW_LIMIT);
+
+			setPreview({ ...totals, changes: totals.changes.slice(0, PREVIEW_LIMIT) });
+		} catch (error) {
+			showNotification(error.message || __('Failed to preview the replacement.', 'affinite-db-manager'), 'error');
+		} finally {
+			setRunning(false);
+		}
+	};
+
+	/**
+	 * Apply the replacement to all rows in batches.
+	 */
+	const runReplace = async () => {
+		setRunning(true);
+		setProgress({ scanned: 0, changed: 0, skipped: 0 });
+
+		try {
+			const totals = await walk(false, (current) => {
+				setProgress(current);
+
+				return false;
+			});
+
+			setProgress({ ...totals, cancelled: cancelled.current });
+			showNotification(
+				sprintf(
+					/* translators: %d: number of rows */
+					_n('Replacement finished: %d row changed.', 'Replacement finished: %d rows changed.', totals.changed, 'affinite-db-manager'),
+					totals.changed
+				),
+				totals.skipped > 0 ? 'warning' : 'success'
+			);
+
+			if (totals.changed > 0) {
+				onComplete();
+			}
+		} catch (error) {
+			showNotification(error.message || __('Failed to replace values.', 'affinite-db-manager'), 'error');
+		} finally {
+			setRunning(false);
+		}
+	};
+
+	/**
+	 * Close the modal, stopping a running replacement after the current batch.
+	 */
+	const handleClose = () => {
+		cancelled.current = true;
+		onClose();
+	};
+
+	let footer;
+
+	if (progress) {
+		footer = running ? (
+			<Button variant="secondary" onClick={() => (cancelled.current = true)}>
+				{__('Stop', 'affinite-db-manager')}
+			</Button>
+		) : (
+			<Button variant="primary" onClick={handleClose}>
+				{__('Close', 'affinite-db-manager')}
+			</Button>
+		);
+	} else {
+		footer = (
+			<>
+				<Button variant="secondary" onClick={handleClose}>
+					{__('Cancel', 'affinite-db-manager')}
+				</Button>
+				<Button variant="secondary" onClick={runPreview} isBusy={running} disabled={running || !canSearch}>
+					{__('Preview', 'affinite-db-manager')}
+				</Button>
+				<Button
+					variant="primary"
+					isDestructive
+					onClick={runReplace}
+					disabled={running || !preview || preview.changes.length === 0}
+				>
+					{__('Replace all', 'affinite-db-manager')}
+				</Button>
+			</>
+		);
+	}
+
+	return (
+		<Modal
+			title={sprintf(
+				/* translators: %s: table name */
+				__('Find and replace in %s', 'affinite-db-manager'),
+				tableName
+			)}
+			onClose={handleClose}
+			footer={footer}
+			width={900}
+			className="affinite-db-manager__replace-modal"
+		>
+			{progress ? (
+				<>
+					<progress className="affinite-db-manager__import-progress" value={running ? undefined : 1} max={1} />
+					<p>
+						{sprintf(
+							/* translators: 1: number of scanned rows, 2: number of changed rows, e.g. "3 rows changed" */
+							_n('%1$d row scanned, %2$s.', '%1$d rows scanned, %2$s.', progress.scanned, 'affinite-db-manager'),
+							progress.scanned,
+							sprintf(
+								/* translators: %d: number of rows */
+								_n('%d row changed', '%d rows changed', progress.changed, 'affinite-db-manager'),
+								progress.changed
+							)
+						)}
+					</p>
+					{progress.cancelled && <p>{__('The replacement was stopped.', 'affinite-db-manager')}</p>}
+					{progress.skipped > 0 && (
+						<p className="affinite-db-manager__import-warning">
+							{sprintf(
+								/* translators: %d: number of values */
+								_n('%d value could not be replaced in safely, such as broken serialized data, and was left unchanged.', '%d values could not be replaced in safely, such as broken serialized data, and were left unchanged.', progress.skipped, 'affinite-db-manager'),
+								progress.skipped
+							)}
+						</p>
+					)}
+				</>
+			) : (
+				<>
+					<fieldset className="affinite-db-manager__replace-columns">
+						<legend>{__('Columns', 'affinite-db-manager')}</legend>
+						{columns.length === 0 && <p>{__('This table has no text columns to search in.', 'affinite-db-manager')}</p>}
+						{columns.map((column) => (
+							<CheckboxControl
+								key={column}
+								label={column}
+								checked={selectedColumns.includes(column)}
+								onChange={(checked) => toggleColumn(column, checked)}
+							/>
+						))}
+					</fieldset>
+
+					<div className="affinite-db-manager__import-options">
+						<TextControl
+							label={mode === 'regex' ? __('Pattern', 'affinite-db-manager') : __('Find', 'affinite-db-manager')}
+							value={search}
+							onChange={handleChange(setSearch)}
+							placeholder={mode === 'regex' ? 'https?://old\\.example\\.com' : 'old.example.com'}
+						/>
+						<TextControl
+							label={__('Replace with', 'affinite-db-manager')}
+							value={replace}
+							onChange={handleChange(setReplace)}
+							help={mode === 'regex' ? __('Use $1, $2… for captured groups.', 'affinite-db-manager') : undefined}
+						/>
+						<SelectControl
+							label={__('Match', 'affinite-db-manager')}
+							value={mode}
+							options={[
+								{ label: __('Plain text', 'affinite-db-manager'), value: 'text' },
+								{ label: __('Regular expression', 'affinite-db-manager'), value: 'regex' },
+							]}
+							onChange={handleChange(setMode)}
+						/>
+						<CheckboxControl
+							label={__('Case sensitive', 'affinite-db-manager')}
+							checked={caseSensitive}
+							onChange={handleChange(setCaseSensitive)}
+						/>
+					</div>
+
+					<p className="description">
+						{__('PHP-serialized values are rewritten with corrected string lengths. Primary key columns cannot be changed.', 'affinite-db-manager')}
+					</p>
+
+					{preview && (
+						<>
+							<p>
+								{preview.done
+									? sprintf(
+										/* translators: 1: number of changed rows, 2: number of scanned rows, e.g. "3 rows scanned" */
+										_n('%1$d row will change out of %2$s.', '%1$d rows will change out of %2$s.', preview.changed, 'affinite-db-manager'),
+										preview.changed,
+										sprintf(
+											/* translators: %d: number of rows */
+											_n('%d row scanned', '%d rows scanned', preview.scanned, 'affinite-db-manager'),
+											preview.scanned
+										)
+									)
+									: sprintf(
+										/* translators: %d: number of listed changes */
+										_n('Showing the first %d change, more rows may match.', 'Showing the first %d changes, more rows may match.', preview.changes.length, 'affinite-db-manager'),
+										preview.changes.length
+									)}
+							</p>
+							{preview.skipped > 0 && (
+								<p className="affinite-db-manager__import-warning">
+									{sprintf(
+										/* translators: %d: number of values */
+										_n('%d value cannot be replaced in safely, such as broken serialized data, and will be left unchanged.', '%d values cannot be replaced in safely, such as broken serialized data, and will be left unchanged.', preview.skipped, 'affinite-db-manager'),
+										preview.skipped
+									)}
+								</p>
+							)}
+							{preview.changes.length > 0 && (
+								<div className="affinite-db-manager__import-preview">
+									<table className="affinite-db-manager__data-table affinite-db-manager__replace-preview">
+										<thead>
+											<tr>
+												<th>{__('Row', 'affinite-db-manager')}</th>
+												<th>{__('Column', 'affinite-db-manager')}</th>
+												<th>{__('Before', 'affinite-db-manager')}</th>
+												<th>{__('After', 'affinite-db-manager')}</th>
+											</tr>
+										</thead>
+										<tbody>
+											{preview.changes.map((change, index) => (
+												<tr key={index}>
+													<td>{formatKey(change.key)}</td>
+													<td>{change.column}</td>
+													<td className="affinite-db-manager__replace-before">{change.before}</td>
+													<td className="affinite-db-manager__replace-after">{change.after}</td>
+												</tr>
+											))}
+										</tbody>
+									</table>
+								</div>
+							)}
+						</>
+					)}
+				</>
+			)}
+		</Modal>
+	);
+};
+
+export default ReplaceModal;
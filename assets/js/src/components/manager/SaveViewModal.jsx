@@ -0,0 +1,88 @@
+/**
+ * Save view modal component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, TextControl, CheckboxControl } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import Modal from '../common/Modal';
+
+/**
+ * Save view modal component.
+ *
+ * Saves the current filters, sorting, search and column layout under a name.
+ * When the applied view belongs to the current user, it can be updated
+ * instead of saved as a new one.
+ *
+ * @param {Object} props Component props.
+ * @param {Object} props.view Applied saved view (optional).
+ * @param {Function} props.onSave Callback with name, shared and the ID of the view to update, resolving when saved.
+ * @param {Function} props.onClose Callback when modal is closed.
+ * @returns {JSX.Element} Save view modal component.
+ */
+const SaveViewModal = ({ view, onSave, onClose }) => {
+	const canUpdate = !!view && view.is_owner;
+	const [name, setName] = useState(canUpdate ? view.name : '');
+	const [shared, setShared] = useState(canUpdate ? view.shared : false);
+	const [saving, setSaving] = useState(false);
+
+	/**
+	 * Save the view.
+	 *
+	 * @param {string} id ID of the view to update, or empty to save a new one.
+	 */
+	const handleSave = async (id) => {
+		setSaving(true);
+		await onSave({ id, name: name.trim(), shared });
+		setSaving(false);
+	};
+
+	const footer = (
+		<>
+			<Button variant="secondary" onClick={onClose} disabled={saving}>
+				{__('Cancel', 'affinite-db-manager')}
+			</Button>
+			{canUpdate && (
+				<Button variant="secondary" onClick={() => handleSave(view.id)} disabled={saving || !name.trim()}>
+					{sprintf(
+						/* translators: %s: view name */
+						__('Update "%s"', 'affinite-db-manager'),
+						view.name
+					)}
+				</Button>
+			)}
+			<Button variant="primary" onClick={() => handleSave('')} isBusy={saving} disabled={saving || !name.trim()}>
+				{canUpdate ? __('Save as new view', 'affinite-db-manager') : __('Save view', 'affinite-db-manager')}
+			</Button>
+		</>
+	);
+
+	return (
+		<Modal title={__('Save view', 'affinite-db-manager')} onClose={onClose} footer={footer}>
+			<p>{__('Saves the current filters, sorting, search and column layout.', 'affinite-db-manager')}</p>
+
+			<div className="affinite-db-manager__form-group">
+				<TextControl
+					label={__('Name', 'affinite-db-manager')}
+					value={name}
+					onChange={setName}
+					placeholder={__('e.g. Failed payments last 7 days', 'affinite-db-manager')}
+					maxLength={100}
+				/>
+			</div>
+
+			<div className="affinite-db-manager__form-group">
+				<CheckboxControl
+					label={__('Share with all users who have access to DB Manager', 'affinite-db-manager')}
+					help={__('Shared views can be applied by other users, but only you can change or delete them.', 'affinite-db-manager')}
+					checked={shared}
+					onChange={setShared}
+				/>
+			</div>
+		</Modal>
+	);
+};
+
+export default SaveViewModal;
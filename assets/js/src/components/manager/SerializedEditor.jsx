@@ -0,0 +1,224 @@
+/**
+ * PHP serialized value editor component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState, useMemo } from '@wordpress/element';
+import { Button } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import { unserialize, serialize } from '../../utils/phpSerialize';
+
+/**
+ * Replace a node in the tree at the given path.
+ *
+ * @param {Object} node Root node.
+ * @param {Array<number>} path Item indexes leading to the node.
+ * @param {Object} changes Node changes.
+ * @returns {Object} New root node.
+ */
+const updateAt = (node, path, changes) => {
+	if (path.length === 0) {
+		return { ...node, ...changes };
+	}
+
+	const [index, ...rest] = path;
+	const items = node.items.map((item, i) => (i === index ? { ...item, value: updateAt(item.value, rest, changes) } : item));
+
+	return { ...node, items };
+};
+
+/**
+ * Find the first invalid number in the tree.
+ *
+ * @param {Object} node Node to check.
+ * @returns {string|null} Invalid value, or null if all numbers are valid.
+ */
+const findInvalidNumber = (node) => {
+	if (node.type === 'int' && !/^[+-]?\d+$/.test(node.value)) {
+		return node.value;
+	}
+
+	if (node.type === 'float' && !/^(?:[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|INF|-INF|NAN)$/.test(node.value)) {
+		return node.value;
+	}
+
+	for (const item of node.items || []) {
+		const invalid = findInvalidNumber(item.value);
+		if (invalid !== null) {
+			return invalid;
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Format an array key or object property name for display.
+ *
+ * Private and protected property names contain NUL bytes, shown as \0.
+ *
+ * @param {Object} key Key node.
+ * @returns {string} Display name.
+ */
+const formatKey = (key) => {
+	return key.type === 'int' ? `[${key.value}]` : key.value.replace(/\0/g, '\\0');
+};
+
+/**
+ * Single node of the serialized value tree.
+ *
+ * @param {Object} props Component props.
+ * @param {Object} props.node Node to render.
+ * @param {string} props.name Display name of the node (optional).
+ * @param {Array<number>} props.path Item indexes leading to the node.
+ * @param {boolean} props.editable Whether leaf values can be edited.
+ * @param {Function} props.onChange Callback with the path and node changes.
+ * @returns {JSX.Element} Serialized node component.
+ */
+const SerializedNode = ({ node, name, path, editable, onChange }) => {
+	const label = name !== undefined && <span className="affinite-db-manager__json-key">{name}: </span>;
+
+	if (node.type === 'array' || node.type === 'object') {
+		const summary = node.type === 'array' ? `array(${node.items.length})` : `${node.className} {${node.items.length}}`;
+
+		return (
+			<details className="affinite-db-manager__json-node" open={path.length < 2}>
+				<summary>
+					{label}
+					<span className="affinite-db-manager__json-summary">{summary}</span>
+				</summary>
+				{node.items.map((item, index) => (
+					<SerializedNode
+						key={index}
+						node={item.value}
+						name={formatKey(item.key)}
+						path={[...path, index]}
+						editable={editable}
+						onChange={onChange}
+					/>
+				))}
+			</details>
+		);
+	}
+
+	let input;
+
+	if (node.type === 'null') {
+		input = <em>NULL</em>;
+	} else if (node.type === 'bool') {
+		input = (
+			<input
+				type="checkbox"
+				checked={node.value}
+				disabled={!editable}
+				onChange={(e) => onChange(path, { value: e.target.checked })}
+			/>
+		);
+	} else if (!editable) {
+		input = (
+			<span className={`affinite-db-manager__json-value--${node.type === 'string' ? 'string' : 'number'}`}>
+				{node.type === 'string' ? JSON.stringify(node.value) : node.value}
+			</span>
+		);
+	} else if (node.type === 'string' && (node.value.includes('\n') || node.value.length > 60)) {
+		input = (
+			<textarea
+				className="affinite-db-manager__cell-input"
+				rows={3}
+				value={node.value}
+				onChange={(e) => onChange(path, { value: e.target.value })}
+			/>
+		);
+	} else {
+		input = (
+			<input
+				type="text"
+				className="affinite-db-manager__cell-input"
+				inputMode={node.type === 'string' ? undefined : 'decimal'}
+				value={node.value}
+				onChange={(e) => onChange(path, { value: e.target.value })}
+			/>
+		);
+	}
+
+	return (
+		<div className="affinite-db-manager__json-leaf affinite-db-manager__serialized-leaf">
+			{label}
+			{input}
+			<span className="affinite-db-manager__json-summary"> {node.type}</span>
+		</div>
+	);
+};
+
+/**
+ * Editor for PHP-serialized values.
+ *
+ * Shows the value as a tree; leaf values can be edited and are written back
+ * as valid serialized data with recalculated string lengths.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.value Serialized value.
+ * @param {boolean} props.saving Whether the value is being saved.
+ * @param {Function} props.onSave Callback with the new serialized value; omit to make the editor read-only.
+ * @param {Function} props.showNotification Callback to show notification.
+ * @returns {JSX.Element} Serialized editor component.
+ */
+const SerializedEditor = ({ value, saving = false, onSave, showNotification }) => {
+	const original = useMemo(() => unserialize(value), [value]);
+	const [tree, setTree] = useState(original);
+
+	const editable = typeof onSave === 'function';
+	const isDirty = tree !== original;
+
+	/**
+	 * Apply changes to a node.
+	 *
+	 * @param {Array<number>} path Item indexes leading to the node.
+	 * @param {Object} changes Node changes.
+	 */
+	const handleChange = (path, changes) => {
+		setTree(updateAt(tree, path, changes));
+	};
+
+	/**
+	 * Serialize the tree and save it.
+	 */
+	const handleSave = () => {
+		const invalid = findInvalidNumber(tree);
+
+		if (invalid !== null) {
+			showNotification(
+				sprintf(
+					/* translators: %s: value */
+					__('Invalid number: %s', 'affinite-db-manager'),
+					invalid
+				),
+				'error'
+			);
+			return;
+		}
+
+		onSave(serialize(tree));
+	};
+
+	return (
+		<div className="affinite-db-manager__serialized-editor">
+			<div className="affinite-db-manager__json-tree">
+				<SerializedNode node={tree} path={[]} editable={editable && !saving} onChange={handleChange} />
+			</div>
+			{editable && isDirty && (
+				<div className="affinite-db-manager__cell-editor-actions" style={{ marginTop: '10px' }}>
+					<Button variant="primary" onClick={handleSave} isBusy={saving} disabled={saving} isSmall>
+						{__('Save', 'affinite-db-manager')}
+					</Button>
+					<Button variant="secondary" onClick={() => setTree(original)} disabled={saving} isSmall>
+						{__('Reset', 'affinite-db-manager')}
+					</Button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default SerializedEditor;
@@ -0,0 +1,339 @@
+/**
+ * SQL import modal component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState, useRef } from '@wordpress/element';
+import { Button, SelectControl, CheckboxControl } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import Modal from '../common/Modal';
+import { importSql, SQL_BATCH_SIZE, SQL_MAX_BATCH_SIZE, SQL_BATCH_LENGTH } from '../../api/import';
+import { splitSqlStatements } from '../../utils/sqlSplit';
+
+const MAX_LISTED_ERRORS = 50;
+
+// Statements starting and ending a transaction or table lock, optionally in a conditional comment.
+const BLOCK_START = /^(?:\/\*!\d*\s*)?(?:START\s+TRANSACTION|BEGIN|LOCK\s+TABLES?|SET\b.*\bAUTOCOMMIT\s*:?=\s*['"]?(?:0|OFF|FALSE)\b)/is;
+const BLOCK_END = /^(?:\/\*!\d*\s*)?(?:COMMIT|ROLLBACK|UNLOCK\s+TABLES)\b/i;
+
+/**
+ * Group statements into request batches.
+ *
+ * Each batch runs in its own database session, so a batch is not ended
+ * inside a transaction or table lock until it reaches the size the server
+ * accepts.
+ *
+ * @param {Array<string>} statements SQL statements.
+ * @returns {Array<Object>} Batches with the index of their first statement and their statements.
+ */
+const getBatches = (statements) => {
+	const batches = [];
+	let batch = null;
+	let length = 0;
+	let inBlock = false;
+
+	statements.forEach((statement, index) => {
+		const size = inBlock ? SQL_MAX_BATCH_SIZE : SQL_BATCH_SIZE;
+
+		if (!batch || batch.statements.length >= size || length + statement.length > SQL_BATCH_LENGTH) {
+			batch = { start: index, statements: [] };
+			batches.push(batch);
+			length = 0;
+		}
+
+		batch.statements.push(statement);
+		length += statement.length;
+
+		if (BLOCK_START.test(statement)) {
+			inBlock = true;
+		} else if (BLOCK_END.test(statement)) {
+			inBlock = false;
+		}
+	});
+
+	return batches;
+};
+
+/**
+ * SQL import modal component.
+ *
+ * Splits an uploaded SQL file into statements and executes them in batches.
+ *
+ * @param {Object} props Component props.
+ * @param {Function} props.onClose Callback when modal is closed.
+ * @param {Function} props.onComplete Callback when statements have been executed.
+ * @param {Function} props.showNotification Callback to show notification.
+ * @returns {JSX.Element} SQL import modal component.
+ */
+const SqlImportModal = ({ onClose, onComplete, showNotification }) => {
+	const [fileName, setFileName] = useState('');
+	const [statements, setStatements] = useState([]);
+	const [onError, setOnError] = useState('stop');
+	const [allowProtected, setAllowProtected] = useState(false);
+	const [running, setRunning] = useState(false);
+	const [progress, setProgress] = useState(0);
+	const [result, setResult] = useState(null);
+	const cancelled = useRef(false);
+
+	/**
+	 * Read and split the selected file.
+	 *
+	 * @param {Event} e Change event of the file input.
+	 */
+	const handleFile = async (e) => {
+		const file = e.target.files[0];
+
+		if (!file) {
+			return;
+		}
+
+		try {
+			setStatements(splitSqlStatements(await file.text()));
+			setFileName(file.name);
+			setResult(null);
+		} catch (error) {
+			showNotification(error.message || __('Failed to read the file.', 'affinite-db-manager'), 'error');
+		}
+	};
+
+	/**
+	 * Execute all statements in batches.
+	 */
+	const runImport = async () => {
+		const totals = { executed: 0, failed: 0, stopped: false, tables: {}, errors: [], warnings: [] };
+		let session = {};
+
+		cancelled.current = false;
+		setRunning(true);
+		setProgress(0);
+		setResult(null);
+
+		for (const batch of getBatches(statements)) {
+			if (cancelled.current || totals.stopped) {
+				break;
+			}
+
+			try {
+				const response = await importSql(batch.statements, { stopOnError: onError === 'stop', allowProtected, session });
+
+				totals.executed += response.executed;
+				totals.failed += response.failed;
+				totals.stopped = response.stopped;
+				session = response.session;
+
+				Object.entries(response.tables).forEach(([table, counts]) => {
+					const previous = totals.tables[table] || { statements: 0, rows: 0 };
+
+					totals.tables[table] = {
+						statements: previous.statements + counts.statements,
+						rows: previous.rows + counts.rows,
+					};
+				});
+
+				response.errors.forEach((error) => {
+					totals.errors.push({ ...error, index: batch.start + error.index });
+				});
+
+				response.warnings
+					.filter((warning) => !totals.warnings.includes(warning))
+					.forEach((warning) => totals.warnings.push(warning));
+			} catch (error) {
+				totals.failed += batch.statements.length;
+				totals.stopped = onError === 'stop';
+				totals.errors.push({
+					index: batch.start,
+					message: error.message || __('Import request failed.', 'affinite-db-manager'),
+					statement: batch.statements[0].slice(0, 200),
+				});
+			}
+
+			setProgress(batch.start + batch.statements.length);
+		}
+
+		setRunning(false);
+		setResult({ ...totals, cancelled: cancelled.current });
+
+		if (totals.executed > 0) {
+			onComplete();
+		}
+
+		showNotification(
+			sprintf(
+				/* translators: 1: number of executed statements, 2: number of failed statements */
+				_n('SQL import finished: %1$d statement executed, %2$d failed.', 'SQL import finished: %1$d statements executed, %2$d failed.', totals.executed, 'affinite-db-manager'),
+				totals.executed,
+				totals.failed
+			),
+			totals.failed > 0 ? 'warning' : 'success'
+		);
+	};
+
+	/**
+	 * Close the modal, stopping a running import after the current batch.
+	 */
+	const handleClose = () => {
+		cancelled.current = true;
+		onClose();
+	};
+
+	const footer = running ? (
+		<Button variant="secondary" onClick={() => (cancelled.current = true)}>
+			{__('Stop', 'affinite-db-manager')}
+		</Button>
+	) : (
+		<>
+			<Button variant="secondary" onClick={handleClose}>
+				{__('Close', 'affinite-db-manager')}
+			</Button>
+			<Button variant="primary" onClick={runImport} disabled={statements.length === 0}>
+				{sprintf(
+					/* translators: %d: number of statements */
+					_n('Execute %d statement', 'Execute %d statements', statements.length, 'affinite-db-manager'),
+					statements.length
+				)}
+			</Button>
+		</>
+	);
+
+	const tables = result ? Object.entries(result.tables) : [];
+
+	return (
+		<Modal
+			title={__('Import SQL file', 'affinite-db-manager')}
+			onClose={handleClose}
+			footer={footer}
+			width={700}
+			className="affinite-db-manager__import-modal"
+		>
+			<div className="affinite-db-manager__form-group">
+				<label htmlFor="affinite-db-manager-sql-file">{__('SQL file', 'affinite-db-manager')}</label>
+				<input
+					id="affinite-db-manager-sql-file"
+					type="file"
+					accept=".sql,text/plain,application/sql"
+					onChange={handleFile}
+					disabled={running}
+				/>
+				{fileName && (
+					<p>
+						{sprintf(
+							/* translators: %d: number of statements */
+							_n('%d statement found.', '%d statements found.', statements.length, 'affinite-db-manager'),
+							statements.length
+						)}
+					</p>
+				)}
+			</div>
+
+			<div className="affinite-db-manager__form-group">
+				<SelectControl
+					label={__('On error', 'affinite-db-manager')}
+					value={onError}
+					options={[
+						{ label: __('Stop at the first failed statement', 'affinite-db-manager'), value: 'stop' },
+						{ label: __('Continue and report failed statements', 'affinite-db-manager'), value: 'continue' },
+					]}
+					onChange={setOnError}
+					disabled={running}
+				/>
+			</div>
+
+			<div className="affinite-db-manager__form-group">
+				<CheckboxControl
+					label={__('Allow statements on locked and WordPress core tables', 'affinite-db-manager')}
+					help={allowProtected ? __('The file can overwrite or drop protected tables. Make sure you have a backup.', 'affinite-db-manager') : ''}
+					checked={allowProtected}
+					onChange={setAllowProtected}
+					disabled={running}
+				/>
+			</div>
+
+			{(running || result) && (
+				<>
+					<progress
+						className="affinite-db-manager__import-progress"
+						value={progress}
+						max={statements.length}
+					/>
+					<p>
+						{sprintf(
+							/* translators: 1: processed statements, 2: number of statements */
+							_n('%1$d of %2$d statement processed.', '%1$d of %2$d statements processed.', statements.length, 'affinite-db-manager'),
+							progress,
+							statements.length
+						)}
+					</p>
+				</>
+			)}
+
+			{result && (
+				<>
+					{(result.cancelled || result.stopped) && (
+						<p className="affinite-db-manager__import-warning">
+							{result.cancelled
+								? __('The import was stopped.', 'affinite-db-manager')
+								: __('The import stopped at a failed statement.', 'affinite-db-manager')}
+						</p>
+					)}
+
+					{result.warnings.map((warning) => (
+						<p key={warning} className="affinite-db-manager__import-warning">
+							{warning}
+						</p>
+					))}
+
+					{tables.length > 0 && (
+						<table className="affinite-db-manager__data-table">
+							<thead>
+								<tr>
+									<th>{__('Table', 'affinite-db-manager')}</th>
+									<th>{__('Statements', 'affinite-db-manager')}</th>
+									<th>{__('Rows affected', 'affinite-db-manager')}</th>
+								</tr>
+							</thead>
+							<tbody>
+								{tables.map(([table, counts]) => (
+									<tr key={table}>
+										<td>{table}</td>
+										<td>{counts.statements.toLocaleString()}</td>
+										<td>{counts.rows.toLocaleString()}</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					)}
+
+					{result.errors.length > 0 && (
+						<ul className="affinite-db-manager__import-errors">
+							{result.errors.slice(0, MAX_LISTED_ERRORS).map((error) => (
+								<li key={error.index}>
+									<strong>
+										{sprintf(
+											/* translators: %d: statement number */
+											__('Statement %d:', 'affinite-db-manager'),
+											error.index + 1
+										)}
+									</strong>{' '}
+									{error.message}
+									<code>{error.statement}</code>
+								</li>
+							))}
+							{result.errors.length > MAX_LISTED_ERRORS && (
+								<li>
+									{sprintf(
+										/* translators: %d: number of statements */
+										_n('%d more failed statement is not listed.', '%d more failed statements are not listed.', result.errors.length - MAX_LISTED_ERRORS, 'affinite-db-manager'),
+										result.errors.length - MAX_LISTED_ERRORS
+									)}
+								</li>
+							)}
+						</ul>
+					)}
+				</>
+			)}
+		</Modal>
+	);
+};
+
+export default SqlImportModal;
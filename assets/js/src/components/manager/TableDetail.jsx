@@ -4,18 +4,23 @@
  * @package Affinite\DBManager
  */
 
-import { useState, useEffect, useCallback, memo } from '@wordpress/element';
-import { Button, Spinner } from '@wordpress/components';
-import { __ } from '@wordpress/i18n';
+import { useState, useEffect, useCallback, useMemo, memo } from '@wordpress/element';
+import { Button, SelectControl, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
 import { useTable } from '../../hooks/useTables';
+import { useSavedViews } from '../../hooks/useSavedViews';
 import { getColumns } from '../../api/columns';
 import { getIndexes } from '../../api/indexes';
 import { getRelations } from '../../api/relations';
 import { getData } from '../../api/data';
+import { getTableStats } from '../../api/tables';
+import { saveLayout } from '../../api/settings';
 import ColumnEditor from './ColumnEditor';
 import IndexManager from './IndexManager';
 import RelationEditor from './RelationEditor';
 import DataPreview from './DataPreview';
+import ColumnStats from './ColumnStats';
+import ConfirmDialog from '../common/ConfirmDialog';
 import LockIcon from '../common/LockIcon';
 import ArrowBackIcon from '../common/ArrowBackIcon';
 
@@ -24,6 +29,80 @@ const TABS = {
 	INDEXES: 'indexes',
 	RELATIONS: 'relations',
 	DATA: 'data',
+	STATS: 'stats',
+};
+
+const EMPTY_FILTERS = [];
+
+/**
+ * Describe the filters of a trail entry.
+ *
+ * @param {Array} filters Filters with column, operator and value.
+ * @returns {string} Description like "id = 5".
+ */
+const describeFilters = (filters) => {
+	return filters.map((filter) => `${filter.column} ${filter.operator} ${filter.value}`).join(', ');
+};
+
+/**
+ * Build data query parameters for filters.
+ *
+ * @param {Array} filters Filters with column, operator and value.
+ * @returns {Object} Query parameters.
+ */
+const getFilterParams = (filters) => {
+	return filters.length > 0 ? { filters, match: 'and' } : {};
+};
+
+/**
+ * Build data query parameters for a saved view.
+ *
+ * @param {Object} query View query with orderby, order, filters, match and search.
+ * @returns {Object} Query parameters.
+ */
+const getViewParams = (query) => {
+	const params = {};
+
+	if (query.orderby) {
+		params.orderby = query.orderby;
+		params.order = query.order;
+	}
+
+	if (query.filters.length > 0) {
+		params.filters = query.filters;
+		params.match = query.match;
+	}
+
+	if (query.search) {
+		params.search = query.search;
+	}
+
+	return params;
+};
+
+/**
+ * Get the label of a saved view in the view picker.
+ *
+ * @param {Object} view Saved view.
+ * @returns {string} View name, marked when shared.
+ */
+const getViewLabel = (view) => {
+	if (!view.shared) {
+		return view.name;
+	}
+
+	return view.is_owner
+		? sprintf(
+			/* translators: %s: view name */
+			__('%s (shared)', 'affinite-db-manager'),
+			view.name
+		)
+		: sprintf(
+			/* translators: 1: view name, 2: name of the user who shared the view */
+			__('%1$s (shared by %2$s)', 'affinite-db-manager'),
+			view.name,
+			view.owner_name
+		);
 };
 
 /**
@@ -31,19 +110,34 @@ const TABS = {
  *
  * @param {Object} props Component props.
  * @param {string} props.tableName Table name.
+ * @param {Array} props.initialFilters Filters applied to the Data tab, which then opens first (optional).
+ * @param {Array} props.trail Tables opened by following foreign keys, with their filters (optional).
  * @param {Function} props.onBack Callback to go back to table list.
+ * @param {Function} props.onNavigate Callback to open a referenced table with filters (optional).
+ * @param {Function} props.onTrailSelect Callback with the index of a trail entry to go back to (optional).
  * @param {Function} props.showNotification Callback to show notification.
  * @returns {JSX.Element} Table detail component.
  */
-const TableDetail = memo(({ tableName, onBack, showNotification }) => {
+const TableDetail = memo(({ tableName, initialFilters = EMPTY_FILTERS, trail = [], onBack, onNavigate, onTrailSelect, showNotification }) => {
 	const { table, loading, error, refetch } = useTable(tableName);
-	const [activeTab, setActiveTab] = useState(TABS.COLUMNS);
+	const initialTab = initialFilters.length > 0 ? TABS.DATA : TABS.COLUMNS;
+	const [activeTab, setActiveTab] = useState(initialTab);
 	const [columns, setColumns] = useState([]);
 	const [indexes, setIndexes] = useState([]);
 	const [relations, setRelations] = useState([]);
 	const [data, setData] = useState(null);
+	const [stats, setStats] = useState(null);
 	const [tabLoading, setTabLoading] = useState(false);
 	const [initialLoad, setInitialLoad] = useState(true);
+	const { views, saveView, removeView } = useSavedViews(tableName);
+	const [activeViewId, setActiveViewId] = useState('');
+	const [viewKey, setViewKey] = useState(0);
+	const [deletingView, setDeletingView] = useState(false);
+	const activeView = views.find((view) => view.id === activeViewId) || null;
+	const dataParams = useMemo(
+		() => (activeView ? getViewParams(activeView.query) : getFilterParams(initialFilters)),
+		[activeView, initialFilters]
+	);
 
 	// Reset state when table name changes
 	useEffect(() => {
@@ -51,9 +145,11 @@ const TableDetail = memo(({ tableName, onBack, showNotification }) => {
 		setIndexes([]);
 		setRelations([]);
 		setData(null);
+		setStats(null);
 		setInitialLoad(true);
-		setActiveTab(TABS.COLUMNS);
-	}, [tableName]);
+		setActiveViewId('');
+		setActiveTab(initialTab);
+	}, [tableName, initialTab]);
 
 	// Load Columns, Indexes, and Relations immediately on mount
 	useEffect(() => {
@@ -95,7 +191,7 @@ const TableDetail = memo(({ tableName, onBack, showNotification }) => {
 		const fetchData = async () => {
 			setTabLoading(true);
 			try {
-				const dataResult = await getData(tableName);
+				const dataResult = await getData(tableName, 100, 0, dataParams);
 				setData(dataResult);
 			} catch (err) {
 				showNotification(err.message || __('Failed to load data.', 'affinite-db-manager'), 'error');
@@ -105,7 +201,28 @@ const TableDetail = memo(({ tableName, onBack, showNotification }) => {
 		};
 
 		fetchData();
-	}, [activeTab, tableName, data, showNotification]);
+	}, [activeTab, tableName, data, dataParams, showNotification]);
+
+	// Compute Stats tab only when clicked
+	useEffect(() => {
+		if (activeTab !== TABS.STATS || stats !== null || !tableName) {
+			return;
+		}
+
+		const fetchStats = async () => {
+			setTabLoading(true);
+			try {
+				const statsResult = await getTableStats(tableName);
+				setStats(statsResult);
+			} catch (err) {
+				showNotification(err.message || __('Failed to load column statistics.', 'affinite-db-manager'), 'error');
+			} finally {
+				setTabLoading(false);
+			}
+		};
+
+		fetchStats();
+	}, [activeTab, tableName, stats, showNotification]);
 
 	/**
 	 * Refresh current tab data.
@@ -131,16 +248,73 @@ const TableDetail = memo(({ tableName, onBack, showNotification }) => {
 					setRelations(relationsData);
 					break;
 				case TABS.DATA:
-					const dataResult = await getData(tableName);
+					const dataResult = await getData(tableName, 100, 0, dataParams);
 					setData(dataResult);
 					break;
+				case TABS.STATS:
+					const statsResult = await getTableStats(tableName);
+					setStats(statsResult);
+					break;
 			}
 		} catch (err) {
 			showNotification(err.message || __('Failed to refresh data.', 'affinite-db-manager'), 'error');
 		} finally {
 			setTabLoading(false);
 		}
-	}, [tableName, activeTab, showNotification]);
+	}, [tableName, activeTab, dataParams, showNotification]);
+
+	/**
+	 * Apply a saved view, or go back to the default view.
+	 *
+	 * The column layout of the view becomes the current user's layout, then
+	 * the Data tab is reloaded with its filters, sorting and search.
+	 *
+	 * @param {string} id View ID, or empty for the default view.
+	 */
+	const handleViewChange = async (id) => {
+		const view = views.find((item) => item.id === id);
+
+		if (view) {
+			try {
+				await saveLayout(tableName, view.layout);
+			} catch (err) {
+				showNotification(err.message || __('Failed to save column layout.', 'affinite-db-manager'), 'error');
+			}
+		}
+
+		setActiveViewId(id);
+		setViewKey((key) => key + 1);
+		setData(null);
+		setActiveTab(TABS.DATA);
+	};
+
+	/**
+	 * Save a view and make it the applied one.
+	 *
+	 * @param {Object} view View with name, shared, query and layout, and the ID of an owned view to update.
+	 * @returns {Promise<Object>} Saved view.
+	 */
+	const handleSaveView = async (view) => {
+		const saved = await saveView(view);
+
+		setActiveViewId(saved.id);
+
+		return saved;
+	};
+
+	/**
+	 * Delete the applied view and go back to the default view.
+	 */
+	const handleDeleteView = async () => {
+		try {
+			await removeView(activeViewId);
+			setDeletingView(false);
+			handleViewChange('');
+			showNotification(__('View deleted.', 'affinite-db-manager'), 'success');
+		} catch (err) {
+			showNotification(err.message || __('Failed to delete view.', 'affinite-db-manager'), 'error');
+		}
+	};
 
 	if (loading) {
 		return (
@@ -168,6 +342,28 @@ const TableDetail = memo(({ tableName, onBack, showNotification }) => {
 				<Button variant="link" onClick={onBack}>
 					<ArrowBackIcon /> {__('Back to Tables', 'affinite-db-manager')}
 				</Button>
+				{trail.length > 1 && (
+					<nav className="affinite-db-manager__breadcrumbs" aria-label={__('Followed relations', 'affinite-db-manager')}>
+						{trail.map((entry, index) => {
+							const label = entry.filters.length > 0
+								? `${entry.tableName} (${describeFilters(entry.filters)})`
+								: entry.tableName;
+
+							return (
+								<span key={index} className="affinite-db-manager__breadcrumb">
+									{index > 0 && <span className="affinite-db-manager__breadcrumb-separator">›</span>}
+									{index === trail.length - 1 ? (
+										<strong>{label}</strong>
+									) : (
+										<Button variant="link" onClick={() => onTrailSelect(index)}>
+											{label}
+										</Button>
+									)}
+								</span>
+							);
+						})}
+					</nav>
+				)}
 			</div>
 
 			<div className="affinite-db-manager__card">
@@ -176,9 +372,29 @@ const TableDetail = memo(({ tableName, onBack, showNotification }) => {
 						<LockIcon locked={table.is_locked} />
 						{table.name}
 					</h2>
-					<span>
-						{table.columns} {__('columns', 'affinite-db-manager')} • {table.rows.toLocaleString()} {__('rows', 'affinite-db-manager')}
-					</span>
+					<div className="affinite-db-manager__views">
+						{views.length > 0 && (
+							<SelectControl
+								label={__('Saved view', 'affinite-db-manager')}
+								hideLabelFromVision
+								value={activeViewId}
+								options={[
+									{ label: __('Default view', 'affinite-db-manager'), value: '' },
+									...views.map((view) => ({ label: getViewLabel(view), value: view.id })),
+								]}
+								onChange={handleViewChange}
+								__nextHasNoMarginBottom
+							/>
+						)}
+						{activeView?.is_owner && (
+							<Button variant="secondary" isDestructive isSmall onClick={() => setDeletingView(true)}>
+								{__('Delete view', 'affinite-db-manager')}
+							</Button>
+						)}
+						<span>
+							{table.columns} {__('columns', 'affinite-db-manager')} • {table.rows.toLocaleString()} {__('rows', 'affinite-db-manager')}
+						</span>
+					</div>
 				</div>
 
 				<div className="affinite-db-manager__tabs">
@@ -206,10 +422,16 @@ const TableDetail = memo(({ tableName, onBack, showNotification }) => {
 					>
 						{__('Data', 'affinite-db-manager')}
 					</button>
+					<button
+						className={`affinite-db-manager__tab ${activeTab === TABS.STATS ? 'affinite-db-manager__tab--active' : ''}`}
+						onClick={() => setActiveTab(TABS.STATS)}
+					>
+						{__('Stats', 'affinite-db-manager')}
+					</button>
 				</div>
 
 				<div className="affinite-db-manager__card-body">
-					{tabLoading && (initialLoad || activeTab === TABS.DATA) ? (
+					{tabLoading && (initialLoad || activeTab === TABS.DATA || activeTab === TABS.STATS) ? (
 						<div className="affinite-db-manager__loading">
 							<Spinner />
 							<span>{__('Loading...', 'affinite-db-manager')}</span>
@@ -247,15 +469,45 @@ const TableDetail = memo(({ tableName, onBack, showNotification }) => {
 							)}
 							{activeTab === TABS.DATA && (
 								<DataPreview
+									key={viewKey}
 									tableName={tableName}
 									data={data}
+									columns={columns}
+									relations={relations}
+									initialFilters={initialFilters}
+									view={activeView}
+									isLocked={table.is_locked}
+									onNavigate={onNavigate}
+									onSaveView={handleSaveView}
 									showNotification={showNotification}
 								/>
 							)}
+							{activeTab === TABS.STATS && (
+								<ColumnStats
+									stats={stats}
+									indexes={indexes}
+									onRefresh={refreshTabData}
+								/>
+							)}
 						</>
 					)}
 				</div>
 			</div>
+
+			{deletingView && activeView && (
+				<ConfirmDialog
+					title={__('Delete view', 'affinite-db-manager')}
+					message={sprintf(
+						/* translators: %s: view name */
+						__('Delete the view "%s"? Users it is shared with will no longer see it.', 'affinite-db-manager'),
+						activeView.name
+					)}
+					confirmLabel={__('Delete', 'affinite-db-manager')}
+					isDangerous
+					onConfirm={handleDeleteView}
+					onCancel={() => setDeletingView(false)}
+				/>
+			)}
 		</div>
 	);
 });
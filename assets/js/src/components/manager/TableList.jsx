@@ -12,10 +12,13 @@ import { deleteTable } from '../../api/tables';
 import SearchInput from '../common/SearchInput';
 import ConfirmDialog from '../common/ConfirmDialog';
 import CreateTableModal from './CreateTableModal';
+import ExportModal from './ExportModal';
+import SqlImportModal from './SqlImportModal';
 import LockIcon from '../common/LockIcon';
 import ViewIcon from '../common/ViewIcon';
 import EditIcon from '../common/EditIcon';
 import DeleteIcon from '../common/DeleteIcon';
+import ExportIcon from '../common/ExportIcon';
 
 /**
  * Table list component.
@@ -32,6 +35,9 @@ const TableList = memo(({ onSelectTable, showNotification }) => {
 	const [actionLoading, setActionLoading] = useState(false);
 	const [confirmDelete, setConfirmDelete] = useState(null);
 	const [showCreateModal, setShowCreateModal] = useState(false);
+	const [exportTables, setExportTables] = useState(null);
+	const [selected, setSelected] = useState([]);
+	const [showSqlImport, setShowSqlImport] = useState(false);
 
 	// Filter tables based on search and locked status.
 	const filteredTables = useMemo(() => {
@@ -83,6 +89,7 @@ const TableList = memo(({ onSelectTable, showNotification }) => {
 		try {
 			await deleteTable(confirmDelete.name);
 			showNotification(__('Table deleted successfully.', 'affinite-db-manager'), 'success');
+			setSelected(selected.filter((name) => name !== confirmDelete.name));
 			setConfirmDelete(null);
 			refetch();
 		} catch (error) {
@@ -92,6 +99,31 @@ const TableList = memo(({ onSelectTable, showNotification }) => {
 		}
 	};
 
+	/**
+	 * Toggle selection of a table.
+	 *
+	 * @param {string} tableName Table name.
+	 * @param {boolean} checked Whether the table is selected.
+	 */
+	const toggleTable = (tableName, checked) => {
+		setSelected(checked ? [...selected, tableName] : selected.filter((name) => name !== tableName));
+	};
+
+	/**
+	 * Toggle selection of all listed tables.
+	 *
+	 * @param {boolean} checked Whether all tables are selected.
+	 */
+	const toggleAll = (checked) => {
+		const names = filteredTables.map((table) => table.name);
+
+		setSelected(checked
+			? [...new Set([...selected, ...names])]
+			: selected.filter((name) => !names.includes(name)));
+	};
+
+	const allSelected = filteredTables.length > 0 && filteredTables.every((table) => selected.includes(table.name));
+
 	/**
 	 * Handle table creation success.
 	 */
@@ -129,6 +161,16 @@ const TableList = memo(({ onSelectTable, showNotification }) => {
 				>
 					{__('+ New Table', 'affinite-db-manager')}
 				</Button>
+				<Button
+					variant="secondary"
+					onClick={() => setExportTables(selected)}
+					disabled={selected.length === 0}
+				>
+					{__('Export selected', 'affinite-db-manager')} ({selected.length})
+				</Button>
+				<Button variant="secondary" onClick={() => setShowSqlImport(true)}>
+					{__('Import SQL', 'affinite-db-manager')}
+				</Button>
 				<div className="affinite-db-manager__toolbar-filters">
 					<SearchInput
 						value={search}
@@ -147,6 +189,15 @@ const TableList = memo(({ onSelectTable, showNotification }) => {
 				<table className="affinite-db-manager__data-table">
 					<thead>
 						<tr>
+							<th className="affinite-db-manager__select-cell">
+								<input
+									type="checkbox"
+									aria-label={__('Select all tables', 'affinite-db-manager')}
+									checked={allSelected}
+									disabled={filteredTables.length === 0}
+									onChange={(e) => toggleAll(e.target.checked)}
+								/>
+							</th>
 							<th>{__('Table', 'affinite-db-manager')}</th>
 							<th>{__('Columns', 'affinite-db-manager')}</th>
 							<th>{__('Rows', 'affinite-db-manager')}</th>
@@ -156,6 +207,14 @@ const TableList = memo(({ onSelectTable, showNotification }) => {
 					<tbody>
 						{filteredTables.map((table) => (
 							<tr key={table.name}>
+								<td className="affinite-db-manager__select-cell">
+									<input
+										type="checkbox"
+										aria-label={__('Select table', 'affinite-db-manager')}
+										checked={selected.includes(table.name)}
+										onChange={(e) => toggleTable(table.name, e.target.checked)}
+									/>
+								</td>
 								<td>
 									<span className="affinite-db-manager__table-name">
 										<LockIcon locked={table.is_locked} />
@@ -174,6 +233,14 @@ const TableList = memo(({ onSelectTable, showNotification }) => {
 										>
 											<ViewIcon />
 										</Button>
+										<Button
+											variant="secondary"
+											onClick={() => setExportTables([table.name])}
+											isSmall
+											title={__('Export', 'affinite-db-manager')}
+										>
+											<ExportIcon />
+										</Button>
 										{!table.is_locked && (
 											<>
 												<Button
@@ -201,7 +268,7 @@ const TableList = memo(({ onSelectTable, showNotification }) => {
 						))}
 						{filteredTables.length === 0 && (
 							<tr>
-								<td colSpan="4" style={{ textAlign: 'center' }}>
+								<td colSpan="5" style={{ textAlign: 'center' }}>
 									{__('No tables found.', 'affinite-db-manager')}
 								</td>
 							</tr>
@@ -229,6 +296,18 @@ const TableList = memo(({ onSelectTable, showNotification }) => {
 					showNotification={showNotification}
 				/>
 			)}
+
+			{showSqlImport && (
+				<SqlImportModal
+					onClose={() => setShowSqlImport(false)}
+					onComplete={refetch}
+					showNotification={showNotification}
+				/>
+			)}
+
+			{exportTables && (
+				<ExportModal tables={exportTables} onClose={() => setExportTables(null)} showNotification={showNotification} />
+			)}
 		</div>
 	);
 });
@@ -0,0 +1,131 @@
+/**
+ * Value input component for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { TextControl, TextareaControl, SelectControl, ToggleControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import {
+	NUMERIC_TYPES,
+	getBaseType,
+	getEnumValues,
+	isBooleanColumn,
+	toDatetimeLocal,
+	fromDatetimeLocal,
+	validateValue,
+} from '../../utils/columnTypes';
+
+const DATETIME_TYPES = ['DATETIME', 'TIMESTAMP'];
+const MULTILINE_TYPES = ['TINYTEXT', 'TEXT', 'MEDIUMTEXT', 'LONGTEXT'];
+
+/**
+ * Input for a single column value, chosen by the column type.
+ *
+ * TINYINT(1) columns get a toggle, and JSON is checked while typing.
+ *
+ * @param {Object} props Component props.
+ * @param {Object} props.column Column definition.
+ * @param {string} props.value Current value.
+ * @param {Function} props.onChange Callback with the new value.
+ * @param {string} props.label Input label.
+ * @param {string} props.help Help text.
+ * @param {string} props.placeholder Placeholder text.
+ * @param {boolean} props.disabled Whether the input is disabled.
+ * @returns {JSX.Element} Value input component.
+ */
+const ValueInput = ({ column, value, onChange, label, help, placeholder, disabled = false }) => {
+	const baseType = getBaseType(column.type);
+	const commonProps = { label, help, placeholder, disabled };
+
+	if (baseType === 'ENUM') {
+		const options = [
+			{ label: __('Select value…', 'affinite-db-manager'), value: '' },
+			...getEnumValues(column.type).map((option) => ({ label: option, value: option })),
+		];
+
+		return (
+			<SelectControl
+				{...commonProps}
+				value={value}
+				options={options}
+				onChange={onChange}
+			/>
+		);
+	}
+
+	if (isBooleanColumn(column)) {
+		return (
+			<ToggleControl
+				label={label}
+				help={help}
+				disabled={disabled}
+				checked={value !== '' && value !== '0'}
+				onChange={(checked) => onChange(checked ? '1' : '0')}
+			/>
+		);
+	}
+
+	if (baseType === 'JSON') {
+		const error = value !== '' && validateValue(value, column);
+
+		return (
+			<TextareaControl
+				{...commonProps}
+				help={error ? `${help} – ${error}` : help}
+				className={error ? 'affinite-db-manager__value-input--invalid' : undefined}
+				value={value}
+				onChange={onChange}
+				rows={4}
+			/>
+		);
+	}
+
+	if (MULTILINE_TYPES.includes(baseType)) {
+		return (
+			<TextareaControl
+				{...commonProps}
+				value={value}
+				onChange={onChange}
+				rows={4}
+			/>
+		);
+	}
+
+	if (DATETIME_TYPES.includes(baseType)) {
+		return (
+			<TextControl
+				{...commonProps}
+				type="datetime-local"
+				step="1"
+				value={toDatetimeLocal(value)}
+				onChange={(newValue) => onChange(fromDatetimeLocal(newValue))}
+			/>
+		);
+	}
+
+	let type = 'text';
+	let step;
+
+	if (baseType === 'DATE') {
+		type = 'date';
+	} else if (baseType === 'TIME') {
+		type = 'time';
+		step = '1';
+	} else if (NUMERIC_TYPES.includes(baseType)) {
+		type = 'number';
+		step = ['DECIMAL', 'FLOAT', 'DOUBLE'].includes(baseType) ? 'any' : '1';
+	}
+
+	return (
+		<TextControl
+			{...commonProps}
+			type={type}
+			step={step}
+			value={value}
+			onChange={onChange}
+		/>
+	);
+};
+
+export default ValueInput;
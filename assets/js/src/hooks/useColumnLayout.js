@@ -0,0 +1,97 @@
+/**
+ * Column layout hook for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState, useEffect, useCallback } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+import { getLayout, saveLayout, resetLayout } from '../api/settings';
+
+export const EMPTY_LAYOUT = { order: [], hidden: [], pinned: [] };
+
+/**
+ * Order column names by a layout.
+ *
+ * Columns missing from the saved order, e.g. ones added after the layout was
+ * saved, keep their table position after the ordered ones. Pinned columns
+ * come first.
+ *
+ * @param {Array<string>} columnNames Column names in table order.
+ * @param {Object} layout Layout with order, hidden and pinned column names.
+ * @returns {Array<string>} All column names in display order, hidden ones included.
+ */
+export const orderColumns = (columnNames, layout) => {
+	const ordered = [
+		...layout.order.filter((column) => columnNames.includes(column)),
+		...columnNames.filter((column) => !layout.order.includes(column)),
+	];
+
+	return [
+		...ordered.filter((column) => layout.pinned.includes(column)),
+		...ordered.filter((column) => !layout.pinned.includes(column)),
+	];
+};
+
+/**
+ * Hook for the current user's column layout of a table.
+ *
+ * Changes are applied immediately and saved in the background.
+ *
+ * @param {string} tableName Table name.
+ * @param {Function} showNotification Callback to show notification.
+ * @returns {Object} Layout state and actions.
+ */
+export const useColumnLayout = (tableName, showNotification) => {
+	const [layout, setLayout] = useState(EMPTY_LAYOUT);
+
+	// Initial fetch.
+	useEffect(() => {
+		let cancelled = false;
+
+		getLayout(tableName)
+			.then((result) => {
+				if (!cancelled) {
+					setLayout(result);
+				}
+			})
+			.catch(() => {
+				// The table is shown in its default layout.
+			});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [tableName]);
+
+	/**
+	 * Apply and save a new layout.
+	 *
+	 * @param {Object} newLayout Layout with order, hidden and pinned column names.
+	 */
+	const updateLayout = useCallback(
+		(newLayout) => {
+			setLayout(newLayout);
+			saveLayout(tableName, newLayout).catch((error) => {
+				showNotification(error.message || __('Failed to save column layout.', 'affinite-db-manager'), 'error');
+			});
+		},
+		[tableName, showNotification]
+	);
+
+	/**
+	 * Restore the default layout.
+	 */
+	const reset = useCallback(() => {
+		setLayout(EMPTY_LAYOUT);
+		resetLayout(tableName).catch((error) => {
+			showNotification(error.message || __('Failed to reset column layout.', 'affinite-db-manager'), 'error');
+		});
+	}, [tableName, showNotification]);
+
+	return {
+		layout,
+		updateLayout,
+		resetLayout: reset,
+	};
+};
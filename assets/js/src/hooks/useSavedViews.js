@@ -0,0 +1,73 @@
+/**
+ * Saved views hook for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState, useEffect, useCallback } from '@wordpress/element';
+import { getViews, createView, updateView, deleteView } from '../api/settings';
+
+/**
+ * Hook for the saved views of a table visible to the current user.
+ *
+ * @param {string} tableName Table name.
+ * @returns {Object} Views and actions.
+ */
+export const useSavedViews = (tableName) => {
+	const [views, setViews] = useState([]);
+
+	// Initial fetch.
+	useEffect(() => {
+		let cancelled = false;
+
+		getViews(tableName)
+			.then((result) => {
+				if (!cancelled) {
+					setViews(result);
+				}
+			})
+			.catch(() => {
+				// The table is shown without saved views.
+			});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [tableName]);
+
+	/**
+	 * Save a view, updating it when it has an ID.
+	 *
+	 * @param {Object} view View with name, shared, query and layout, and the ID of an owned view to update.
+	 * @returns {Promise<Object>} Saved view.
+	 */
+	const saveView = useCallback(
+		async ({ id, ...view }) => {
+			const result = id ? await updateView(tableName, id, view) : await createView(tableName, view);
+
+			setViews((current) =>
+				[...current.filter((item) => item.id !== result.view.id), result.view].sort((a, b) =>
+					a.name.localeCompare(b.name)
+				)
+			);
+
+			return result.view;
+		},
+		[tableName]
+	);
+
+	/**
+	 * Delete an owned view.
+	 *
+	 * @param {string} id View ID.
+	 */
+	const removeView = useCallback(
+		async (id) => {
+			await deleteView(tableName, id);
+			setViews((current) => current.filter((item) => item.id !== id));
+		},
+		[tableName]
+	);
+
+	return { views, saveView, removeView };
+};
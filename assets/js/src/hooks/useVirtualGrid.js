@@ -0,0 +1,144 @@
+/**
+ * Virtual grid hook for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+import { useState, useRef, useMemo, useCallback, useLayoutEffect } from '@wordpress/element';
+
+export const ROW_HEIGHT = 42;
+
+const HEADER_HEIGHT = 44;
+const OVERSCAN_ROWS = 10;
+const OVERSCAN_PX = 400;
+
+/**
+ * Hook for windowed rendering of a scrolling grid.
+ *
+ * Rows have a fixed height and columns a fixed width, so only the rows and
+ * columns inside the scroll viewport are rendered; spacers keep the scroll
+ * size of the full grid. Pinned columns are always rendered and stick to the
+ * left edge after the leading (selection) column.
+ *
+ * @param {Object} options Grid options.
+ * @param {number} options.rowCount Number of rows.
+ * @param {Array<string>} options.columns Visible column names in display order, pinned first.
+ * @param {Array<string>} options.pinned Pinned column names.
+ * @param {Object} options.widths Column widths in pixels keyed by column name.
+ * @param {number} options.leadingWidth Width of the leading column, 0 if there is none.
+ * @returns {Object} Scroll container ref and handler, rendered window and actions.
+ */
+export const useVirtualGrid = ({ rowCount, columns, pinned, widths, leadingWidth }) => {
+	const containerRef = useRef(null);
+	const [viewport, setViewport] = useState({ top: 0, left: 0, height: 600, width: 1200 });
+
+	/**
+	 * Read the scroll position and size of the container.
+	 */
+	const measure = useCallback(() => {
+		const container = containerRef.current;
+
+		if (!container) {
+			return;
+		}
+
+		setViewport({
+			top: container.scrollTop,
+			left: container.scrollLeft,
+			height: container.clientHeight,
+			width: container.clientWidth,
+		});
+	}, []);
+
+	// Measure on mount and when the window is resized.
+	useLayoutEffect(() => {
+		measure();
+		window.addEventListener('resize', measure);
+		return () => window.removeEventListener('resize', measure);
+	}, [measure]);
+
+	// Offsets of pinned columns and of scrolling columns.
+	const layout = useMemo(() => {
+		const pinnedOffsets = {};
+		let pinnedWidth = leadingWidth;
+
+		pinned.forEach((column) => {
+			pinnedOffsets[column] = pinnedWidth;
+			pinnedWidth += widths[column];
+		});
+
+		const scrolling = [];
+		let x = pinnedWidth;
+
+		columns.forEach((column) => {
+			if (!pinned.includes(column)) {
+				scrolling.push({ column, start: x, end: x + widths[column] });
+				x += widths[column];
+			}
+		});
+
+		return { pinnedOffsets, pinnedWidth, scrolling, totalWidth: x };
+	}, [columns, pinned, widths, leadingWidth]);
+
+	const bodyTop = Math.max(0, viewport.top - HEADER_HEIGHT);
+	const rowStart = Math.max(0, Math.floor(bodyTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+	const rowEnd = Math.min(rowCount, Math.ceil((bodyTop + viewport.height) / ROW_HEIGHT) + OVERSCAN_ROWS);
+
+	const visibleFrom = viewport.left + layout.pinnedWidth - OVERSCAN_PX;
+	const visibleTo = viewport.left + viewport.width + OVERSCAN_PX;
+	const windowed = layout.scrolling.filter(({ start, end }) => end > visibleFrom && start < visibleTo);
+	const first = windowed[0];
+	const last = windowed[windowed.length - 1];
+
+	/**
+	 * Scroll the container so that a cell is fully visible.
+	 *
+	 * The viewport is updated right away, so the cell is rendered on the
+	 * next render without waiting for the scroll event.
+	 *
+	 * @param {number} rowIndex Row index.
+	 * @param {string} column Column name.
+	 */
+	const scrollToCell = (rowIndex, column) => {
+		const container = containerRef.current;
+
+		if (!container) {
+			return;
+		}
+
+		const rowTop = HEADER_HEIGHT + rowIndex * ROW_HEIGHT;
+
+		if (rowTop - HEADER_HEIGHT < container.scrollTop) {
+			container.scrollTop = rowTop - HEADER_HEIGHT;
+		} else if (rowTop + ROW_HEIGHT > container.scrollTop + container.clientHeight) {
+			container.scrollTop = rowTop + ROW_HEIGHT - container.clientHeight;
+		}
+
+		const cell = layout.scrolling.find((item) => item.column === column);
+
+		if (cell) {
+			if (cell.start - layout.pinnedWidth < container.scrollLeft) {
+				container.scrollLeft = cell.start - layout.pinnedWidth;
+			} else if (cell.end > container.scrollLeft + container.clientWidth) {
+				container.scrollLeft = cell.end - container.clientWidth;
+			}
+		}
+
+		measure();
+	};
+
+	return {
+		containerRef,
+		onScroll: measure,
+		rowStart,
+		rowEnd,
+		topHeight: rowStart * ROW_HEIGHT,
+		bottomHeight: (rowCount - rowEnd) * ROW_HEIGHT,
+		scrollingColumns: windowed.map(({ column }) => column),
+		leftWidth: first ? first.start - layout.pinnedWidth : 0,
+		rightWidth: last ? layout.totalWidth - last.end : layout.totalWidth - layout.pinnedWidth,
+		totalWidth: layout.totalWidth,
+		pinnedOffsets: layout.pinnedOffsets,
+		scrollToCell,
+	};
+};
@@ -4,6 +4,8 @@
  * @package Affinite\DBManager
  */
 
+import { __, _n, sprintf } from '@wordpress/i18n';
+
 /**
  * Available column types for select controls.
  */
@@ -64,3 +66,318 @@ export const supportsLength = (type) => {
 	return LENGTH_REQUIRED_TYPES.includes(type.toUpperCase()) ||
 		LENGTH_OPTIONAL_TYPES.includes(type.toUpperCase());
 };
+
+/**
+ * Numeric column types.
+ */
+export const NUMERIC_TYPES = ['TINYINT', 'SMALLINT', 'MEDIUMINT', 'INT', 'INTEGER', 'BIGINT', 'DECIMAL', 'FLOAT', 'DOUBLE', 'YEAR'];
+
+/**
+ * Get the base type from a full column type string.
+ *
+ * @param {string} typeString Type string like "int(10) unsigned".
+ * @returns {string} Upper-cased base type like "INT".
+ */
+export const getBaseType = (typeString) => {
+	const match = (typeString || '').match(/^\w+/);
+	return match ? match[0].toUpperCase() : '';
+};
+
+/**
+ * Get the allowed values of an ENUM or SET column.
+ *
+ * @param {string} typeString Type string like "enum('draft','publish')".
+ * @returns {Array<string>} Allowed values.
+ */
+export const getEnumValues = (typeString) => {
+	const match = (typeString || '').match(/^(?:enum|set)\((.*)\)$/i);
+	if (!match) {
+		return [];
+	}
+
+	return [...match[1].matchAll(/'((?:[^']|'')*)'/g)].map((value) => value[1].replace(/''/g, "'"));
+};
+
+/**
+ * Check if a column is auto-incremented.
+ *
+ * @param {Object} column Column definition.
+ * @returns {boolean} Whether the column is auto-incremented.
+ */
+export const isAutoIncrement = (column) => {
+	return (column.extra || '').toLowerCase().includes('auto_increment');
+};
+
+/**
+ * Check if a column is generated from an expression and cannot be written.
+ *
+ * DEFAULT_GENERATED of MySQL 8 only marks an expression default.
+ *
+ * @param {Object} column Column definition.
+ * @returns {boolean} Whether the column is generated.
+ */
+export const isGeneratedColumn = (column) => {
+	return /\b(?:virtual|stored|persistent)\s+generated\b/i.test(column.extra || '');
+};
+
+/**
+ * Check if a column default is an SQL expression rather than a literal value.
+ *
+ * @param {*} defaultValue Column default as reported by the database.
+ * @returns {boolean} Whether the default is an expression.
+ */
+export const isDefaultExpression = (defaultValue) => {
+	return typeof defaultValue === 'string' && /^(current_timestamp|now|curdate|curtime|uuid)\b/i.test(defaultValue);
+};
+
+/**
+ * Check if a column is a boolean flag, typed TINYINT(1).
+ *
+ * @param {Object} column Column definition.
+ * @returns {boolean} Whether the column holds 0 or 1.
+ */
+export const isBooleanColumn = (column) => {
+	return /^tinyint\(1\)/i.test(column?.type || '');
+};
+
+/**
+ * Check if a column holds text that can be searched, like the server's full-table search.
+ *
+ * @param {Object} column Column definition.
+ * @returns {boolean} Whether the column is CHAR, VARCHAR or a TEXT type.
+ */
+export const isTextColumn = (column) => {
+	return /^(char|varchar|tinytext|text|mediumtext|longtext)\b/i.test(column?.type || '');
+};
+
+/**
+ * Convert a MySQL DATETIME value to the datetime-local input format.
+ *
+ * @param {string} value Value like "2024-01-31 13:45:00".
+ * @returns {string} Value like "2024-01-31T13:45:00".
+ */
+export const toDatetimeLocal = (value) => {
+	return value ? value.replace(' ', 'T') : '';
+};
+
+/**
+ * Convert a datetime-local input value to the MySQL DATETIME format.
+ *
+ * @param {string} value Value like "2024-01-31T13:45".
+ * @returns {string} Value like "2024-01-31 13:45:00".
+ */
+export const fromDatetimeLocal = (value) => {
+	if (!value) {
+		return '';
+	}
+
+	const datetime = value.replace('T', ' ');
+	return datetime.length === 16 ? `${datetime}:00` : datetime;
+};
+
+/**
+ * SQL expressions a column can be set to in bulk updates, as allowed by the server.
+ */
+export const SQL_EXPRESSIONS = ['NOW()', 'CURRENT_TIMESTAMP', 'UTC_TIMESTAMP()', 'CURDATE()', 'CURTIME()', 'UNIX_TIMESTAMP()', 'UUID()'];
+
+/**
+ * Binary column types, sent by the data endpoint as size and hex preview.
+ */
+export const BINARY_TYPES = ['BINARY', 'VARBINARY', 'TINYBLOB', 'BLOB', 'MEDIUMBLOB', 'LONGBLOB'];
+
+/**
+ * Check if a cell value is an encoded binary value.
+ *
+ * @param {*} value Cell value.
+ * @returns {boolean} Whether the value holds binary size and hex preview.
+ */
+export const isBinaryValue = (value) => {
+	return value !== null && typeof value === 'object' && value.__binary === true;
+};
+
+/**
+ * Leading bytes of the image formats previewed inline, as hex.
+ */
+const IMAGE_SIGNATURES = {
+	png: '89504e470d0a1a0a',
+	jpeg: 'ffd8ff',
+	gif: '47494638',
+};
+
+/**
+ * Detect the image format of an encoded binary value from its leading bytes.
+ *
+ * @param {*} value Cell value.
+ * @returns {string|null} Image format png, jpeg or gif, or null if the value is not such an image.
+ */
+export const getImageType = (value) => {
+	if (!isBinaryValue(value)) {
+		return null;
+	}
+
+	return Object.keys(IMAGE_SIGNATURES).find((type) => value.hex.startsWith(IMAGE_SIGNATURES[type])) || null;
+};
+
+/**
+ * Format a size in bytes for display.
+ *
+ * @param {number} bytes Size in bytes.
+ * @returns {string} Size like "1.5 KB".
+ */
+export const formatBytes = (bytes) => {
+	if (bytes < 1024) {
+		return `${bytes} B`;
+	}
+
+	const units = ['KB', 'MB', 'GB'];
+	let size = bytes / 1024;
+	let unit = 0;
+
+	while (size >= 1024 && unit < units.length - 1) {
+		size /= 1024;
+		unit++;
+	}
+
+	return `${size.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * Get the display width of a data grid column.
+ *
+ * The width follows the column type, widened to fit the column name.
+ *
+ * @param {string} name Column name.
+ * @param {Object} column Column definition (optional).
+ * @returns {number} Width in pixels.
+ */
+export const getColumnWidth = (name, column) => {
+	const baseType = getBaseType(column?.type);
+	let width = 180;
+
+	if (NUMERIC_TYPES.includes(baseType)) {
+		width = 110;
+	} else if (['DATE', 'TIME', 'DATETIME', 'TIMESTAMP'].includes(baseType)) {
+		width = 170;
+	} else if (/TEXT|BLOB|JSON/.test(baseType)) {
+		width = 280;
+	}
+
+	return Math.max(width, name.length * 8 + 60);
+};
+
+/**
+ * Value ranges of integer types: signed minimum, signed maximum and unsigned maximum.
+ */
+const INTEGER_RANGES = {
+	TINYINT: [-128, 127, 255],
+	SMALLINT: [-32768, 32767, 65535],
+	MEDIUMINT: [-8388608, 8388607, 16777215],
+	INT: [-2147483648, 2147483647, 4294967295],
+	INTEGER: [-2147483648, 2147483647, 4294967295],
+};
+
+/**
+ * Check if a date string names an existing day.
+ *
+ * @param {string} year Year.
+ * @param {string} month Month.
+ * @param {string} day Day.
+ * @returns {boolean} Whether the date exists.
+ */
+const isValidDate = (year, month, day) => {
+	const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+
+	return date.getUTCFullYear() === Number(year) && date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day);
+};
+
+/**
+ * Validate a value against the type and nullability of its column.
+ *
+ * Mirrors the checks of the import endpoint, so problems can be shown
+ * before rows are sent.
+ *
+ * @param {string|null} value Value, null for NULL.
+ * @param {Object} column Column definition.
+ * @returns {string} Reason the value is invalid, empty if it is valid.
+ */
+export const validateValue = (value, column) => {
+	if (value === null) {
+		return column.nullable ? '' : __('cannot be NULL', 'affinite-db-manager');
+	}
+
+	const type = (column.type || '').toLowerCase();
+	const baseType = getBaseType(type);
+
+	if (INTEGER_RANGES[baseType] || baseType === 'BIGINT') {
+		if (!/^[+-]?\d+$/.test(value)) {
+			return __('not an integer', 'affinite-db-manager');
+		}
+
+		const isUnsigned = type.includes('unsigned');
+
+		if (isUnsigned && value.startsWith('-') && Number(value) !== 0) {
+			return __('negative value in an unsigned column', 'affinite-db-manager');
+		}
+
+		if (INTEGER_RANGES[baseType]) {
+			const [min, max, unsignedMax] = INTEGER_RANGES[baseType];
+			const number = Number(value);
+
+			if (number < (isUnsigned ? 0 : min) || number > (isUnsigned ? unsignedMax : max)) {
+				return __('out of range', 'affinite-db-manager');
+			}
+		}
+
+		return '';
+	}
+
+	if (['DECIMAL', 'NUMERIC', 'FLOAT', 'DOUBLE', 'REAL'].includes(baseType)) {
+		return value.trim() !== '' && !isNaN(Number(value)) ? '' : __('not a number', 'affinite-db-manager');
+	}
+
+	if (['DATE', 'DATETIME', 'TIMESTAMP'].includes(baseType)) {
+		const pattern = baseType === 'DATE'
+			? /^(\d{4})-(\d{2})-(\d{2})$/
+			: /^(\d{4})-(\d{2})-(\d{2})(?:[ T]\d{2}:[0-5]\d(?::[0-5]\d(?:\.\d{1,6})?)?)?$/;
+		const parts = value.match(pattern);
+
+		return parts && isValidDate(parts[1], parts[2], parts[3]) ? '' : __('not a valid date', 'affinite-db-manager');
+	}
+
+	if (baseType === 'TIME') {
+		return /^-?\d{1,3}:[0-5]\d(?::[0-5]\d(?:\.\d{1,6})?)?$/.test(value) ? '' : __('not a valid time', 'affinite-db-manager');
+	}
+
+	if (baseType === 'YEAR') {
+		return /^\d{4}$/.test(value) ? '' : __('not a valid year', 'affinite-db-manager');
+	}
+
+	if (baseType === 'ENUM' || baseType === 'SET') {
+		const allowed = getEnumValues(column.type);
+		let items = [value];
+
+		if (baseType === 'SET') {
+			items = value === '' ? [] : value.split(',');
+		}
+
+		return items.every((item) => allowed.includes(item)) ? '' : __('not one of the allowed values', 'affinite-db-manager');
+	}
+
+	if (baseType === 'JSON') {
+		try {
+			JSON.parse(value);
+			return '';
+		} catch (e) {
+			return __('not valid JSON', 'affinite-db-manager');
+		}
+	}
+
+	const length = ['CHAR', 'VARCHAR'].includes(baseType) && type.match(/\((\d+)\)/);
+
+	if (length && [...value].length > Number(length[1])) {
+		/* translators: %d: Maximum length */
+		return sprintf(_n('longer than %d character', 'longer than %d characters', Number(length[1]), 'affinite-db-manager'), Number(length[1]));
+	}
+
+	return '';
+};
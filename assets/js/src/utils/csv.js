@@ -0,0 +1,111 @@
+/**
+ * CSV utility for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+/**
+ * Delimiters offered for CSV files, keyed like the export delimiters.
+ */
+export const CSV_DELIMITERS = {
+	comma: ',',
+	semicolon: ';',
+	tab: '\t',
+	pipe: '|',
+};
+
+/**
+ * Guess the delimiter of a CSV file from its first line.
+ *
+ * @param {string} text CSV text.
+ * @returns {string} Delimiter key of CSV_DELIMITERS.
+ */
+export const detectDelimiter = (text) => {
+	const firstLine = text.slice(0, text.search(/\r?\n|$/));
+	let best = 'comma';
+	let bestCount = 0;
+
+	Object.entries(CSV_DELIMITERS).forEach(([key, delimiter]) => {
+		const count = firstLine.split(delimiter).length - 1;
+
+		if (count > bestCount) {
+			best = key;
+			bestCount = count;
+		}
+	});
+
+	return best;
+};
+
+/**
+ * Parse CSV text into rows of fields.
+ *
+ * Follows RFC 4180: fields may be quoted, quotes inside quoted fields are
+ * doubled, and quoted fields may contain delimiters and line breaks. A
+ * leading byte order mark and a trailing line break are ignored.
+ *
+ * @param {string} text CSV text.
+ * @param {string} delimiter Delimiter character.
+ * @returns {Array<Array<string>>} Rows of fields.
+ */
+export const parseCsv = (text, delimiter) => {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+	let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+	for (; i < text.length; i++) {
+		const char = text[i];
+
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"' && field === '') {
+			quoted = true;
+		} else if (char === delimiter) {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') {
+				i++;
+			}
+
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+
+	if (field !== '' || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	return rows;
+};
+
+/**
+ * Build CSV text from rows of values.
+ *
+ * @param {Array<Array<*>>} rows Rows of values; null is written as an empty field.
+ * @returns {string} CSV text with CRLF line breaks.
+ */
+export const toCsv = (rows) => {
+	return rows
+		.map((row) => row.map((value) => {
+			const text = value === null || value === undefined ? '' : String(value);
+
+			return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+		}).join(','))
+		.join('\r\n') + '\r\n';
+};
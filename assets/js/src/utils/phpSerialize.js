@@ -0,0 +1,248 @@
+/**
+ * PHP serialization utility for Affinite DB Manager.
+ *
+ * Parses PHP-serialized strings into a tree of typed nodes and serializes
+ * them back. String lengths in the serialized format are UTF-8 byte counts,
+ * so both directions work on encoded bytes.
+ *
+ * Node shapes:
+ * - { type: 'null' }
+ * - { type: 'bool', value: boolean }
+ * - { type: 'int', value: string }
+ * - { type: 'float', value: string }
+ * - { type: 'string', value: string }
+ * - { type: 'array', items: [{ key: Node, value: Node }] }
+ * - { type: 'object', className: string, items: [{ key: Node, value: Node }] }
+ *
+ * @package Affinite\DBManager
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Parse a PHP-serialized string.
+ *
+ * References (r, R) and custom serialization (C) are not supported.
+ *
+ * @param {string} input Serialized string.
+ * @returns {Object} Root node.
+ * @throws {Error} If the input is not valid serialized data.
+ */
+export const unserialize = (input) => {
+	const bytes = encoder.encode(input);
+	let pos = 0;
+
+	/**
+	 * Read bytes up to a delimiter and advance past it.
+	 *
+	 * @param {string} delimiter Single-character delimiter.
+	 * @returns {string} Bytes before the delimiter, decoded.
+	 */
+	const readUntil = (delimiter) => {
+		const end = bytes.indexOf(delimiter.charCodeAt(0), pos);
+
+		if (end === -1) {
+			throw new Error(`Expected "${delimiter}" at byte ${pos}`);
+		}
+
+		const value = decoder.decode(bytes.subarray(pos, end));
+		pos = end + 1;
+
+		return value;
+	};
+
+	/**
+	 * Expect a literal at the current position and advance past it.
+	 *
+	 * @param {string} literal Expected characters.
+	 */
+	const expect = (literal) => {
+		for (let i = 0; i < literal.length; i++) {
+			if (bytes[pos + i] !== literal.charCodeAt(i)) {
+				throw new Error(`Expected "${literal}" at byte ${pos}`);
+			}
+		}
+
+		pos += literal.length;
+	};
+
+	/**
+	 * Read a length-prefixed, quoted string.
+	 *
+	 * @returns {string} Decoded string.
+	 */
+	const readQuoted = () => {
+		const length = parseInt(readUntil(':'), 10);
+
+		if (isNaN(length) || length < 0) {
+			throw new Error(`Invalid string length at byte ${pos}`);
+		}
+
+		expect('"');
+
+		if (pos + length > bytes.length) {
+			throw new Error(`String length exceeds data at byte ${pos}`);
+		}
+
+		const value = decoder.decode(bytes.subarray(pos, pos + length));
+		pos += length;
+		expect('"');
+
+		return value;
+	};
+
+	/**
+	 * Read a single node.
+	 *
+	 * @returns {Object} Parsed node.
+	 */
+	const readNode = () => {
+		const type = String.fromCharCode(bytes[pos]);
+
+		if (type === 'N') {
+			expect('N;');
+			return { type: 'null' };
+		}
+
+		expect(`${type}:`);
+
+		switch (type) {
+			case 'b': {
+				const value = readUntil(';');
+
+				if (value !== '0' && value !== '1') {
+					throw new Error(`Invalid boolean at byte ${pos}`);
+				}
+
+				return { type: 'bool', value: value === '1' };
+			}
+			case 'i': {
+				const value = readUntil(';');
+
+				if (!/^[+-]?\d+$/.test(value)) {
+					throw new Error(`Invalid integer at byte ${pos}`);
+				}
+
+				return { type: 'int', value };
+			}
+			case 'd': {
+				const value = readUntil(';');
+
+				if (!/^(?:[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|INF|-INF|NAN)$/.test(value)) {
+					throw new Error(`Invalid float at byte ${pos}`);
+				}
+
+				return { type: 'float', value };
+			}
+			case 's': {
+				const value = readQuoted();
+				expect(';');
+				return { type: 'string', value };
+			}
+			case 'a':
+				return { type: 'array', items: readItems() };
+			case 'O': {
+				const className = readQuoted();
+				expect(':');
+				return { type: 'object', className, items: readItems() };
+			}
+			default:
+				throw new Error(`Unsupported type "${type}" at byte ${pos - 2}`);
+		}
+	};
+
+	/**
+	 * Read the items of an array or object.
+	 *
+	 * @returns {Array<Object>} Items with key and value nodes.
+	 */
+	const readItems = () => {
+		const count = parseInt(readUntil(':'), 10);
+
+		if (isNaN(count) || count < 0) {
+			throw new Error(`Invalid item count at byte ${pos}`);
+		}
+
+		expect('{');
+
+		const items = [];
+		for (let i = 0; i < count; i++) {
+			const key = readNode();
+
+			if (key.type !== 'int' && key.type !== 'string') {
+				throw new Error(`Invalid key type at byte ${pos}`);
+			}
+
+			items.push({ key, value: readNode() });
+		}
+
+		expect('}');
+
+		return items;
+	};
+
+	const node = readNode();
+
+	if (pos !== bytes.length) {
+		throw new Error(`Unexpected data at byte ${pos}`);
+	}
+
+	return node;
+};
+
+/**
+ * Check whether a value is a PHP-serialized string.
+ *
+ * @param {*} value Value to check.
+ * @returns {boolean} Whether the value can be unserialized.
+ */
+export const isSerialized = (value) => {
+	if (typeof value !== 'string' || !/^(?:N;|[bidsaO]:)/.test(value)) {
+		return false;
+	}
+
+	try {
+		unserialize(value);
+		return true;
+	} catch (error) {
+		return false;
+	}
+};
+
+/**
+ * Serialize the items of an array or object.
+ *
+ * @param {Array<Object>} items Items with key and value nodes.
+ * @returns {string} Serialized items including the braces.
+ */
+const serializeItems = (items) => {
+	return `${items.length}:{${items.map((item) => serialize(item.key) + serialize(item.value)).join('')}}`;
+};
+
+/**
+ * Serialize a node to a PHP-serialized string.
+ *
+ * @param {Object} node Node to serialize.
+ * @returns {string} Serialized string.
+ */
+export const serialize = (node) => {
+	switch (node.type) {
+		case 'null':
+			return 'N;';
+		case 'bool':
+			return `b:${node.value ? 1 : 0};`;
+		case 'int':
+			return `i:${node.value};`;
+		case 'float':
+			return `d:${node.value};`;
+		case 'string':
+			return `s:${encoder.encode(node.value).length}:"${node.value}";`;
+		case 'array':
+			return `a:${serializeItems(node.items)}`;
+		case 'object':
+			return `O:${encoder.encode(node.className).length}:"${node.className}":${serializeItems(node.items)}`;
+		default:
+			throw new Error(`Unknown node type "${node.type}"`);
+	}
+};
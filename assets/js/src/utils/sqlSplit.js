@@ -0,0 +1,116 @@
+/**
+ * SQL statement splitting utility for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ */
+
+/**
+ * Split the text of an SQL file into statements.
+ *
+ * Statements end at the delimiter outside of strings, quoted identifiers and
+ * comments. Line and block comments between statements are dropped, MySQL
+ * conditional comments (/*! ... *\/) are kept, and DELIMITER lines of
+ * mysqldump change the delimiter. Statements are returned trimmed and
+ * without their delimiter.
+ *
+ * @param {string} text SQL text.
+ * @returns {Array<string>} Statements.
+ */
+export const splitSqlStatements = (text) => {
+	const statements = [];
+	let delimiter = ';';
+	let current = '';
+	let isEmpty = true;
+	let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+	/**
+	 * Add the current statement if it is not empty.
+	 */
+	const flush = () => {
+		const statement = current.trim();
+
+		if (statement !== '') {
+			statements.push(statement);
+		}
+
+		current = '';
+		isEmpty = true;
+	};
+
+	while (i < text.length) {
+		const char = text[i];
+		const next = text[i + 1];
+
+		// DELIMITER directive, only valid at the start of a statement.
+		if (isEmpty && /^delimiter[ \t]/i.test(text.slice(i, i + 10))) {
+			const end = text.indexOf('\n', i);
+			const line = text.slice(i, end === -1 ? text.length : end);
+
+			delimiter = line.slice(9).trim() || ';';
+			flush();
+			i = end === -1 ? text.length : end + 1;
+			continue;
+		}
+
+		// Line comments.
+		if ((char === '-' && next === '-' && /\s/.test(text[i + 2] || ' ')) || char === '#') {
+			const end = text.indexOf('\n', i);
+
+			i = end === -1 ? text.length : end + 1;
+			current += '\n';
+			continue;
+		}
+
+		// Block comments; conditional comments are part of the statement.
+		if (char === '/' && next === '*') {
+			const end = text.indexOf('*/', i + 2);
+			const stop = end === -1 ? text.length : end + 2;
+
+			if (text[i + 2] === '!') {
+				current += text.slice(i, stop);
+				isEmpty = false;
+			} else {
+				current += ' ';
+			}
+
+			i = stop;
+			continue;
+		}
+
+		// Strings and quoted identifiers.
+		if (char === "'" || char === '"' || char === '`') {
+			let j = i + 1;
+
+			while (j < text.length) {
+				if (text[j] === '\\' && char !== '`') {
+					j += 2;
+				} else if (text[j] === char && text[j + 1] === char) {
+					j += 2;
+				} else if (text[j] === char) {
+					break;
+				} else {
+					j++;
+				}
+			}
+
+			current += text.slice(i, j + 1);
+			isEmpty = false;
+			i = j + 1;
+			continue;
+		}
+
+		if (text.startsWith(delimiter, i)) {
+			flush();
+			i += delimiter.length;
+			continue;
+		}
+
+		current += char;
+		isEmpty = isEmpty && /\s/.test(char);
+		i++;
+	}
+
+	flush();
+
+	return statements;
+};
@@ -61,6 +61,41 @@ final class Schema {
 		'JSON',
 	);
 
+	/**
+	 * Operators allowed in data filters.
+	 *
+	 * @var array<string>
+	 */
+	public const FILTER_OPERATORS = array( '=', '!=', '<', '>', 'LIKE', 'IN', 'IS NULL', 'BETWEEN' );
+
+	/**
+	 * Maximum number of filters in a single data query.
+	 *
+	 * @var int
+	 */
+	public const MAX_FILTERS = 20;
+
+	/**
+	 * SQL expressions a column can be set to in bulk updates.
+	 *
+	 * @var array<string>
+	 */
+	public const SQL_EXPRESSIONS = array( 'NOW()', 'CURRENT_TIMESTAMP', 'UTC_TIMESTAMP()', 'CURDATE()', 'CURTIME()', 'UNIX_TIMESTAMP()', 'UUID()' );
+
+	/**
+	 * Number of leading bytes of binary values included in data responses.
+	 *
+	 * @var int
+	 */
+	private const BINARY_PREVIEW_BYTES = 512;
+
+	/**
+	 * Foreign keys keyed by referenced table, cached for the request.
+	 *
+	 * @var array<string, array<array<string, string>>>|null
+	 */
+	private static ?array $reverse_foreign_keys = null;
+
 	/**
 	 * Constructor.
 	 */
@@ -184,6 +219,57 @@ final class Schema {
 		return $result;
 	}
 
+	/**
+	 * Check whether a column is generated from an expression.
+	 *
+	 * Generated columns are computed by the database and cannot be written.
+	 * The DEFAULT_GENERATED flag of MySQL 8 only marks an expression default.
+	 *
+	 * @param array<string, mixed> $column Column definition from describe_table().
+	 * @return bool Whether the column is generated.
+	 */
+	public function is_generated_column( array $column ): bool {
+		return 1 === preg_match( '/\b(?:VIRTUAL|STORED|PERSISTENT)\s+GENERATED\b/i', (string) $column['extra'] );
+	}
+
+	/**
+	 * Get the CREATE TABLE statement of a table.
+	 *
+	 * @param string $table_name Table name.
+	 * @return string|\WP_Error Statement as returned by SHOW CREATE TABLE, or error.
+	 */
+	public function get_create_table( string $table_name ): string|\WP_Error {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		if ( ! $this->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$row = $wpdb->get_row(
+			$wpdb->prepare(
+				'SHOW CREATE TABLE %i',
+				$table_name
+			),
+			ARRAY_N
+		);
+
+		if ( empty( $row[1] ) ) {
+			return new \WP_Error(
+				'create_table_failed',
+				__( 'Failed to read the table structure.', 'affinite-db-manager' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return $row[1];
+	}
+
 	/**
 	 * Check if a column exists in a table.
 	 *
@@ -722,6 +808,84 @@ final class Schema {
 		return $result;
 	}
 
+	/**
+	 * Get foreign keys in other tables that reference a table.
+	 *
+	 * @param string $table_name Referenced table name.
+	 * @return array<array{name: string, table: string, column: string, referenced_column: string, on_delete: string, on_update: string}>
+	 */
+	public function get_referencing_foreign_keys( string $table_name ): array {
+		$table_name = $this->sanitize_identifier( $table_name );
+		$index      = $this->get_reverse_foreign_key_index();
+
+		return $index[ $table_name ] ?? array();
+	}
+
+	/**
+	 * Get all foreign keys of the database, keyed by the table they reference.
+	 *
+	 * The index is built with a single information_schema query and kept for
+	 * the rest of the request.
+	 *
+	 * @return array<string, array<array{name: string, table: string, column: string, referenced_column: string, on_delete: string, on_update: string}>>
+	 */
+	public function get_reverse_foreign_key_index(): array {
+		global $wpdb;
+
+		if ( null !== self::$reverse_foreign_keys ) {
+			return self::$reverse_foreign_keys;
+		}
+
+		$database = defined( 'DB_NAME' ) ? DB_NAME : '';
+
+		$sql = $wpdb->prepare(
+			"SELECT
+				k.CONSTRAINT_NAME,
+				k.TABLE_NAME,
+				k.COLUMN_NAME,
+				k.REFERENCED_TABLE_NAME,
+				k.REFERENCED_COLUMN_NAME,
+				r.DELETE_RULE,
+				r.UPDATE_RULE
+			FROM information_schema.KEY_COLUMN_USAGE k
+			LEFT JOIN information_schema.REFERENTIAL_CONSTRAINTS r
+				ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA
+				AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+				AND r.TABLE_NAME = k.TABLE_NAME
+			WHERE k.TABLE_SCHEMA = %s
+				AND k.REFERENCED_TABLE_SCHEMA = %s
+				AND k.REFERENCED_TABLE_NAME IS NOT NULL
+			ORDER BY k.REFERENCED_TABLE_NAME, k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION",
+			$database,
+			$database
+		);
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$foreign_keys = $wpdb->get_results( $sql, ARRAY_A );
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		$index = array();
+
+		foreach ( $foreign_keys ?? array() as $fk ) {
+			$index[ $fk['REFERENCED_TABLE_NAME'] ][] = array(
+				'name'              => $fk['CONSTRAINT_NAME'],
+				'table'             => $fk['TABLE_NAME'],
+				'column'            => $fk['COLUMN_NAME'],
+				'referenced_column' => $fk['REFERENCED_COLUMN_NAME'],
+				'on_delete'         => $fk['DELETE_RULE'] ?? 'RESTRICT',
+				'on_update'         => $fk['UPDATE_RULE'] ?? 'RESTRICT',
+			);
+		}
+
+		self::$reverse_foreign_keys = $index;
+
+		return $index;
+	}
+
 	/**
 	 * Add a foreign key to a table.
 	 *
@@ -775,6 +939,9 @@ final class Schema {
 			);
 		}
 
+		// Foreign keys changed, so the cached reverse index is stale.
+		self::$reverse_foreign_keys = null;
+
 		return true;
 	}
 
@@ -817,18 +984,38 @@ final class Schema {
 			);
 		}
 
+		self::$reverse_foreign_keys = null;
+
 		return true;
 	}
 
 	/**
 	 * Get data preview from a table.
 	 *
-	 * @param string $table_name Table name.
-	 * @param int    $limit      Maximum number of rows to return.
-	 * @param int    $offset     Offset for pagination.
-	 * @return array{columns: array<string>, rows: array<array<mixed>>, total: int}|\WP_Error
+	 * Supported arguments:
+	 * - orderby: Column to sort by. Must be a column of the table.
+	 * - order:   Sort direction, ASC or DESC. Defaults to ASC.
+	 * - filters: List of conditions, each with column, operator and value.
+	 * - match:   How conditions are combined, AND or OR. Defaults to AND.
+	 * - search:    Term matched against all CHAR, VARCHAR and TEXT columns.
+	 * - cursor:    Primary key value to seek from instead of using the offset.
+	 * - direction: Seek direction from the cursor, next or prev. Defaults to next.
+	 *
+	 * When filters or a search term are given, total is the number of matching
+	 * rows and search_columns lists the columns the term was matched against.
+	 * Values of binary columns are encoded by encode_binary_values().
+	 *
+	 * Keyset (seek) pagination is available when the table has a single-column
+	 * primary key and rows are sorted by it or not sorted at all; keyset in the
+	 * result tells whether a cursor may be passed for the next request.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param int                  $limit      Maximum number of rows to return.
+	 * @param int                  $offset     Offset for pagination, ignored when a cursor is given.
+	 * @param array<string, mixed> $args       Query arguments.
+	 * @return array{columns: array<string>, rows: array<array<mixed>>, total: int, keyset: bool, search_columns?: array<string>}|\WP_Error
 	 */
-	public function get_data_preview( string $table_name, int $limit = 100, int $offset = 0 ): array|\WP_Error {
+	public function get_data_preview( string $table_name, int $limit = 100, int $offset = 0, array $args = array() ): array|\WP_Error {
 		global $wpdb;
 		$table_name = $this->sanitize_identifier( $table_name );
 
@@ -842,17 +1029,72 @@ final class Schema {
 		$columns_info = $this->describe_table( $table_name );
 		$columns      = array_column( $columns_info, 'name' );
 
-		$total = $this->get_row_count( $table_name );
+		$where = $this->build_where( $columns_info, $args );
+
+		if ( is_wp_error( $where ) ) {
+			return $where;
+		}
+
+		$keyset_column = $this->get_keyset_column( $columns_info, $args );
+		$cursor        = isset( $args['cursor'] ) && is_scalar( $args['cursor'] ) ? (string) $args['cursor'] : '';
+		$is_prev       = isset( $args['direction'] ) && 'prev' === $args['direction'];
+		$seek          = array(
+			'sql'    => $where['sql'],
+			'values' => $where['values'],
+		);
+
+		if ( '' !== $keyset_column ) {
+			// Sort by the key so that the cursor position is well defined.
+			$args['orderby'] = $keyset_column;
+			$args['order']   = isset( $args['order'] ) && 'DESC' === strtoupper( (string) $args['order'] ) ? 'DESC' : 'ASC';
+		}
+
+		if ( '' !== $cursor ) {
+			if ( '' === $keyset_column ) {
+				return new \WP_Error(
+					'invalid_cursor',
+					__( 'Keyset pagination requires a single-column primary key and sorting by it.', 'affinite-db-manager' ),
+					array( 'status' => 400 )
+				);
+			}
+
+			$operator = ( 'ASC' === $args['order'] ) !== $is_prev ? '>' : '<';
+
+			$seek['sql']     .= ( '' === $seek['sql'] ? 'WHERE ' : ' AND ' ) . "%i {$operator} %s";
+			$seek['values'][] = $keyset_column;
+			$seek['values'][] = $cursor;
+			$offset           = 0;
+
+			// Seek backwards in reverse order, then restore the order below.
+			if ( $is_prev ) {
+				$args['order'] = 'ASC' === $args['order'] ? 'DESC' : 'ASC';
+			}
+		}
+
+		$order_by = $this->build_order_by( $columns_info, $args );
+
+		if ( is_wp_error( $order_by ) ) {
+			return $order_by;
+		}
 
 		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
 		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
 		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		if ( '' === $where['sql'] ) {
+			$total = $this->get_row_count( $table_name );
+		} else {
+			$total = (int) $wpdb->get_var(
+				$wpdb->prepare(
+					"SELECT COUNT(*) FROM %i {$where['sql']}",
+					...array_merge( array( $table_name ), $where['values'] )
+				)
+			);
+		}
+
 		$rows = $wpdb->get_results(
 			$wpdb->prepare(
-				"SELECT * FROM %i LIMIT %d OFFSET %d",
-				$table_name,
-				$limit,
-				$offset
+				"SELECT * FROM %i {$seek['sql']} {$order_by['sql']} LIMIT %d OFFSET %d",
+				...array_merge( array( $table_name ), $seek['values'], $order_by['values'], array( $limit, $offset ) )
 			),
 			ARRAY_A
 		);
@@ -860,13 +1102,1278 @@ final class Schema {
 		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
 		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
 
-		return array(
+		$rows = $this->encode_binary_values( $columns_info, $rows ?? array() );
+
+		if ( '' !== $cursor && $is_prev ) {
+			$rows = array_reverse( $rows );
+		}
+
+		$data = array(
 			'columns' => $columns,
-			'rows'    => $rows ?? array(),
+			'rows'    => $rows,
 			'total'   => $total,
+			'keyset'  => '' !== $keyset_column,
+		);
+
+		if ( isset( $args['search'] ) && '' !== trim( (string) $args['search'] ) ) {
+			$data['search_columns'] = $this->get_searchable_columns( $columns_info );
+		}
+
+		return $data;
+	}
+
+	/**
+	 * Check query arguments of a table without reading any rows.
+	 *
+	 * Takes the arguments of each_row_chunk(), so their errors can be
+	 * reported before a download starts.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param array<string, mixed> $args       Query arguments.
+	 * @return bool|\WP_Error True if the arguments are valid, or error.
+	 */
+	public function validate_query_args( string $table_name, array $args ): bool|\WP_Error {
+		$columns_info = $this->describe_table( $table_name );
+		$where        = $this->build_where( $columns_info, $args );
+
+		if ( is_wp_error( $where ) ) {
+			return $where;
+		}
+
+		$order_by = $this->build_order_by( $columns_info, $args );
+
+		return is_wp_error( $order_by ) ? $order_by : true;
+	}
+
+	/**
+	 * Read all rows of a table in chunks.
+	 *
+	 * Takes the orderby, order, filters, match and search arguments of
+	 * get_data_preview(). When the table can be read by keyset, each chunk
+	 * seeks from the last primary key value of the previous one; otherwise
+	 * chunks are read by offset. Values are passed to the callback as
+	 * returned by the database, binary values are not encoded.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param array<string, mixed> $args       Query arguments.
+	 * @param callable             $callback   Callback receiving each chunk of rows.
+	 * @param int                  $chunk_size Number of rows per chunk.
+	 * @return int|\WP_Error Number of rows read or error.
+	 */
+	public function each_row_chunk( string $table_name, array $args, callable $callback, int $chunk_size = 1000 ): int|\WP_Error {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		if ( ! $this->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$columns_info = $this->describe_table( $table_name );
+		$where        = $this->build_where( $columns_info, $args );
+
+		if ( is_wp_error( $where ) ) {
+			return $where;
+		}
+
+		$keyset_column = $this->get_keyset_column( $columns_info, $args );
+
+		if ( '' !== $keyset_column ) {
+			$args['orderby'] = $keyset_column;
+			$args['order']   = isset( $args['order'] ) && 'DESC' === strtoupper( (string) $args['order'] ) ? 'DESC' : 'ASC';
+		}
+
+		$order_by = $this->build_order_by( $columns_info, $args );
+
+		if ( is_wp_error( $order_by ) ) {
+			return $order_by;
+		}
+
+		$operator = 'DESC' === ( $args['order'] ?? '' ) ? '<' : '>';
+		$cursor   = null;
+		$offset   = 0;
+		$count    = 0;
+
+		do {
+			$seek = $where;
+
+			if ( null !== $cursor ) {
+				$seek['sql']     .= ( '' === $seek['sql'] ? 'WHERE ' : ' AND ' ) . "%i {$operator} %s";
+				$seek['values'][] = $keyset_column;
+				$seek['values'][] = $cursor;
+			}
+
+			// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+			// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+			// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+			$rows = $wpdb->get_results(
+				$wpdb->prepare(
+					"SELECT * FROM %i {$seek['sql']} {$order_by['sql']} LIMIT %d OFFSET %d",
+					...array_merge( array( $table_name ), $seek['values'], $order_by['values'], array( $chunk_size, $offset ) )
+				),
+				ARRAY_A
+			);
+			// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+			// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+			// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+			$rows = $rows ?? array();
+
+			if ( empty( $rows ) ) {
+				break;
+			}
+
+			call_user_func( $callback, $rows );
+			$count += count( $rows );
+
+			if ( '' !== $keyset_column ) {
+				$cursor = (string) $rows[ count( $rows ) - 1 ][ $keyset_column ];
+			} else {
+				$offset += $chunk_size;
+			}
+		} while ( count( $rows ) === $chunk_size );
+
+		return $count;
+	}
+
+	/**
+	 * Get a batch of rows ordered by primary key, starting after a key.
+	 *
+	 * Only the primary key and the given columns are selected. Rows can be
+	 * narrowed down to those where any of the columns contains a text.
+	 *
+	 * @param string                $table_name  Table name.
+	 * @param array<string>         $primary_key Primary key column names.
+	 * @param array<string>         $columns     Columns to select besides the primary key.
+	 * @param array<string, string> $after       Primary key values of the last row of the previous batch, empty to start at the beginning.
+	 * @param string                $contains    Text any of the columns must contain, empty for all rows.
+	 * @param int                   $limit       Maximum number of rows.
+	 * @return array<array<string, mixed>> Rows keyed by column name.
+	 */
+	public function get_rows_after_key( string $table_name, array $primary_key, array $columns, array $after, string $contains, int $limit ): array {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+		$key        = array_map( array( $this, 'sanitize_identifier' ), $primary_key );
+		$columns    = array_map( array( $this, 'sanitize_identifier' ), $columns );
+		$select     = array_values( array_unique( array_merge( $key, $columns ) ) );
+		$key_list   = implode( ', ', array_fill( 0, count( $key ), '%i' ) );
+		$conditions = array();
+		$values     = array_merge( $select, array( $table_name ) );
+
+		if ( ! empty( $after ) ) {
+			$conditions[] = "({$key_list}) > (" . implode( ', ', array_fill( 0, count( $key ), '%s' ) ) . ')';
+			$values       = array_merge( $values, $key );
+
+			foreach ( $key as $column ) {
+				$values[] = (string) ( $after[ $column ] ?? '' );
+			}
+		}
+
+		if ( '' !== $contains && ! empty( $columns ) ) {
+			$conditions[] = '(' . implode( ' OR ', array_fill( 0, count( $columns ), '%i LIKE %s' ) ) . ')';
+
+			foreach ( $columns as $column ) {
+				$values[] = $column;
+				$values[] = '%' . $wpdb->esc_like( $contains ) . '%';
+			}
+		}
+
+		$where  = empty( $conditions ) ? '' : 'WHERE ' . implode( ' AND ', $conditions );
+		$values = array_merge( $values, $key, array( $limit ) );
+		$sql    = 'SELECT ' . implode( ', ', array_fill( 0, count( $select ), '%i' ) ) . " FROM %i {$where} ORDER BY "
+			. implode( ', ', array_fill( 0, count( $key ), '%i ASC' ) ) . ' LIMIT %d';
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$rows = $wpdb->get_results( $wpdb->prepare( $sql, ...$values ), ARRAY_A );
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		return $rows ?? array();
+	}
+
+	/**
+	 * Build the WHERE clause for a data query.
+	 *
+	 * Combines the filter conditions and the full-table search with AND.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @param array<string, mixed>        $args         Query arguments with filters, match and search.
+	 * @return array{sql: string, values: array<string>}|\WP_Error Clause with placeholders and their values, or error.
+	 */
+	private function build_where( array $columns_info, array $args ): array|\WP_Error {
+		global $wpdb;
+
+		$filters = $this->build_filter_condition( $columns_info, $args );
+
+		if ( is_wp_error( $filters ) ) {
+			return $filters;
+		}
+
+		$groups = array();
+		$values = $filters['values'];
+
+		if ( '' !== $filters['sql'] ) {
+			$groups[] = $filters['sql'];
+		}
+
+		$search = isset( $args['search'] ) ? trim( (string) $args['search'] ) : '';
+
+		if ( '' !== $search ) {
+			$search_columns = $this->get_searchable_columns( $columns_info );
+
+			if ( empty( $search_columns ) ) {
+				// Nothing to search in, so nothing can match.
+				$groups[] = '0 = 1';
+			} else {
+				$conditions = array();
+
+				foreach ( $search_columns as $column ) {
+					$conditions[] = '%i LIKE %s';
+					$values[]     = $column;
+					$values[]     = '%' . $wpdb->esc_like( $search ) . '%';
+				}
+
+				$groups[] = '(' . implode( ' OR ', $conditions ) . ')';
+			}
+		}
+
+		return array(
+			'sql'    => empty( $groups ) ? '' : 'WHERE ' . implode( ' AND ', $groups ),
+			'values' => $values,
 		);
 	}
 
+	/**
+	 * Encode values of binary columns so that rows can be sent as JSON.
+	 *
+	 * Each non-NULL binary value is replaced with an array holding its size in
+	 * bytes and a hex dump of its leading bytes.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @param array<array<string, mixed>> $rows         Rows keyed by column name.
+	 * @return array<array<string, mixed>> Rows with encoded binary values.
+	 */
+	public function encode_binary_values( array $columns_info, array $rows ): array {
+		$binary_columns = $this->get_binary_columns( $columns_info );
+
+		if ( empty( $binary_columns ) ) {
+			return $rows;
+		}
+
+		foreach ( $rows as $index => $row ) {
+			foreach ( $binary_columns as $column ) {
+				if ( ! isset( $row[ $column ] ) ) {
+					continue;
+				}
+
+				$rows[ $index ][ $column ] = array(
+					'__binary' => true,
+					'size'     => strlen( $row[ $column ] ),
+					'hex'      => bin2hex( substr( $row[ $column ], 0, self::BINARY_PREVIEW_BYTES ) ),
+				);
+			}
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Get the binary columns of a table.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @return array<string> Names of BINARY, VARBINARY and BLOB columns.
+	 */
+	public function get_binary_columns( array $columns_info ): array {
+		$columns = array();
+
+		foreach ( $columns_info as $column ) {
+			if ( preg_match( '/^(binary|varbinary|tinyblob|blob|mediumblob|longblob)\b/i', $column['type'] ) ) {
+				$columns[] = $column['name'];
+			}
+		}
+
+		return $columns;
+	}
+
+	/**
+	 * Get the column used for keyset pagination.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @param array<string, mixed>        $args         Query arguments with orderby.
+	 * @return string Primary key column, or empty string if keyset pagination is not possible.
+	 */
+	private function get_keyset_column( array $columns_info, array $args ): string {
+		$primary = array();
+
+		foreach ( $columns_info as $column ) {
+			if ( 'PRI' === $column['key'] ) {
+				$primary[] = $column['name'];
+			}
+		}
+
+		if ( 1 !== count( $primary ) ) {
+			return '';
+		}
+
+		$order_by = isset( $args['orderby'] ) ? (string) $args['orderby'] : '';
+
+		return '' === $order_by || $primary[0] === $order_by ? $primary[0] : '';
+	}
+
+	/**
+	 * Get the columns matched by the full-table search.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @return array<string> Names of CHAR, VARCHAR and TEXT columns.
+	 */
+	public function get_searchable_columns( array $columns_info ): array {
+		$columns = array();
+
+		foreach ( $columns_info as $column ) {
+			if ( preg_match( '/^(char|varchar|tinytext|text|mediumtext|longtext)\b/i', $column['type'] ) ) {
+				$columns[] = $column['name'];
+			}
+		}
+
+		return $columns;
+	}
+
+	/**
+	 * Build the filter condition for a data query.
+	 *
+	 * Each filter has a column, an operator and a value. IN takes a list of
+	 * values (or a comma-separated string), BETWEEN takes two values and
+	 * IS NULL takes none.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @param array<string, mixed>        $args         Query arguments with filters and match.
+	 * @return array{sql: string, values: array<string>}|\WP_Error Condition with placeholders and their values, or error.
+	 */
+	private function build_filter_condition( array $columns_info, array $args ): array|\WP_Error {
+		$filters = isset( $args['filters'] ) && is_array( $args['filters'] ) ? $args['filters'] : array();
+
+		if ( empty( $filters ) ) {
+			return array(
+				'sql'    => '',
+				'values' => array(),
+			);
+		}
+
+		if ( count( $filters ) > self::MAX_FILTERS ) {
+			return new \WP_Error(
+				'invalid_filters',
+				sprintf(
+					/* translators: %d: Maximum number of filters */
+					__( 'At most %d filters can be combined.', 'affinite-db-manager' ),
+					self::MAX_FILTERS
+				),
+				array( 'status' => 400 )
+			);
+		}
+
+		$columns    = array_column( $columns_info, 'name' );
+		$conditions = array();
+		$values     = array();
+
+		foreach ( $filters as $filter ) {
+			$column   = is_array( $filter ) && isset( $filter['column'] ) ? (string) $filter['column'] : '';
+			$operator = is_array( $filter ) && isset( $filter['operator'] ) ? strtoupper( (string) $filter['operator'] ) : '';
+			$value    = is_array( $filter ) && isset( $filter['value'] ) ? $filter['value'] : '';
+
+			if ( ! in_array( $column, $columns, true ) ) {
+				return new \WP_Error(
+					'invalid_filters',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Cannot filter by unknown column: %s', 'affinite-db-manager' ),
+						$column
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			if ( ! in_array( $operator, self::FILTER_OPERATORS, true ) ) {
+				return new \WP_Error(
+					'invalid_filters',
+					sprintf(
+						/* translators: %s: Operator */
+						__( 'Unsupported filter operator: %s', 'affinite-db-manager' ),
+						$operator
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			$values[] = $column;
+
+			if ( 'IS NULL' === $operator ) {
+				$conditions[] = '%i IS NULL';
+				continue;
+			}
+
+			if ( 'IN' === $operator || 'BETWEEN' === $operator ) {
+				$list = is_array( $value ) ? $value : explode( ',', (string) $value );
+				$list = array_values( array_map( fn( $item ) => trim( (string) $item ), array_filter( $list, 'is_scalar' ) ) );
+
+				if ( 'BETWEEN' === $operator && 2 !== count( $list ) ) {
+					return new \WP_Error(
+						'invalid_filters',
+						sprintf(
+							/* translators: %s: Column name */
+							__( 'BETWEEN filter on %s needs exactly two values.', 'affinite-db-manager' ),
+							$column
+						),
+						array( 'status' => 400 )
+					);
+				}
+
+				if ( empty( $list ) ) {
+					return new \WP_Error(
+						'invalid_filters',
+						sprintf(
+							/* translators: %s: Column name */
+							__( 'IN filter on %s needs at least one value.', 'affinite-db-manager' ),
+							$column
+						),
+						array( 'status' => 400 )
+					);
+				}
+
+				$conditions[] = 'BETWEEN' === $operator
+					? '%i BETWEEN %s AND %s'
+					: '%i IN (' . implode( ', ', array_fill( 0, count( $list ), '%s' ) ) . ')';
+				$values       = array_merge( $values, $list );
+				continue;
+			}
+
+			if ( ! is_scalar( $value ) ) {
+				return new \WP_Error(
+					'invalid_filters',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Invalid filter value for column %s.', 'affinite-db-manager' ),
+						$column
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			$conditions[] = "%i {$operator} %s";
+			$values[]     = (string) $value;
+		}
+
+		$match = isset( $args['match'] ) && 'OR' === strtoupper( (string) $args['match'] ) ? ' OR ' : ' AND ';
+
+		return array(
+			'sql'    => '(' . implode( $match, $conditions ) . ')',
+			'values' => $values,
+		);
+	}
+
+	/**
+	 * Build the ORDER BY clause for a data query.
+	 *
+	 * Primary key columns are appended as a tie-breaker so that paging
+	 * through rows with equal sort values stays stable.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @param array<string, mixed>        $args         Query arguments with orderby and order.
+	 * @return array{sql: string, values: array<string>}|\WP_Error Clause with %i placeholders and their values, or error.
+	 */
+	private function build_order_by( array $columns_info, array $args ): array|\WP_Error {
+		$order_by = isset( $args['orderby'] ) ? (string) $args['orderby'] : '';
+
+		if ( '' === $order_by ) {
+			return array(
+				'sql'    => '',
+				'values' => array(),
+			);
+		}
+
+		if ( ! in_array( $order_by, array_column( $columns_info, 'name' ), true ) ) {
+			return new \WP_Error(
+				'invalid_orderby',
+				sprintf(
+					/* translators: %s: Column name */
+					__( 'Cannot sort by unknown column: %s', 'affinite-db-manager' ),
+					$order_by
+				),
+				array( 'status' => 400 )
+			);
+		}
+
+		$order   = isset( $args['order'] ) && 'DESC' === strtoupper( (string) $args['order'] ) ? 'DESC' : 'ASC';
+		$parts   = array( "%i {$order}" );
+		$values  = array( $order_by );
+		$primary = array();
+
+		foreach ( $columns_info as $column ) {
+			if ( 'PRI' === $column['key'] && $column['name'] !== $order_by ) {
+				$primary[] = $column['name'];
+			}
+		}
+
+		foreach ( $primary as $column ) {
+			$parts[]  = "%i {$order}";
+			$values[] = $column;
+		}
+
+		return array(
+			'sql'    => 'ORDER BY ' . implode( ', ', $parts ),
+			'values' => $values,
+		);
+	}
+
+	/**
+	 * Get primary key columns of a table.
+	 *
+	 * @param string $table_name Table name.
+	 * @return array<string> Primary key column names in table order.
+	 */
+	public function get_primary_key( string $table_name ): array {
+		$columns = $this->describe_table( $table_name );
+		$primary = array();
+
+		foreach ( $columns as $column ) {
+			if ( 'PRI' === $column['key'] ) {
+				$primary[] = $column['name'];
+			}
+		}
+
+		return $primary;
+	}
+
+	/**
+	 * Get a single row identified by its primary key.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param array<string, mixed> $key        Primary key values keyed by column name.
+	 * @return array<string, mixed>|null Row data or null if not found.
+	 */
+	public function get_row( string $table_name, array $key ): ?array {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		$conditions     = array();
+		$prepare_values = array( $table_name );
+
+		foreach ( $key as $column => $value ) {
+			$conditions[]     = '%i = %s';
+			$prepare_values[] = $this->sanitize_identifier( (string) $column );
+			$prepare_values[] = (string) $value;
+		}
+
+		if ( empty( $conditions ) ) {
+			return null;
+		}
+
+		$sql = 'SELECT * FROM %i WHERE ' . implode( ' AND ', $conditions ) . ' LIMIT 1';
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$row = $wpdb->get_row( $wpdb->prepare( $sql, ...$prepare_values ), ARRAY_A );
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		return $row ?? null;
+	}
+
+	/**
+	 * Get the length in bytes of a value of a row.
+	 *
+	 * @param string               $table_name  Table name.
+	 * @param string               $column_name Column name.
+	 * @param array<string, mixed> $key         Primary key values keyed by column name.
+	 * @return int|null Length in bytes, or null if the row does not exist or the value is NULL.
+	 */
+	public function get_value_length( string $table_name, string $column_name, array $key ): ?int {
+		$length = $this->get_value_part( $table_name, $column_name, $key, 'OCTET_LENGTH(%i)', array() );
+
+		return null === $length ? null : (int) $length;
+	}
+
+	/**
+	 * Get a part of a value of a row.
+	 *
+	 * Reads large values piece by piece without loading them whole.
+	 *
+	 * @param string               $table_name  Table name.
+	 * @param string               $column_name Column name.
+	 * @param array<string, mixed> $key         Primary key values keyed by column name.
+	 * @param int                  $offset      Zero-based byte offset.
+	 * @param int                  $length      Maximum number of bytes.
+	 * @return string|null Bytes, or null if the row does not exist or the value is NULL.
+	 */
+	public function get_value_chunk( string $table_name, string $column_name, array $key, int $offset, int $length ): ?string {
+		return $this->get_value_part( $table_name, $column_name, $key, 'SUBSTRING(%i, %d, %d)', array( $offset + 1, $length ) );
+	}
+
+	/**
+	 * Select an expression of a column of a row.
+	 *
+	 * @param string               $table_name  Table name.
+	 * @param string               $column_name Column name.
+	 * @param array<string, mixed> $key         Primary key values keyed by column name.
+	 * @param string               $expression  Expression with a %i placeholder for the column, followed by placeholders for the arguments.
+	 * @param array<int>           $arguments   Values of the expression placeholders after the column.
+	 * @return string|null Selected value, or null if the row does not exist or the value is NULL.
+	 */
+	private function get_value_part( string $table_name, string $column_name, array $key, string $expression, array $arguments ): ?string {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		$conditions     = array();
+		$prepare_values = array_merge( array( $this->sanitize_identifier( $column_name ) ), $arguments, array( $table_name ) );
+
+		foreach ( $key as $column => $value ) {
+			$conditions[]     = '%i = %s';
+			$prepare_values[] = $this->sanitize_identifier( (string) $column );
+			$prepare_values[] = (string) $value;
+		}
+
+		if ( empty( $conditions ) ) {
+			return null;
+		}
+
+		$sql = "SELECT {$expression} FROM %i WHERE " . implode( ' AND ', $conditions ) . ' LIMIT 1';
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$value = $wpdb->get_var( $wpdb->prepare( $sql, ...$prepare_values ) );
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		return null === $value ? null : (string) $value;
+	}
+
+	/**
+	 * Insert a row into a table.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param array<string, mixed> $values     Values keyed by column name.
+	 * @return int|\WP_Error Auto-increment ID of the new row (0 if none) or error.
+	 */
+	public function insert_row( string $table_name, array $values ): int|\WP_Error {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		// Column names are validated against the table structure by the caller.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+		$result = $wpdb->insert( $table_name, $values );
+
+		if ( false === $result ) {
+			return new \WP_Error(
+				'insert_row_failed',
+				sprintf(
+					/* translators: %s: Database error message */
+					__( 'Failed to insert row: %s', 'affinite-db-manager' ),
+					$wpdb->last_error
+				)
+			);
+		}
+
+		return (int) $wpdb->insert_id;
+	}
+
+	/**
+	 * Insert a row, replacing any existing row with the same primary or unique key.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param array<string, mixed> $values     Values keyed by column name.
+	 * @return int|\WP_Error Number of affected rows (2 if a row was replaced) or error.
+	 */
+	public function replace_row( string $table_name, array $values ): int|\WP_Error {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		// Column names are validated against the table structure by the caller.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+		$result = $wpdb->replace( $table_name, $values );
+
+		if ( false === $result ) {
+			return new \WP_Error(
+				'replace_row_failed',
+				sprintf(
+					/* translators: %s: Database error message */
+					__( 'Failed to replace row: %s', 'affinite-db-manager' ),
+					$wpdb->last_error
+				)
+			);
+		}
+
+		return (int) $result;
+	}
+
+	/**
+	 * Execute a single SQL statement.
+	 *
+	 * The caller is responsible for checking what the statement does.
+	 *
+	 * @param string $sql SQL statement.
+	 * @return int|\WP_Error Number of affected rows or error.
+	 */
+	public function execute_statement( string $sql ): int|\WP_Error {
+		global $wpdb;
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.SchemaChange
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$result = $wpdb->query( $sql );
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.SchemaChange
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		if ( false === $result ) {
+			return new \WP_Error(
+				'statement_failed',
+				$wpdb->last_error ? $wpdb->last_error : __( 'The statement could not be executed.', 'affinite-db-manager' )
+			);
+		}
+
+		return max( 0, (int) $wpdb->rows_affected );
+	}
+
+	/**
+	 * Read session and user variables of the current connection.
+	 *
+	 * Names are not escaped, so the caller has to check them.
+	 *
+	 * @param array<string> $names Session variable names, and user variable names starting with @.
+	 * @return array<string, string|null> Values keyed by variable name.
+	 */
+	public function get_session_variables( array $names ): array {
+		global $wpdb;
+
+		if ( empty( $names ) ) {
+			return array();
+		}
+
+		$fields = array_map(
+			static fn( string $name ): string => str_starts_with( $name, '@' ) ? $name : '@@SESSION.' . $name,
+			$names
+		);
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$row = $wpdb->get_row( 'SELECT ' . implode( ', ', $fields ), ARRAY_N );
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		return is_array( $row ) ? array_combine( $names, $row ) : array();
+	}
+
+	/**
+	 * Set session and user variables of the current connection.
+	 *
+	 * Names are not escaped, so the caller has to check them. Integer
+	 * values are set as numbers, because boolean session variables such
+	 * as FOREIGN_KEY_CHECKS do not accept the string '0'.
+	 *
+	 * @param array<string, mixed> $values Values keyed by session variable name, or by user variable name starting with @.
+	 * @return bool|\WP_Error True on success or error.
+	 */
+	public function set_session_variables( array $values ): bool|\WP_Error {
+		global $wpdb;
+
+		if ( empty( $values ) ) {
+			return true;
+		}
+
+		$assignments    = array();
+		$prepare_values = array();
+
+		foreach ( $values as $name => $value ) {
+			$target = str_starts_with( $name, '@' ) ? $name : '@@SESSION.' . $name;
+
+			if ( null === $value ) {
+				$assignments[] = "{$target} = NULL";
+			} elseif ( preg_match( '/^-?\d{1,18}$/', (string) $value ) ) {
+				$assignments[]    = "{$target} = %d";
+				$prepare_values[] = (int) $value;
+			} else {
+				$assignments[]    = "{$target} = %s";
+				$prepare_values[] = (string) $value;
+			}
+		}
+
+		$sql = 'SET ' . implode( ', ', $assignments );
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$result = $wpdb->query( empty( $prepare_values ) ? $sql : $wpdb->prepare( $sql, ...$prepare_values ) );
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		if ( false === $result ) {
+			return new \WP_Error(
+				'session_failed',
+				sprintf(
+					/* translators: %s: Database error message */
+					__( 'Failed to restore the session settings: %s', 'affinite-db-manager' ),
+					$wpdb->last_error
+				)
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Delete rows identified by their primary keys.
+	 *
+	 * @param string                      $table_name Table name.
+	 * @param array<array<string, mixed>> $keys       Primary key values of each row, keyed by column name.
+	 * @return int|\WP_Error Number of deleted rows or error.
+	 */
+	public function delete_rows( string $table_name, array $keys ): int|\WP_Error {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		$row_conditions = array();
+		$prepare_values = array( $table_name );
+
+		foreach ( $keys as $key ) {
+			$conditions = array();
+
+			foreach ( $key as $column => $value ) {
+				$conditions[]     = '%i = %s';
+				$prepare_values[] = $this->sanitize_identifier( (string) $column );
+				$prepare_values[] = (string) $value;
+			}
+
+			$row_conditions[] = '(' . implode( ' AND ', $conditions ) . ')';
+		}
+
+		if ( empty( $row_conditions ) ) {
+			return 0;
+		}
+
+		$sql = 'DELETE FROM %i WHERE ' . implode( ' OR ', $row_conditions );
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$result = $wpdb->query( $wpdb->prepare( $sql, ...$prepare_values ) );
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		if ( false === $result ) {
+			return new \WP_Error(
+				'delete_rows_failed',
+				sprintf(
+					/* translators: %s: Database error message */
+					__( 'Failed to delete rows: %s', 'affinite-db-manager' ),
+					$wpdb->last_error
+				)
+			);
+		}
+
+		return (int) $result;
+	}
+
+	/**
+	 * Count rows whose column matches any of the given values.
+	 *
+	 * @param string        $table_name  Table name.
+	 * @param string        $column_name Column name.
+	 * @param array<string> $values      Values to match.
+	 * @return int Number of matching rows.
+	 */
+	public function count_matching_rows( string $table_name, string $column_name, array $values ): int {
+		global $wpdb;
+		$table_name  = $this->sanitize_identifier( $table_name );
+		$column_name = $this->sanitize_identifier( $column_name );
+
+		if ( empty( $values ) ) {
+			return 0;
+		}
+
+		$placeholders = implode( ', ', array_fill( 0, count( $values ), '%s' ) );
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$count = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT COUNT(*) FROM %i WHERE %i IN ({$placeholders})",
+				$table_name,
+				$column_name,
+				...array_map( 'strval', $values )
+			)
+		);
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		return (int) $count;
+	}
+
+	/**
+	 * Count rows matching values in all of the given columns.
+	 *
+	 * @param string                $table_name Table name.
+	 * @param array<string, string> $values     Values keyed by column name.
+	 * @return int Number of matching rows.
+	 */
+	public function count_rows_with_values( string $table_name, array $values ): int {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		if ( empty( $values ) ) {
+			return 0;
+		}
+
+		$conditions     = array();
+		$prepare_values = array( $table_name );
+
+		foreach ( $values as $column => $value ) {
+			$conditions[]     = '%i = %s';
+			$prepare_values[] = $this->sanitize_identifier( (string) $column );
+			$prepare_values[] = (string) $value;
+		}
+
+		$sql = 'SELECT COUNT(*) FROM %i WHERE ' . implode( ' AND ', $conditions );
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$count = $wpdb->get_var( $wpdb->prepare( $sql, ...$prepare_values ) );
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		return (int) $count;
+	}
+
+	/**
+	 * Get aggregate statistics of columns in a single query.
+	 *
+	 * Each column gets its distinct and NULL counts; min and max, and the
+	 * average character length, only when requested for it. With a sample
+	 * size, only a sample of the rows is read, see get_sample_source().
+	 *
+	 * @param string                      $table_name  Table name.
+	 * @param array<array<string, mixed>> $columns     Columns, each with name, minmax and length flags.
+	 * @param int                         $sample_size Maximum number of rows to read, or 0 for all rows.
+	 * @return array{rows: int, spread: bool, columns: array<string, array<string, mixed>>} Number of rows read, whether they were spread across the table and statistics keyed by column name.
+	 */
+	public function get_column_aggregates( string $table_name, array $columns, int $sample_size = 0 ): array {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		$expressions = array( 'COUNT(*) AS `rows`' );
+		$values      = array();
+
+		foreach ( array_values( $columns ) as $index => $column ) {
+			$name          = $this->sanitize_identifier( $column['name'] );
+			$expressions[] = "COUNT(DISTINCT %i) AS `distinct_{$index}`";
+			$expressions[] = "SUM(%i IS NULL) AS `nulls_{$index}`";
+			array_push( $values, $name, $name );
+
+			if ( ! empty( $column['minmax'] ) ) {
+				$expressions[] = "MIN(%i) AS `min_{$index}`";
+				$expressions[] = "MAX(%i) AS `max_{$index}`";
+				array_push( $values, $name, $name );
+			}
+
+			if ( ! empty( $column['length'] ) ) {
+				$expressions[] = "AVG(CHAR_LENGTH(%i)) AS `length_{$index}`";
+				$values[]      = $name;
+			}
+		}
+
+		$source = $this->get_sample_source( $table_name, array_column( $columns, 'name' ), $sample_size );
+		$values = array_merge( $values, $source['values'] );
+
+		$sql = 'SELECT ' . implode( ', ', $expressions ) . " FROM {$source['sql']}";
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$row = $wpdb->get_row( $wpdb->prepare( $sql, ...$values ), ARRAY_A );
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		$result = array(
+			'rows'    => (int) ( $row['rows'] ?? 0 ),
+			'spread'  => $source['spread'],
+			'columns' => array(),
+		);
+
+		foreach ( array_values( $columns ) as $index => $column ) {
+			$result['columns'][ $column['name'] ] = array(
+				'distinct'   => (int) ( $row[ "distinct_{$index}" ] ?? 0 ),
+				'nulls'      => (int) ( $row[ "nulls_{$index}" ] ?? 0 ),
+				'min'        => $row[ "min_{$index}" ] ?? null,
+				'max'        => $row[ "max_{$index}" ] ?? null,
+				'avg_length' => isset( $row[ "length_{$index}" ] ) ? (float) $row[ "length_{$index}" ] : null,
+			);
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Get the most frequent values of a column.
+	 *
+	 * With a sample size, only the same sample of rows as in
+	 * get_column_aggregates() is read.
+	 *
+	 * @param string $table_name  Table name.
+	 * @param string $column_name Column name.
+	 * @param int    $limit       Maximum number of values.
+	 * @param int    $sample_size Maximum number of rows to read, or 0 for all rows.
+	 * @return array<array{value: mixed, count: int}> Values with their number of rows, most frequent first.
+	 */
+	public function get_top_values( string $table_name, string $column_name, int $limit, int $sample_size = 0 ): array {
+		global $wpdb;
+		$table_name  = $this->sanitize_identifier( $table_name );
+		$column_name = $this->sanitize_identifier( $column_name );
+
+		$source = $this->get_sample_source( $table_name, array( $column_name ), $sample_size );
+		$values = array_merge( array( $column_name ), $source['values'], array( $limit ) );
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT %i AS `value`, COUNT(*) AS `count` FROM {$source['sql']} GROUP BY 1 ORDER BY `count` DESC, 1 LIMIT %d",
+				...$values
+			),
+			ARRAY_A
+		);
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		return array_map(
+			static fn( array $row ): array => array(
+				'value' => $row['value'],
+				'count' => (int) $row['count'],
+			),
+			$rows
+		);
+	}
+
+	/**
+	 * Build the FROM source of statistics queries.
+	 *
+	 * Without a sample size this is the table itself. Otherwise only the
+	 * given columns of at most that many rows are read. With a single integer
+	 * primary key, every n-th key value across the whole key range is taken,
+	 * so old and new rows are both in the sample. Other tables fall back to
+	 * their first rows as stored.
+	 *
+	 * @param string        $table_name   Table name, already sanitized.
+	 * @param array<string> $column_names Columns to read.
+	 * @param int           $sample_size  Maximum number of rows to read, or 0 for all rows.
+	 * @return array{sql: string, values: array<int|string>, spread: bool} SQL with placeholders, their values and whether the rows are spread across the key range.
+	 */
+	private function get_sample_source( string $table_name, array $column_names, int $sample_size ): array {
+		global $wpdb;
+
+		if ( $sample_size <= 0 ) {
+			return array(
+				'sql'    => '%i',
+				'values' => array( $table_name ),
+				'spread' => false,
+			);
+		}
+
+		$column_names = array_map( array( $this, 'sanitize_identifier' ), array_values( array_unique( $column_names ) ) );
+		$select       = implode( ', ', array_fill( 0, count( $column_names ), '%i' ) );
+		$primary      = array_values(
+			array_filter(
+				$this->describe_table( $table_name ),
+				static fn( array $column ): bool => 'PRI' === $column['key']
+			)
+		);
+
+		if ( 1 === count( $primary ) && preg_match( '/^(tinyint|smallint|mediumint|int|integer|bigint)\b/i', $primary[0]['type'] ) ) {
+			$key = $primary[0]['name'];
+
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$range = $wpdb->get_row( $wpdb->prepare( 'SELECT MIN(%i) AS `low`, MAX(%i) AS `high` FROM %i', $key, $key, $table_name ), ARRAY_A );
+			$low   = filter_var( $range['low'] ?? null, FILTER_VALIDATE_INT );
+			$high  = filter_var( $range['high'] ?? null, FILTER_VALIDATE_INT );
+
+			// Unsigned keys beyond the PHP integer range are not validated and fall back.
+			if ( false !== $low && false !== $high && $high >= $low ) {
+				$step = (int) ceil( ( $high - $low + 1 ) / $sample_size );
+
+				return array(
+					'sql'    => "(SELECT {$select} FROM %i WHERE MOD(%i - %d, %d) = 0 LIMIT %d) AS `sample`",
+					'values' => array_merge( $column_names, array( $table_name, $key, $low, max( 1, $step ), $sample_size ) ),
+					'spread' => true,
+				);
+			}
+		}
+
+		return array(
+			'sql'    => "(SELECT {$select} FROM %i LIMIT %d) AS `sample`",
+			'values' => array_merge( $column_names, array( $table_name, $sample_size ) ),
+			'spread' => false,
+		);
+	}
+
+	/**
+	 * Update a single row identified by its primary key.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param array<string, mixed> $key        Primary key values keyed by column name.
+	 * @param array<string, mixed> $values     New values keyed by column name.
+	 * @return bool|\WP_Error Whether the row was updated successfully or error.
+	 */
+	public function update_row( string $table_name, array $key, array $values ): bool|\WP_Error {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		// Column names are validated against the table structure by the caller.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$result = $wpdb->update( $table_name, $values, $key );
+
+		if ( false === $result ) {
+			return new \WP_Error(
+				'update_row_failed',
+				sprintf(
+					/* translators: %s: Database error message */
+					__( 'Failed to update row: %s', 'affinite-db-manager' ),
+					$wpdb->last_error
+				)
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Count the rows of a table matching data query arguments.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param array<string, mixed> $args       Query arguments with filters, match and search.
+	 * @return int|\WP_Error Number of matching rows or error.
+	 */
+	public function count_rows( string $table_name, array $args ): int|\WP_Error {
+		global $wpdb;
+		$table_name = $this->sanitize_identifier( $table_name );
+
+		$where = $this->build_where( $this->describe_table( $table_name ), $args );
+
+		if ( is_wp_error( $where ) ) {
+			return $where;
+		}
+
+		if ( '' === $where['sql'] ) {
+			return $this->get_row_count( $table_name );
+		}
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:disable WordPress.DB.PreparedSQL.NotPrepared
+		$count = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT COUNT(*) FROM %i {$where['sql']}",
+				...array_merge( array( $table_name ), $where['values'] )
+			)
+		);
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.NoCaching
+		// phpcs:enable WordPress.DB.PreparedSQL.NotPrepared
+
+		return (int) $count;
+	}
+
+	/**
+	 * Build an UPDATE statement setting columns of all rows matching data query arguments.
+	 *
+	 * Each column is set to a value, NULL or one of SQL_EXPRESSIONS. The
+	 * statement is returned fully prepared, so that it can be shown as it
+	 * will run and passed to execute_statement().
+	 *
+	 * @param string                                           $table_name Table name.
+	 * @param array<string, mixed>                             $args       Query arguments with filters, match and search.
+	 * @param array<string, array{type: string, value: mixed}> $values     New values keyed by column name, typed value, null or expression.
+	 * @return string|\WP_Error SQL statement or error.
+	 */
+	public function get_bulk_update_sql( string $table_name, array $args, array $values ): string|\WP_Error {
+		global $wpdb;
+		$table_name   = $this->sanitize_identifier( $table_name );
+		$columns_info = $this->describe_table( $table_name );
+		$columns      = array_column( $columns_info, 'name' );
+		$assignments  = array();
+		$arguments    = array( $table_name );
+
+		foreach ( $values as $column => $value ) {
+			if ( ! in_array( $column, $columns, true ) ) {
+				return new \WP_Error(
+					'column_not_found',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Column not found: %s', 'affinite-db-manager' ),
+						$column
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			$arguments[] = $column;
+
+			if ( 'null' === $value['type'] ) {
+				$assignments[] = '%i = NULL';
+			} elseif ( 'expression' === $value['type'] ) {
+				$expression = strtoupper( trim( (string) $value['value'] ) );
+
+				if ( ! in_array( $expression, self::SQL_EXPRESSIONS, true ) ) {
+					return new \WP_Error(
+						'invalid_expression',
+						sprintf(
+							/* translators: %s: SQL expression */
+							__( 'Unsupported SQL expression: %s', 'affinite-db-manager' ),
+							(string) $value['value']
+						),
+						array( 'status' => 400 )
+					);
+				}
+
+				// The expression is one of the whitelisted constants.
+				$assignments[] = "%i = {$expression}";
+			} else {
+				$assignments[] = '%i = %s';
+				$arguments[]   = (string) $value['value'];
+			}
+		}
+
+		$where = $this->build_where( $columns_info, $args );
+
+		if ( is_wp_error( $where ) ) {
+			return $where;
+		}
+
+		$sql = 'UPDATE %i SET ' . implode( ', ', $assignments ) . ( '' === $where['sql'] ? '' : " {$where['sql']}" );
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- Assignments and WHERE clause only contain placeholders and whitelisted expressions.
+		return $wpdb->remove_placeholder_escape( $wpdb->prepare( $sql, ...array_merge( $arguments, $where['values'] ) ) );
+	}
+
 	/**
 	 * Sanitize a database identifier (table name, column name, etc.).
 	 *
@@ -20,6 +20,8 @@ use Affinite\DBManager\Rest\ColumnsController;
 use Affinite\DBManager\Rest\IndexesController;
 use Affinite\DBManager\Rest\RelationsController;
 use Affinite\DBManager\Rest\DataController;
+use Affinite\DBManager\Rest\ExportController;
+use Affinite\DBManager\Rest\ImportController;
 use Affinite\DBManager\Services\AccessService;
 
 /**
@@ -289,7 +291,7 @@ final class Plugin {
 			$asset = require $asset_file;
 		} else {
 			$asset = array(
-				'dependencies' => array( 'wp-element', 'wp-api-fetch', 'wp-i18n', 'wp-components' ),
+				'dependencies' => array( 'wp-element', 'wp-api-fetch', 'wp-i18n', 'wp-components', 'wp-url' ),
 				'version'      => self::VERSION,
 			);
 		}
@@ -347,6 +349,8 @@ final class Plugin {
 		$indexes_controller   = new IndexesController( $this->access_service );
 		$relations_controller = new RelationsController( $this->access_service );
 		$data_controller      = new DataController( $this->access_service );
+		$export_controller    = new ExportController( $this->access_service );
+		$import_controller    = new ImportController( $this->access_service );
 
 		$settings_controller->register_routes();
 		$tables_controller->register_routes();
@@ -354,6 +358,8 @@ final class Plugin {
 		$indexes_controller->register_routes();
 		$relations_controller->register_routes();
 		$data_controller->register_routes();
+		$export_controller->register_routes();
+		$import_controller->register_routes();
 	}
 
 	/**
@@ -11,6 +11,8 @@ declare(strict_types=1);
 namespace Affinite\DBManager\Rest;
 
 use Affinite\DBManager\Services\AccessService;
+use Affinite\DBManager\Services\DataService;
+use Affinite\DBManager\Services\ReplaceService;
 use Affinite\DBManager\Database\Schema;
 use WP_REST_Controller;
 use WP_REST_Request;
@@ -43,14 +45,30 @@ final class DataController extends WP_REST_Controller {
 	 */
 	private Schema $db_schema;
 
+	/**
+	 * Data service instance.
+	 *
+	 * @var DataService
+	 */
+	private DataService $data_service;
+
+	/**
+	 * Replace service instance.
+	 *
+	 * @var ReplaceService
+	 */
+	private ReplaceService $replace_service;
+
 	/**
 	 * Constructor.
 	 *
 	 * @param AccessService $access_service Access service instance.
 	 */
 	public function __construct( AccessService $access_service ) {
-		$this->access_service = $access_service;
-		$this->db_schema      = new Schema();
+		$this->access_service  = $access_service;
+		$this->db_schema       = new Schema();
+		$this->data_service    = new DataService( $access_service );
+		$this->replace_service = new ReplaceService( $access_service );
 	}
 
 	/**
@@ -66,24 +84,269 @@ final class DataController extends WP_REST_Controller {
 					'callback'            => array( $this, 'get_data' ),
 					'permission_callback' => array( $this, 'get_data_permissions_check' ),
 					'args'                => array(
-						'table'  => array(
+						'table'     => array(
 							'required'          => true,
 							'type'              => 'string',
 							'sanitize_callback' => 'sanitize_text_field',
 						),
-						'limit'  => array(
+						'limit'     => array(
 							'type'              => 'integer',
 							'default'           => 100,
 							'minimum'           => 1,
 							'maximum'           => 1000,
 							'sanitize_callback' => 'absint',
 						),
-						'offset' => array(
+						'offset'    => array(
 							'type'              => 'integer',
 							'default'           => 0,
 							'minimum'           => 0,
 							'sanitize_callback' => 'absint',
 						),
+						'orderby'   => array(
+							'type'              => 'string',
+							'default'           => '',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'order'     => array(
+							'type'    => 'string',
+							'default' => 'asc',
+							'enum'    => array( 'asc', 'desc' ),
+						),
+						'filters'   => array(
+							'type'    => 'array',
+							'default' => array(),
+							'items'   => array(
+								'type' => 'object',
+							),
+						),
+						'match'     => array(
+							'type'    => 'string',
+							'default' => 'and',
+							'enum'    => array( 'and', 'or' ),
+						),
+						'search'    => array(
+							'type'    => 'string',
+							'default' => '',
+						),
+						'cursor'    => array(
+							'type'    => 'string',
+							'default' => '',
+						),
+						'direction' => array(
+							'type'    => 'string',
+							'default' => 'next',
+							'enum'    => array( 'next', 'prev' ),
+						),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'insert_row' ),
+					'permission_callback' => array( $this, 'modify_data_permissions_check' ),
+					'args'                => array(
+						'table'  => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'values' => array(
+							'required' => true,
+							'type'     => 'object',
+						),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_rows' ),
+					'permission_callback' => array( $this, 'modify_data_permissions_check' ),
+					'args'                => $this->get_keys_args(),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/tables/(?P<table>[a-zA-Z0-9_]+)/data/impact',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'get_delete_impact' ),
+					'permission_callback' => array( $this, 'get_data_permissions_check' ),
+					'args'                => $this->get_keys_args(),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/tables/(?P<table>[a-zA-Z0-9_]+)/data/row',
+			array(
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_row' ),
+					'permission_callback' => array( $this, 'modify_data_permissions_check' ),
+					'args'                => array(
+						'table'  => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'key'    => array(
+							'required' => true,
+							'type'     => 'object',
+						),
+						'values' => array(
+							'required' => true,
+							'type'     => 'object',
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/tables/(?P<table>[a-zA-Z0-9_]+)/data/value',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'download_value' ),
+					'permission_callback' => array( $this, 'get_data_permissions_check' ),
+					'args'                => array_merge(
+						$this->get_value_args(),
+						array(
+							'inline' => array(
+								'type'              => 'boolean',
+								'default'           => false,
+								'sanitize_callback' => 'rest_sanitize_boolean',
+							),
+						)
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'upload_value' ),
+					'permission_callback' => array( $this, 'modify_data_permissions_check' ),
+					'args'                => $this->get_value_args(),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/tables/(?P<table>[a-zA-Z0-9_]+)/data/copy',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'copy_rows' ),
+					'permission_callback' => array( $this, 'get_data_permissions_check' ),
+					'args'                => array_merge(
+						$this->get_keys_args(),
+						array(
+							'format' => array(
+								'required' => true,
+								'type'     => 'string',
+								'enum'     => array( 'sql', 'json', 'tsv', 'markdown' ),
+							),
+						)
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/tables/(?P<table>[a-zA-Z0-9_]+)/data/bulk-update',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'bulk_update' ),
+					'permission_callback' => array( $this, 'modify_data_permissions_check' ),
+					'args'                => array(
+						'table'    => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'filters'  => array(
+							'type'    => 'array',
+							'default' => array(),
+							'items'   => array(
+								'type' => 'object',
+							),
+						),
+						'match'    => array(
+							'type'    => 'string',
+							'default' => 'and',
+							'enum'    => array( 'and', 'or' ),
+						),
+						'search'   => array(
+							'type'    => 'string',
+							'default' => '',
+						),
+						'values'   => array(
+							'required' => true,
+							'type'     => 'object',
+						),
+						'dry_run'  => array(
+							'type'    => 'boolean',
+							'default' => true,
+						),
+						'expected' => array(
+							'type'    => 'integer',
+							'minimum' => 0,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/tables/(?P<table>[a-zA-Z0-9_]+)/data/replace',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'replace_values' ),
+					'permission_callback' => array( $this, 'modify_data_permissions_check' ),
+					'args'                => array(
+						'table'          => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'columns'        => array(
+							'required' => true,
+							'type'     => 'array',
+							'items'    => array(
+								'type' => 'string',
+							),
+						),
+						'search'         => array(
+							'required' => true,
+							'type'     => 'string',
+						),
+						'replace'        => array(
+							'type'    => 'string',
+							'default' => '',
+						),
+						'mode'           => array(
+							'type'    => 'string',
+							'default' => 'text',
+							'enum'    => array( 'text', 'regex' ),
+						),
+						'case_sensitive' => array(
+							'type'    => 'boolean',
+							'default' => true,
+						),
+						'dry_run'        => array(
+							'type'    => 'boolean',
+							'default' => true,
+						),
+						'after'          => array(
+							'type'    => 'object',
+							'default' => array(),
+						),
 					),
 				),
 			)
@@ -124,6 +387,32 @@ final class DataController extends WP_REST_Controller {
 		return true;
 	}
 
+	/**
+	 * Check if user has permission to modify data.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool|\WP_Error True if allowed, WP_Error otherwise.
+	 */
+	public function modify_data_permissions_check( WP_REST_Request $request ): bool|\WP_Error {
+		$check = $this->get_data_permissions_check( $request );
+
+		if ( is_wp_error( $check ) ) {
+			return $check;
+		}
+
+		$table_name = $request->get_param( 'table' );
+
+		if ( $this->access_service->is_table_locked( $table_name ) ) {
+			return new \WP_Error(
+				'table_locked',
+				__( 'Cannot modify data of a locked table.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return true;
+	}
+
 	/**
 	 * Get data preview for a table.
 	 *
@@ -134,8 +423,17 @@ final class DataController extends WP_REST_Controller {
 		$table_name = $request->get_param( 'table' );
 		$limit      = $request->get_param( 'limit' );
 		$offset     = $request->get_param( 'offset' );
+		$args       = array(
+			'orderby'   => $request->get_param( 'orderby' ),
+			'order'     => $request->get_param( 'order' ),
+			'filters'   => $request->get_param( 'filters' ),
+			'match'     => $request->get_param( 'match' ),
+			'search'    => $request->get_param( 'search' ),
+			'cursor'    => $request->get_param( 'cursor' ),
+			'direction' => $request->get_param( 'direction' ),
+		);
 
-		$data = $this->db_schema->get_data_preview( $table_name, $limit, $offset );
+		$data = $this->db_schema->get_data_preview( $table_name, $limit, $offset, $args );
 
 		if ( is_wp_error( $data ) ) {
 			return $data;
@@ -143,4 +441,284 @@ final class DataController extends WP_REST_Controller {
 
 		return new WP_REST_Response( $data, 200 );
 	}
+
+	/**
+	 * Insert a row into a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function insert_row( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$table_name = $request->get_param( 'table' );
+		$params     = $request->get_json_params();
+
+		$row = $this->data_service->insert_row( $table_name, $params['values'] ?? array() );
+
+		if ( is_wp_error( $row ) ) {
+			return $row;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Row added successfully.', 'affinite-db-manager' ),
+				'row'     => $row,
+			),
+			201
+		);
+	}
+
+	/**
+	 * Update a single row identified by its primary key.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function update_row( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$table_name = $request->get_param( 'table' );
+		$params     = $request->get_json_params();
+
+		$row = $this->data_service->update_row(
+			$table_name,
+			$params['key'] ?? array(),
+			$params['values'] ?? array()
+		);
+
+		if ( is_wp_error( $row ) ) {
+			return $row;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Row updated successfully.', 'affinite-db-manager' ),
+				'row'     => $row,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Delete rows identified by their primary keys.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function delete_rows( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$table_name = $request->get_param( 'table' );
+		$keys       = $request->get_param( 'keys' );
+
+		$deleted = $this->data_service->delete_rows( $table_name, $keys );
+
+		if ( is_wp_error( $deleted ) ) {
+			return $deleted;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Rows deleted successfully.', 'affinite-db-manager' ),
+				'deleted' => $deleted,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Get rows in other tables that reference the given rows.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function get_delete_impact( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$table_name = $request->get_param( 'table' );
+		$keys       = $request->get_param( 'keys' );
+
+		$impact = $this->data_service->get_delete_impact( $table_name, $keys );
+
+		if ( is_wp_error( $impact ) ) {
+			return $impact;
+		}
+
+		return new WP_REST_Response( $impact, 200 );
+	}
+
+	/**
+	 * Stream a binary value of a row as a file download.
+	 *
+	 * Ends the request once the file has been sent.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return \WP_Error Error if the value could not be sent.
+	 */
+	public function download_value( WP_REST_Request $request ): \WP_Error {
+		$result = $this->data_service->download_value(
+			$request->get_param( 'table' ),
+			$request->get_param( 'column' ),
+			$request->get_param( 'key' ),
+			$request->get_param( 'inline' )
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		exit;
+	}
+
+	/**
+	 * Replace a binary value of a row with an uploaded file.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function upload_value( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$files = $request->get_file_params();
+
+		$row = $this->data_service->upload_value(
+			$request->get_param( 'table' ),
+			$request->get_param( 'column' ),
+			$request->get_param( 'key' ),
+			$files['file'] ?? null
+		);
+
+		if ( is_wp_error( $row ) ) {
+			return $row;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'message' => __( 'Value replaced successfully.', 'affinite-db-manager' ),
+				'row'     => $row,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Format rows identified by their primary keys for the clipboard.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function copy_rows( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$result = $this->data_service->copy_rows(
+			$request->get_param( 'table' ),
+			$request->get_param( 'keys' ),
+			$request->get_param( 'format' )
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return new WP_REST_Response( $result, 200 );
+	}
+
+	/**
+	 * Set columns of all rows matching the filters.
+	 *
+	 * Only counts the rows and returns the UPDATE statement unless dry_run
+	 * is false.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function bulk_update( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$params   = $request->get_json_params();
+		$expected = $request->get_param( 'expected' );
+
+		$result = $this->data_service->bulk_update(
+			$request->get_param( 'table' ),
+			array(
+				'filters' => $request->get_param( 'filters' ),
+				'match'   => $request->get_param( 'match' ),
+				'search'  => $request->get_param( 'search' ),
+			),
+			$params['values'] ?? array(),
+			$request->get_param( 'dry_run' ),
+			null === $expected ? null : (int) $expected
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return new WP_REST_Response( $result, 200 );
+	}
+
+	/**
+	 * Find and replace in the next batch of rows.
+	 *
+	 * Changes are only listed unless dry_run is false.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function replace_values( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$result = $this->replace_service->replace(
+			$request->get_param( 'table' ),
+			array(
+				'columns'        => $request->get_param( 'columns' ),
+				'search'         => $request->get_param( 'search' ),
+				'replace'        => $request->get_param( 'replace' ),
+				'mode'           => $request->get_param( 'mode' ),
+				'case_sensitive' => $request->get_param( 'case_sensitive' ),
+				'dry_run'        => $request->get_param( 'dry_run' ),
+				'after'          => $request->get_param( 'after' ),
+			)
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return new WP_REST_Response( $result, 200 );
+	}
+
+	/**
+	 * Get arguments schema for requests addressing a value of a row.
+	 *
+	 * @return array<string, array<string, mixed>> Arguments schema.
+	 */
+	private function get_value_args(): array {
+		return array(
+			'table'  => array(
+				'required'          => true,
+				'type'              => 'string',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'column' => array(
+				'required' => true,
+				'type'     => 'string',
+			),
+			'key'    => array(
+				'required' => true,
+				'type'     => 'object',
+			),
+		);
+	}
+
+	/**
+	 * Get arguments schema for requests addressing rows by primary key.
+	 *
+	 * @return array<string, array<string, mixed>> Arguments schema.
+	 */
+	private function get_keys_args(): array {
+		return array(
+			'table' => array(
+				'required'          => true,
+				'type'              => 'string',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'keys'  => array(
+				'required' => true,
+				'type'     => 'array',
+				'items'    => array(
+					'type' => 'object',
+				),
+			),
+		);
+	}
 }
@@ -0,0 +1,287 @@
+<?php
+/**
+ * Export REST API controller for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+namespace Affinite\DBManager\Rest;
+
+use Affinite\DBManager\Services\AccessService;
+use Affinite\DBManager\Services\ExportService;
+use WP_REST_Controller;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+/**
+ * Export REST API controller.
+ *
+ * Export responses are file downloads streamed straight to the output, so
+ * the endpoint is opened by the browser with the REST nonce in the _wpnonce
+ * query argument rather than fetched. The browser first fetches the same
+ * URL with dry_run, which only runs the checks and reports errors as JSON.
+ */
+final class ExportController extends WP_REST_Controller {
+
+	/**
+	 * API namespace.
+	 *
+	 * @var string
+	 */
+	protected $namespace = 'affinite-db-manager/v1';
+
+	/**
+	 * Access service instance.
+	 *
+	 * @var AccessService
+	 */
+	private AccessService $access_service;
+
+	/**
+	 * Export service instance.
+	 *
+	 * @var ExportService
+	 */
+	private ExportService $export_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessService $access_service Access service instance.
+	 */
+	public function __construct( AccessService $access_service ) {
+		$this->access_service = $access_service;
+		$this->export_service = new ExportService( $access_service );
+	}
+
+	/**
+	 * Register REST API routes.
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			$this->namespace,
+			'/tables/(?P<table>[a-zA-Z0-9_]+)/export',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'export_table' ),
+					'permission_callback' => array( $this, 'export_permissions_check' ),
+					'args'                => array(
+						'table'     => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'format'    => array(
+							'type'    => 'string',
+							'default' => 'csv',
+							'enum'    => array( 'csv', 'json', 'ndjson', 'sql' ),
+						),
+						'delimiter' => array(
+							'type'    => 'string',
+							'default' => 'comma',
+							'enum'    => array_keys( ExportService::CSV_DELIMITERS ),
+						),
+						'quote'     => array(
+							'type'    => 'string',
+							'default' => 'minimal',
+							'enum'    => array( 'minimal', 'all' ),
+						),
+						'bom'       => array(
+							'type'              => 'boolean',
+							'default'           => false,
+							'sanitize_callback' => 'rest_sanitize_boolean',
+						),
+						'orderby'   => array(
+							'type'              => 'string',
+							'default'           => '',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'order'     => array(
+							'type'    => 'string',
+							'default' => 'asc',
+							'enum'    => array( 'asc', 'desc' ),
+						),
+						'filters'   => array(
+							'type'    => 'array',
+							'default' => array(),
+							'items'   => array(
+								'type' => 'object',
+							),
+						),
+						'match'     => array(
+							'type'    => 'string',
+							'default' => 'and',
+							'enum'    => array( 'and', 'or' ),
+						),
+						'search'    => array(
+							'type'    => 'string',
+							'default' => '',
+						),
+					) + $this->get_sql_args(),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/export',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'export_tables' ),
+					'permission_callback' => array( $this, 'export_permissions_check' ),
+					'args'                => array(
+						'tables' => array(
+							'required' => true,
+							'type'     => 'array',
+							'items'    => array(
+								'type' => 'string',
+							),
+						),
+					) + $this->get_sql_args(),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Get the arguments of an SQL dump and the dry run flag, shared by both routes.
+	 *
+	 * @return array<string, array<string, mixed>> Arguments schema.
+	 */
+	private function get_sql_args(): array {
+		return array(
+			'structure' => array(
+				'type'              => 'boolean',
+				'default'           => true,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'data'      => array(
+				'type'              => 'boolean',
+				'default'           => true,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'drop'      => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'dry_run'   => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+		);
+	}
+
+	/**
+	 * Check if user has permission to export data.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool|\WP_Error True if allowed, WP_Error otherwise.
+	 */
+	public function export_permissions_check( WP_REST_Request $request ): bool|\WP_Error {
+		if ( ! $this->access_service->current_user_can_manage() ) {
+			return new \WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to export data.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		if ( ! $this->access_service->is_active() ) {
+			return new \WP_Error(
+				'db_manager_inactive',
+				__( 'DB Manager is not active.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		if ( ! $this->access_service->current_user_has_access() ) {
+			return new \WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to access DB Manager.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Stream a table export as a file download.
+	 *
+	 * Ends the request once the file has been sent. A dry run only checks
+	 * that the export can start.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response of a dry run, or error if the export could not be started.
+	 */
+	public function export_table( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$args    = array(
+			'orderby' => $request->get_param( 'orderby' ),
+			'order'   => $request->get_param( 'order' ),
+			'filters' => $request->get_param( 'filters' ),
+			'match'   => $request->get_param( 'match' ),
+			'search'  => $request->get_param( 'search' ),
+		);
+		$options = array(
+			'delimiter' => $request->get_param( 'delimiter' ),
+			'quote'     => $request->get_param( 'quote' ),
+			'bom'       => $request->get_param( 'bom' ),
+			'structure' => $request->get_param( 'structure' ),
+			'data'      => $request->get_param( 'data' ),
+			'drop'      => $request->get_param( 'drop' ),
+		);
+
+		if ( $request->get_param( 'dry_run' ) ) {
+			$result = $this->export_service->check_export( $request->get_param( 'table' ), $request->get_param( 'format' ), $args, $options );
+
+			return is_wp_error( $result ) ? $result : new WP_REST_Response( array( 'ready' => true ), 200 );
+		}
+
+		$result = $this->export_service->export( $request->get_param( 'table' ), $request->get_param( 'format' ), $args, $options );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		exit;
+	}
+
+	/**
+	 * Stream an SQL dump of several tables as a file download.
+	 *
+	 * Ends the request once the file has been sent. A dry run only checks
+	 * that the dump can start.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response of a dry run, or error if the dump could not be started.
+	 */
+	public function export_tables( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$options = array(
+			'structure' => $request->get_param( 'structure' ),
+			'data'      => $request->get_param( 'data' ),
+			'drop'      => $request->get_param( 'drop' ),
+		);
+
+		if ( $request->get_param( 'dry_run' ) ) {
+			$result = $this->export_service->check_sql( $request->get_param( 'tables' ), array(), $options );
+
+			return is_wp_error( $result ) ? $result : new WP_REST_Response( array( 'ready' => true ), 200 );
+		}
+
+		$result = $this->export_service->export_sql( $request->get_param( 'tables' ), array(), $options );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		exit;
+	}
+}
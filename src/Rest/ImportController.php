@@ -0,0 +1,239 @@
+<?php
+/**
+ * Import REST API controller for Affinite DB Manager.
+ *
+ * @package Affinite\DBManager
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+namespace Affinite\DBManager\Rest;
+
+use Affinite\DBManager\Services\AccessService;
+use Affinite\DBManager\Services\ImportService;
+use Affinite\DBManager\Services\SqlImportService;
+use WP_REST_Controller;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+/**
+ * Import REST API controller.
+ *
+ * Files are parsed in the browser and sent in batches of rows or SQL
+ * statements, so a large import is split over many short requests.
+ */
+final class ImportController extends WP_REST_Controller {
+
+	/**
+	 * API namespace.
+	 *
+	 * @var string
+	 */
+	protected $namespace = 'affinite-db-manager/v1';
+
+	/**
+	 * Access service instance.
+	 *
+	 * @var AccessService
+	 */
+	private AccessService $access_service;
+
+	/**
+	 * Import service instance.
+	 *
+	 * @var ImportService
+	 */
+	private ImportService $import_service;
+
+	/**
+	 * SQL import service instance.
+	 *
+	 * @var SqlImportService
+	 */
+	private SqlImportService $sql_import_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessService $access_service Access service instance.
+	 */
+	public function __construct( AccessService $access_service ) {
+		$this->access_service     = $access_service;
+		$this->import_service     = new ImportService( $access_service );
+		$this->sql_import_service = new SqlImportService( $access_service );
+	}
+
+	/**
+	 * Register REST API routes.
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			$this->namespace,
+			'/tables/(?P<table>[a-zA-Z0-9_]+)/import',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'import_rows' ),
+					'permission_callback' => array( $this, 'import_rows_permissions_check' ),
+					'args'                => array(
+						'table' => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'rows'  => array(
+							'required' => true,
+							'type'     => 'array',
+							'maxItems' => ImportService::MAX_ROWS,
+							'items'    => array(
+								'type' => 'object',
+							),
+						),
+						'mode'  => array(
+							'type'    => 'string',
+							'default' => 'insert',
+							'enum'    => ImportService::MODES,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/import/sql',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'import_sql' ),
+					'permission_callback' => array( $this, 'import_permissions_check' ),
+					'args'                => array(
+						'statements'      => array(
+							'required' => true,
+							'type'     => 'array',
+							'maxItems' => SqlImportService::MAX_STATEMENTS,
+							'items'    => array(
+								'type' => 'string',
+							),
+						),
+						'stop_on_error'   => array(
+							'type'              => 'boolean',
+							'default'           => true,
+							'sanitize_callback' => 'rest_sanitize_boolean',
+						),
+						'allow_protected' => array(
+							'type'              => 'boolean',
+							'default'           => false,
+							'sanitize_callback' => 'rest_sanitize_boolean',
+						),
+						'session'         => array(
+							'type'    => 'object',
+							'default' => array(),
+						),
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Check if user has permission to import data.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool|\WP_Error True if allowed, WP_Error otherwise.
+	 */
+	public function import_permissions_check( WP_REST_Request $request ): bool|\WP_Error {
+		if ( ! $this->access_service->current_user_can_manage() ) {
+			return new \WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to import data.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		if ( ! $this->access_service->is_active() ) {
+			return new \WP_Error(
+				'db_manager_inactive',
+				__( 'DB Manager is not active.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		if ( ! $this->access_service->current_user_has_access() ) {
+			return new \WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to access DB Manager.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check if user has permission to import rows into a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool|\WP_Error True if allowed, WP_Error otherwise.
+	 */
+	public function import_rows_permissions_check( WP_REST_Request $request ): bool|\WP_Error {
+		$check = $this->import_permissions_check( $request );
+
+		if ( is_wp_error( $check ) ) {
+			return $check;
+		}
+
+		if ( $this->access_service->is_table_locked( $request->get_param( 'table' ) ) ) {
+			return new \WP_Error(
+				'table_locked',
+				__( 'Cannot modify data of a locked table.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Import a batch of rows into a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response with inserted, updated and rejected rows, or error.
+	 */
+	public function import_rows( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$result = $this->import_service->import_rows(
+			$request->get_param( 'table' ),
+			$request->get_param( 'rows' ),
+			$request->get_param( 'mode' )
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return new WP_REST_Response( $result, 200 );
+	}
+
+	/**
+	 * Execute a batch of statements from an SQL file.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response with executed statements, affected tables and errors, or error.
+	 */
+	public function import_sql( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$result = $this->sql_import_service->execute(
+			$request->get_param( 'statements' ),
+			$request->get_param( 'stop_on_error' ),
+			$request->get_param( 'allow_protected' ),
+			$request->get_param( 'session' )
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return new WP_REST_Response( $result, 200 );
+	}
+}
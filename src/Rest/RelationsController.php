@@ -82,6 +82,28 @@ final class RelationsController extends WP_REST_Controller {
 			)
 		);
 
+		register_rest_route(
+			$this->namespace,
+			'/tables/(?P<table>[a-zA-Z0-9_]+)/relations/incoming',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_incoming_relations' ),
+					'permission_callback' => array( $this, 'get_relations_permissions_check' ),
+					'args'                => array(
+						'table' => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'key'   => array(
+							'type' => 'object',
+						),
+					),
+				),
+			)
+		);
+
 		register_rest_route(
 			$this->namespace,
 			'/tables/(?P<table>[a-zA-Z0-9_]+)/relations/(?P<relation>[a-zA-Z0-9_]+)',
@@ -184,6 +206,23 @@ final class RelationsController extends WP_REST_Controller {
 		return new WP_REST_Response( $relations, 200 );
 	}
 
+	/**
+	 * Get foreign keys in other tables that reference a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function get_incoming_relations( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$table_name = $request->get_param( 'table' );
+		$relations  = $this->relation_service->get_incoming_relations( $table_name, $request->get_param( 'key' ) );
+
+		if ( is_wp_error( $relations ) ) {
+			return $relations;
+		}
+
+		return new WP_REST_Response( $relations, 200 );
+	}
+
 	/**
 	 * Add a relation to a table.
 	 *
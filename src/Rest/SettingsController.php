@@ -11,6 +11,8 @@ declare(strict_types=1);
 namespace Affinite\DBManager\Rest;
 
 use Affinite\DBManager\Services\AccessService;
+use Affinite\DBManager\Services\LayoutService;
+use Affinite\DBManager\Services\ViewService;
 use WP_REST_Controller;
 use WP_REST_Request;
 use WP_REST_Response;
@@ -42,6 +44,20 @@ final class SettingsController extends WP_REST_Controller {
 	 */
 	private AccessService $access_service;
 
+	/**
+	 * Layout service instance.
+	 *
+	 * @var LayoutService
+	 */
+	private LayoutService $layout_service;
+
+	/**
+	 * View service instance.
+	 *
+	 * @var ViewService
+	 */
+	private ViewService $view_service;
+
 	/**
 	 * Constructor.
 	 *
@@ -49,6 +65,8 @@ final class SettingsController extends WP_REST_Controller {
 	 */
 	public function __construct( AccessService $access_service ) {
 		$this->access_service = $access_service;
+		$this->layout_service = new LayoutService( $access_service );
+		$this->view_service   = new ViewService( $access_service );
 	}
 
 	/**
@@ -129,6 +147,93 @@ final class SettingsController extends WP_REST_Controller {
 				),
 			)
 		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/layouts/(?P<table>[a-zA-Z0-9_]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_layout' ),
+					'permission_callback' => array( $this, 'layout_permissions_check' ),
+					'args'                => array(
+						'table' => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'update_layout' ),
+					'permission_callback' => array( $this, 'layout_permissions_check' ),
+					'args'                => $this->get_layout_args(),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_layout' ),
+					'permission_callback' => array( $this, 'layout_permissions_check' ),
+					'args'                => array(
+						'table' => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/views/(?P<table>[a-zA-Z0-9_]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_views' ),
+					'permission_callback' => array( $this, 'layout_permissions_check' ),
+					'args'                => array(
+						'table' => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'create_view' ),
+					'permission_callback' => array( $this, 'layout_permissions_check' ),
+					'args'                => $this->get_view_args(),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/views/(?P<table>[a-zA-Z0-9_]+)/(?P<id>[a-f0-9-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_view' ),
+					'permission_callback' => array( $this, 'layout_permissions_check' ),
+					'args'                => $this->get_view_args(),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_view' ),
+					'permission_callback' => array( $this, 'layout_permissions_check' ),
+					'args'                => array(
+						'table' => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+					),
+				),
+			)
+		);
 	}
 
 	/**
@@ -167,6 +272,24 @@ final class SettingsController extends WP_REST_Controller {
 		return true;
 	}
 
+	/**
+	 * Check if user has permission to read and save their own column layouts and saved views.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool|\WP_Error True if allowed, WP_Error otherwise.
+	 */
+	public function layout_permissions_check( WP_REST_Request $request ): bool|\WP_Error {
+		if ( ! $this->access_service->current_user_can_manage() || ! $this->access_service->current_user_has_access() ) {
+			return new \WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to access DB Manager.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return true;
+	}
+
 	/**
 	 * Get settings.
 	 *
@@ -305,6 +428,168 @@ final class SettingsController extends WP_REST_Controller {
 		);
 	}
 
+	/**
+	 * Get the current user's column layout of a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function get_layout( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$layout = $this->layout_service->get_layout( $request->get_param( 'table' ) );
+
+		if ( is_wp_error( $layout ) ) {
+			return $layout;
+		}
+
+		return new WP_REST_Response( $layout, 200 );
+	}
+
+	/**
+	 * Save the current user's column layout of a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function update_layout( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$layout = $this->layout_service->update_layout(
+			$request->get_param( 'table' ),
+			array(
+				'order'  => $request->get_param( 'order' ),
+				'hidden' => $request->get_param( 'hidden' ),
+				'pinned' => $request->get_param( 'pinned' ),
+			)
+		);
+
+		if ( is_wp_error( $layout ) ) {
+			return $layout;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'layout'  => $layout,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Reset the current user's column layout of a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function delete_layout( WP_REST_Request $request ): WP_REST_Response {
+		$result = $this->layout_service->delete_layout( $request->get_param( 'table' ) );
+
+		return new WP_REST_Response(
+			array(
+				'success' => $result,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Get the saved views of a table visible to the current user.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function get_views( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$views = $this->view_service->get_views( $request->get_param( 'table' ) );
+
+		if ( is_wp_error( $views ) ) {
+			return $views;
+		}
+
+		return new WP_REST_Response( $views, 200 );
+	}
+
+	/**
+	 * Save a new view of a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function create_view( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$view = $this->view_service->create_view( $request->get_param( 'table' ), $this->get_view_data( $request ) );
+
+		if ( is_wp_error( $view ) ) {
+			return $view;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'view'    => $view,
+			),
+			201
+		);
+	}
+
+	/**
+	 * Update a saved view owned by the current user.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function update_view( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$view = $this->view_service->update_view(
+			$request->get_param( 'table' ),
+			$request->get_param( 'id' ),
+			$this->get_view_data( $request )
+		);
+
+		if ( is_wp_error( $view ) ) {
+			return $view;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+				'view'    => $view,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Delete a saved view owned by the current user.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function delete_view( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$result = $this->view_service->delete_view( $request->get_param( 'table' ), $request->get_param( 'id' ) );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'success' => true,
+			),
+			200
+		);
+	}
+
+	/**
+	 * Get the view fields of a request.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return array<string, mixed> View with name, shared, query and layout.
+	 */
+	private function get_view_data( WP_REST_Request $request ): array {
+		return array(
+			'name'   => $request->get_param( 'name' ),
+			'shared' => $request->get_param( 'shared' ),
+			'query'  => $request->get_param( 'query' ),
+			'layout' => $request->get_param( 'layout' ),
+		);
+	}
+
 	/**
 	 * Get settings arguments schema.
 	 *
@@ -331,4 +616,73 @@ final class SettingsController extends WP_REST_Controller {
 			),
 		);
 	}
+
+	/**
+	 * Get column layout arguments schema.
+	 *
+	 * @return array<string, array<string, mixed>> Arguments schema.
+	 */
+	private function get_layout_args(): array {
+		return array(
+			'table'  => array(
+				'required'          => true,
+				'type'              => 'string',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'order'  => array(
+				'type'    => 'array',
+				'default' => array(),
+				'items'   => array(
+					'type' => 'string',
+				),
+			),
+			'hidden' => array(
+				'type'    => 'array',
+				'default' => array(),
+				'items'   => array(
+					'type' => 'string',
+				),
+			),
+			'pinned' => array(
+				'type'    => 'array',
+				'default' => array(),
+				'items'   => array(
+					'type' => 'string',
+				),
+			),
+		);
+	}
+
+	/**
+	 * Get saved view arguments schema.
+	 *
+	 * @return array<string, array<string, mixed>> Arguments schema.
+	 */
+	private function get_view_args(): array {
+		return array(
+			'table'  => array(
+				'required'          => true,
+				'type'              => 'string',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'name'   => array(
+				'required'          => true,
+				'type'              => 'string',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'shared' => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'query'  => array(
+				'type'    => 'object',
+				'default' => array(),
+			),
+			'layout' => array(
+				'type'    => 'object',
+				'default' => array(),
+			),
+		);
+	}
 }
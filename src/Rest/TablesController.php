@@ -11,6 +11,7 @@ declare(strict_types=1);
 namespace Affinite\DBManager\Rest;
 
 use Affinite\DBManager\Services\AccessService;
+use Affinite\DBManager\Services\StatsService;
 use Affinite\DBManager\Services\TableService;
 use WP_REST_Controller;
 use WP_REST_Request;
@@ -50,6 +51,13 @@ final class TablesController extends WP_REST_Controller {
 	 */
 	private TableService $table_service;
 
+	/**
+	 * Stats service instance.
+	 *
+	 * @var StatsService
+	 */
+	private StatsService $stats_service;
+
 	/**
 	 * Constructor.
 	 *
@@ -58,6 +66,7 @@ final class TablesController extends WP_REST_Controller {
 	public function __construct( AccessService $access_service ) {
 		$this->access_service = $access_service;
 		$this->table_service  = new TableService( $access_service );
+		$this->stats_service  = new StatsService( $access_service );
 	}
 
 	/**
@@ -113,6 +122,25 @@ final class TablesController extends WP_REST_Controller {
 			)
 		);
 
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/(?P<name>[a-zA-Z0-9_]+)/stats',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_table_stats' ),
+					'permission_callback' => array( $this, 'get_tables_permissions_check' ),
+					'args'                => array(
+						'name' => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+					),
+				),
+			)
+		);
+
 		register_rest_route(
 			$this->namespace,
 			'/' . $this->rest_base . '/(?P<name>[a-zA-Z0-9_]+)/lock',
@@ -265,6 +293,22 @@ final class TablesController extends WP_REST_Controller {
 		return new WP_REST_Response( $table, 200 );
 	}
 
+	/**
+	 * Get column statistics of a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|\WP_Error Response object or error.
+	 */
+	public function get_table_stats( WP_REST_Request $request ): WP_REST_Response|\WP_Error {
+		$stats = $this->stats_service->get_stats( $request->get_param( 'name' ) );
+
+		if ( is_wp_error( $stats ) ) {
+			return $stats;
+		}
+
+		return new WP_REST_Response( $stats, 200 );
+	}
+
 	/**
 	 * Create a new table.
 	 *
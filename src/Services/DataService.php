@@ -0,0 +1,952 @@
+<?php
+/**
+ * Data service for Affinite DB Manager.
+ *
+ * Handles row operations like inserting, editing and deleting table data.
+ *
+ * @package Affinite\DBManager
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+namespace Affinite\DBManager\Services;
+
+use Affinite\DBManager\Database\Schema;
+
+/**
+ * Data service class.
+ */
+final class DataService {
+
+	/**
+	 * Maximum number of rows deleted in a single request.
+	 *
+	 * @var int
+	 */
+	private const MAX_DELETE_ROWS = 1000;
+
+	/**
+	 * Number of bytes read at a time when downloading a value.
+	 *
+	 * @var int
+	 */
+	private const VALUE_CHUNK_SIZE = 1048576;
+
+	/**
+	 * Leading bytes of the image formats previewed inline, keyed by content type.
+	 *
+	 * @var array<string, string>
+	 */
+	private const IMAGE_SIGNATURES = array(
+		'image/png'  => "\x89PNG\r\n\x1a\n",
+		'image/jpeg' => "\xff\xd8\xff",
+		'image/gif'  => 'GIF8',
+	);
+
+	/**
+	 * Maximum length in bytes of BLOB types.
+	 *
+	 * @var array<string, int>
+	 */
+	private const BLOB_LENGTHS = array(
+		'tinyblob'   => 255,
+		'blob'       => 65535,
+		'mediumblob' => 16777215,
+		'longblob'   => 4294967295,
+	);
+
+	/**
+	 * Schema instance.
+	 *
+	 * @var Schema
+	 */
+	private Schema $schema;
+
+	/**
+	 * Access service instance.
+	 *
+	 * @var AccessService
+	 */
+	private AccessService $access_service;
+
+	/**
+	 * Export service instance.
+	 *
+	 * @var ExportService
+	 */
+	private ExportService $export_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessService $access_service Access service instance.
+	 */
+	public function __construct( AccessService $access_service ) {
+		$this->access_service = $access_service;
+		$this->schema         = new Schema();
+		$this->export_service = new ExportService( $access_service );
+	}
+
+	/**
+	 * Update a single row identified by its primary key.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param array<string, mixed> $key        Primary key values keyed by column name.
+	 * @param array<string, mixed> $values     New values keyed by column name.
+	 * @return array<string, mixed>|\WP_Error Updated row or error.
+	 */
+	public function update_row( string $table_name, array $key, array $values ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		$check = $this->check_writable( $table_name );
+
+		if ( is_wp_error( $check ) ) {
+			return $check;
+		}
+
+		$key = $this->validate_key( $table_name, $key );
+
+		if ( is_wp_error( $key ) ) {
+			return $key;
+		}
+
+		if ( empty( $values ) ) {
+			return new \WP_Error(
+				'no_values',
+				__( 'No values to update.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$values = $this->validate_values( $table_name, $values );
+
+		if ( is_wp_error( $values ) ) {
+			return $values;
+		}
+
+		if ( null === $this->schema->get_row( $table_name, $key ) ) {
+			return new \WP_Error(
+				'row_not_found',
+				__( 'Row not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$result = $this->schema->update_row( $table_name, $key, $values );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		// The primary key itself may have been edited.
+		$new_key = array();
+
+		foreach ( $key as $column => $value ) {
+			$new_key[ $column ] = array_key_exists( $column, $values ) ? $values[ $column ] : $value;
+		}
+
+		return $this->get_output_row( $table_name, $new_key );
+	}
+
+	/**
+	 * Insert a row into a table.
+	 *
+	 * Columns missing from the values fall back to their defaults.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param array<string, mixed> $values     Values keyed by column name.
+	 * @return array<string, mixed>|\WP_Error Inserted row (empty if it cannot be identified) or error.
+	 */
+	public function insert_row( string $table_name, array $values ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		$check = $this->check_writable( $table_name );
+
+		if ( is_wp_error( $check ) ) {
+			return $check;
+		}
+
+		$values = $this->validate_values( $table_name, $values );
+
+		if ( is_wp_error( $values ) ) {
+			return $values;
+		}
+
+		$insert_id = $this->schema->insert_row( $table_name, $values );
+
+		if ( is_wp_error( $insert_id ) ) {
+			return $insert_id;
+		}
+
+		// Identify the new row by its primary key to return it.
+		$key = array();
+
+		foreach ( $this->schema->describe_table( $table_name ) as $column ) {
+			if ( 'PRI' !== $column['key'] ) {
+				continue;
+			}
+
+			if ( $insert_id > 0 && false !== stripos( $column['extra'], 'auto_increment' ) ) {
+				$key[ $column['name'] ] = $insert_id;
+			} elseif ( isset( $values[ $column['name'] ] ) ) {
+				$key[ $column['name'] ] = $values[ $column['name'] ];
+			} else {
+				return array();
+			}
+		}
+
+		if ( empty( $key ) ) {
+			return array();
+		}
+
+		return $this->get_output_row( $table_name, $key );
+	}
+
+	/**
+	 * Delete rows identified by their primary keys.
+	 *
+	 * @param string $table_name Table name.
+	 * @param mixed  $keys       List of primary keys, each keyed by column name.
+	 * @return int|\WP_Error Number of deleted rows or error.
+	 */
+	public function delete_rows( string $table_name, mixed $keys ): int|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		$check = $this->check_writable( $table_name );
+
+		if ( is_wp_error( $check ) ) {
+			return $check;
+		}
+
+		$keys = $this->validate_keys( $table_name, $keys );
+
+		if ( is_wp_error( $keys ) ) {
+			return $keys;
+		}
+
+		return $this->schema->delete_rows( $table_name, $keys );
+	}
+
+	/**
+	 * Get rows in other tables that reference the given rows.
+	 *
+	 * Each foreign key pointing at the table is listed once with all of its
+	 * columns, in order, along with the ON DELETE rule that would apply and
+	 * the number of rows referencing any of the given rows by all of its
+	 * columns.
+	 *
+	 * @param string $table_name Table name.
+	 * @param mixed  $keys       List of primary keys, each keyed by column name.
+	 * @return array<array{name: string, table: string, columns: array<string>, referenced_columns: array<string>, on_delete: string, count: int}>|\WP_Error
+	 */
+	public function get_delete_impact( string $table_name, mixed $keys ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$keys = $this->validate_keys( $table_name, $keys );
+
+		if ( is_wp_error( $keys ) ) {
+			return $keys;
+		}
+
+		$impact = array();
+
+		// Composite foreign keys come as one entry per column.
+		foreach ( $this->schema->get_referencing_foreign_keys( $table_name ) as $fk ) {
+			$id = $fk['table'] . '.' . $fk['name'];
+
+			if ( ! isset( $impact[ $id ] ) ) {
+				$impact[ $id ] = array(
+					'name'               => $fk['name'],
+					'table'              => $fk['table'],
+					'columns'            => array(),
+					'referenced_columns' => array(),
+					'on_delete'          => $fk['on_delete'],
+				);
+			}
+
+			$impact[ $id ]['columns'][]            = $fk['column'];
+			$impact[ $id ]['referenced_columns'][] = $fk['referenced_column'];
+		}
+
+		$impact = array_values( $impact );
+		$rows   = null;
+
+		foreach ( $impact as $index => $reference ) {
+			if ( empty( array_diff( $reference['referenced_columns'], array_keys( $keys[0] ) ) ) ) {
+				$rows_values = $keys;
+			} else {
+				// The foreign key references non-key columns, so the rows have to be loaded.
+				$rows ??= array_map(
+					fn( $key ) => $this->schema->get_row( $table_name, $key ) ?? array(),
+					$keys
+				);
+
+				$rows_values = $rows;
+			}
+
+			$tuples = array();
+
+			foreach ( $rows_values as $row ) {
+				$values = array();
+
+				foreach ( $reference['columns'] as $position => $column ) {
+					$values[ $column ] = $row[ $reference['referenced_columns'][ $position ] ] ?? null;
+				}
+
+				// No row can reference a NULL value.
+				if ( ! in_array( null, $values, true ) ) {
+					$tuples[ wp_json_encode( array_map( 'strval', $values ) ) ] = $values;
+				}
+			}
+
+			if ( 1 === count( $reference['columns'] ) ) {
+				$count = $this->schema->count_matching_rows(
+					$reference['table'],
+					$reference['columns'][0],
+					array_map( 'strval', array_column( $tuples, $reference['columns'][0] ) )
+				);
+			} else {
+				// Distinct tuples match distinct rows, so their counts add up.
+				$count = 0;
+
+				foreach ( $tuples as $values ) {
+					$count += $this->schema->count_rows_with_values( $reference['table'], $values );
+				}
+			}
+
+			$impact[ $index ]['count'] = $count;
+		}
+
+		return $impact;
+	}
+
+	/**
+	 * Format rows identified by their primary keys for the clipboard.
+	 *
+	 * Rows are read in full from the database, so binary and long values are
+	 * copied exactly, not as shown in the grid. Rows that no longer exist
+	 * are left out.
+	 *
+	 * @param string $table_name Table name.
+	 * @param mixed  $keys       List of primary keys, each keyed by column name.
+	 * @param string $format     Format: sql, json, tsv or markdown.
+	 * @return array{text: string, count: int}|\WP_Error Formatted rows and their number, or error.
+	 */
+	public function copy_rows( string $table_name, mixed $keys, string $format ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$keys = $this->validate_keys( $table_name, $keys );
+
+		if ( is_wp_error( $keys ) ) {
+			return $keys;
+		}
+
+		$rows = array_values(
+			array_filter(
+				array_map(
+					fn( array $key ): ?array => $this->schema->get_row( $table_name, $key ),
+					$keys
+				)
+			)
+		);
+
+		$text = $this->export_service->format_rows( $table_name, $rows, $format );
+
+		if ( is_wp_error( $text ) ) {
+			return $text;
+		}
+
+		return array(
+			'text'  => $text,
+			'count' => count( $rows ),
+		);
+	}
+
+	/**
+	 * Set columns of all rows matching filters to new values.
+	 *
+	 * Each column is set to a value, NULL or one of Schema::SQL_EXPRESSIONS.
+	 * A dry run returns the number of matching rows and the UPDATE statement
+	 * without running it. When the number of rows the user confirmed is
+	 * given, the update is refused if the rows have changed since.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param array<string, mixed> $args       Query arguments with filters, match and search.
+	 * @param mixed                $values     New values keyed by column name, each with type value, null or expression and a value.
+	 * @param bool                 $dry_run    Whether to only count the rows and build the statement.
+	 * @param int|null             $expected   Number of rows the user confirmed (optional).
+	 * @return array{count: int, sql: string, updated?: int}|\WP_Error Matching rows, statement and updated rows, or error.
+	 */
+	public function bulk_update( string $table_name, array $args, mixed $values, bool $dry_run, ?int $expected = null ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		$check = $this->check_writable( $table_name );
+
+		if ( is_wp_error( $check ) ) {
+			return $check;
+		}
+
+		if ( ! is_array( $values ) || empty( $values ) ) {
+			return new \WP_Error(
+				'no_values',
+				__( 'No values to update.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$typed  = array();
+		$simple = array();
+
+		foreach ( $values as $column => $value ) {
+			$type = is_array( $value ) ? ( $value['type'] ?? 'value' ) : '';
+
+			if ( ! in_array( $type, array( 'value', 'null', 'expression' ), true ) ) {
+				return new \WP_Error(
+					'invalid_values',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Invalid value for column %s.', 'affinite-db-manager' ),
+						$column
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			$typed[ $column ] = array(
+				'type'  => $type,
+				'value' => $value['value'] ?? '',
+			);
+
+			// Expressions are checked against the whitelist when the statement is built.
+			if ( 'expression' !== $type ) {
+				$simple[ $column ] = 'null' === $type ? null : $typed[ $column ]['value'];
+			}
+		}
+
+		$simple = $this->validate_values( $table_name, $simple );
+
+		if ( is_wp_error( $simple ) ) {
+			return $simple;
+		}
+
+		foreach ( $simple as $column => $value ) {
+			$typed[ $column ]['value'] = $value;
+		}
+
+		$sql = $this->schema->get_bulk_update_sql( $table_name, $args, $typed );
+
+		if ( is_wp_error( $sql ) ) {
+			return $sql;
+		}
+
+		$count = $this->schema->count_rows( $table_name, $args );
+
+		if ( is_wp_error( $count ) ) {
+			return $count;
+		}
+
+		if ( $dry_run ) {
+			return array(
+				'count' => $count,
+				'sql'   => $sql,
+			);
+		}
+
+		if ( null !== $expected && $expected !== $count ) {
+			return new \WP_Error(
+				'rows_changed',
+				sprintf(
+					/* translators: 1: confirmed number of rows, 2: current number of rows */
+					_n( 'The filter now matches %2$d row instead of the confirmed %1$d. Review the update again.', 'The filter now matches %2$d rows instead of the confirmed %1$d. Review the update again.', $count, 'affinite-db-manager' ),
+					$expected,
+					$count
+				),
+				array( 'status' => 409 )
+			);
+		}
+
+		$updated = $this->schema->execute_statement( $sql );
+
+		if ( is_wp_error( $updated ) ) {
+			return $updated;
+		}
+
+		return array(
+			'count'   => $count,
+			'sql'     => $sql,
+			'updated' => $updated,
+		);
+	}
+
+	/**
+	 * Stream a binary value of a row as a file download.
+	 *
+	 * PNG, JPEG and GIF images can be sent for inline display; anything
+	 * else is always sent as an attachment. Ends output buffering and sends
+	 * the headers, so the caller must end the request on success.
+	 *
+	 * @param string $table_name  Table name.
+	 * @param string $column_name Column name.
+	 * @param mixed  $key         Primary key values keyed by column name.
+	 * @param bool   $inline      Whether an image is displayed instead of downloaded.
+	 * @return bool|\WP_Error True once the value has been sent, or error.
+	 */
+	public function download_value( string $table_name, string $column_name, mixed $key, bool $inline ): bool|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$column = $this->get_binary_column( $table_name, $column_name );
+
+		if ( is_wp_error( $column ) ) {
+			return $column;
+		}
+
+		$key = $this->validate_key( $table_name, $key );
+
+		if ( is_wp_error( $key ) ) {
+			return $key;
+		}
+
+		$length = $this->schema->get_value_length( $table_name, $column_name, $key );
+
+		if ( null === $length ) {
+			return new \WP_Error(
+				'value_not_found',
+				__( 'The row does not exist or the value is NULL.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$chunk        = (string) $this->schema->get_value_chunk( $table_name, $column_name, $key, 0, self::VALUE_CHUNK_SIZE );
+		$content_type = $this->get_image_type( $chunk );
+		$extension    = $content_type ? str_replace( array( 'image/', 'jpeg' ), array( '', 'jpg' ), $content_type ) : 'bin';
+		$filename     = sanitize_file_name( implode( '-', array_merge( array( $table_name, $column_name ), $key ) ) . '.' . $extension );
+
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		if ( function_exists( 'set_time_limit' ) ) {
+			set_time_limit( 0 );
+		}
+
+		nocache_headers();
+		header( 'Content-Type: ' . ( $content_type ? $content_type : 'application/octet-stream' ) );
+		header( 'Content-Disposition: ' . ( $inline && $content_type ? 'inline' : 'attachment' ) . '; filename="' . $filename . '"' );
+		header( 'Content-Length: ' . $length );
+		header( 'X-Content-Type-Options: nosniff' );
+
+		for ( $offset = 0; $offset < $length; $offset += self::VALUE_CHUNK_SIZE ) {
+			if ( $offset > 0 ) {
+				$chunk = (string) $this->schema->get_value_chunk( $table_name, $column_name, $key, $offset, self::VALUE_CHUNK_SIZE );
+			}
+
+			// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- File download, not HTML.
+			echo $chunk;
+			flush();
+		}
+
+		return true;
+	}
+
+	/**
+	 * Replace a binary value of a row with the contents of an uploaded file.
+	 *
+	 * @param string $table_name  Table name.
+	 * @param string $column_name Column name.
+	 * @param mixed  $key         Primary key values keyed by column name.
+	 * @param mixed  $file        Uploaded file as found in $_FILES.
+	 * @return array<string, mixed>|\WP_Error Updated row or error.
+	 */
+	public function upload_value( string $table_name, string $column_name, mixed $key, mixed $file ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		$check = $this->check_writable( $table_name );
+
+		if ( is_wp_error( $check ) ) {
+			return $check;
+		}
+
+		$column = $this->get_binary_column( $table_name, $column_name );
+
+		if ( is_wp_error( $column ) ) {
+			return $column;
+		}
+
+		$key = $this->validate_key( $table_name, $key );
+
+		if ( is_wp_error( $key ) ) {
+			return $key;
+		}
+
+		if ( ! is_array( $file ) || UPLOAD_ERR_OK !== ( $file['error'] ?? null ) || ! is_uploaded_file( $file['tmp_name'] ?? '' ) ) {
+			return new \WP_Error(
+				'upload_failed',
+				__( 'The file could not be uploaded.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$max_length = $this->get_max_binary_length( $column['type'] );
+
+		if ( (int) $file['size'] > $max_length ) {
+			return new \WP_Error(
+				'value_too_long',
+				sprintf(
+					/* translators: 1: Column name, 2: Maximum size */
+					__( 'The file is too large for column %1$s, which holds at most %2$s.', 'affinite-db-manager' ),
+					$column_name,
+					size_format( $max_length )
+				),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( null === $this->schema->get_row( $table_name, $key ) ) {
+			return new \WP_Error(
+				'row_not_found',
+				__( 'Row not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Reading a local uploaded file.
+		$contents = file_get_contents( $file['tmp_name'] );
+
+		if ( false === $contents ) {
+			return new \WP_Error(
+				'upload_failed',
+				__( 'The file could not be uploaded.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$result = $this->schema->update_row( $table_name, $key, array( $column_name => $contents ) );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return $this->get_output_row( $table_name, $key );
+	}
+
+	/**
+	 * Get a binary column of a table.
+	 *
+	 * @param string $table_name  Table name.
+	 * @param string $column_name Column name.
+	 * @return array<string, mixed>|\WP_Error Column definition, or error if it does not exist or is not binary.
+	 */
+	private function get_binary_column( string $table_name, string $column_name ): array|\WP_Error {
+		$columns_info = $this->schema->describe_table( $table_name );
+		$columns      = array_column( $columns_info, null, 'name' );
+
+		if ( ! isset( $columns[ $column_name ] ) ) {
+			return new \WP_Error(
+				'column_not_found',
+				sprintf(
+					/* translators: %s: Column name */
+					__( 'Column not found: %s', 'affinite-db-manager' ),
+					$column_name
+				),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( ! in_array( $column_name, $this->schema->get_binary_columns( $columns_info ), true ) ) {
+			return new \WP_Error(
+				'not_binary_column',
+				sprintf(
+					/* translators: %s: Column name */
+					__( 'Column %s does not hold binary data.', 'affinite-db-manager' ),
+					$column_name
+				),
+				array( 'status' => 400 )
+			);
+		}
+
+		return $columns[ $column_name ];
+	}
+
+	/**
+	 * Get the maximum length in bytes of a binary column type.
+	 *
+	 * @param string $type Column type, e.g. "varbinary(255)" or "mediumblob".
+	 * @return int Maximum length in bytes.
+	 */
+	private function get_max_binary_length( string $type ): int {
+		if ( preg_match( '/^(?:var)?binary\((\d+)\)/i', $type, $match ) ) {
+			return (int) $match[1];
+		}
+
+		return self::BLOB_LENGTHS[ strtolower( strtok( $type, ' (' ) ) ] ?? self::BLOB_LENGTHS['longblob'];
+	}
+
+	/**
+	 * Detect the image format of binary data from its leading bytes.
+	 *
+	 * @param string $bytes Leading bytes of the value.
+	 * @return string Content type of a PNG, JPEG or GIF image, or empty string.
+	 */
+	private function get_image_type( string $bytes ): string {
+		foreach ( self::IMAGE_SIGNATURES as $content_type => $signature ) {
+			if ( str_starts_with( $bytes, $signature ) ) {
+				return $content_type;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Get a row prepared for a JSON response.
+	 *
+	 * @param string                $table_name Table name.
+	 * @param array<string, string> $key        Primary key values keyed by column name.
+	 * @return array<string, mixed> Row with encoded binary values, or empty array if not found.
+	 */
+	private function get_output_row( string $table_name, array $key ): array {
+		$row = $this->schema->get_row( $table_name, $key );
+
+		if ( null === $row ) {
+			return array();
+		}
+
+		$rows = $this->schema->encode_binary_values( $this->schema->describe_table( $table_name ), array( $row ) );
+
+		return $rows[0];
+	}
+
+	/**
+	 * Check that a table exists and its data may be modified.
+	 *
+	 * @param string $table_name Table name.
+	 * @return bool|\WP_Error True if writable, WP_Error otherwise.
+	 */
+	private function check_writable( string $table_name ): bool|\WP_Error {
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( $this->access_service->is_table_locked( $table_name ) ) {
+			return new \WP_Error(
+				'table_locked',
+				__( 'Cannot modify data of a locked table.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Validate a primary key against the table structure.
+	 *
+	 * The key must contain exactly the primary key columns of the table.
+	 *
+	 * @param string $table_name Table name.
+	 * @param mixed  $key        Primary key values keyed by column name.
+	 * @return array<string, string>|\WP_Error Normalized key or error.
+	 */
+	private function validate_key( string $table_name, mixed $key ): array|\WP_Error {
+		$primary_key = $this->schema->get_primary_key( $table_name );
+
+		if ( empty( $primary_key ) ) {
+			return new \WP_Error(
+				'no_primary_key',
+				__( 'This table has no primary key, so its rows cannot be identified.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( ! is_array( $key ) ) {
+			return new \WP_Error(
+				'invalid_key',
+				__( 'Invalid row key.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$normalized = array();
+
+		foreach ( $primary_key as $column ) {
+			if ( ! isset( $key[ $column ] ) || ! is_scalar( $key[ $column ] ) ) {
+				return new \WP_Error(
+					'invalid_key',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Row key is missing primary key column: %s', 'affinite-db-manager' ),
+						$column
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			$normalized[ $column ] = (string) $key[ $column ];
+		}
+
+		if ( count( $key ) !== count( $normalized ) ) {
+			return new \WP_Error(
+				'invalid_key',
+				__( 'Row key may only contain primary key columns.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return $normalized;
+	}
+
+	/**
+	 * Validate a list of primary keys against the table structure.
+	 *
+	 * @param string $table_name Table name.
+	 * @param mixed  $keys       List of primary keys, each keyed by column name.
+	 * @return array<array<string, string>>|\WP_Error Normalized keys or error.
+	 */
+	private function validate_keys( string $table_name, mixed $keys ): array|\WP_Error {
+		if ( ! is_array( $keys ) || empty( $keys ) ) {
+			return new \WP_Error(
+				'no_rows',
+				__( 'No rows selected.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( count( $keys ) > self::MAX_DELETE_ROWS ) {
+			return new \WP_Error(
+				'too_many_rows',
+				sprintf(
+					/* translators: %d: Maximum number of rows */
+					__( 'At most %d rows can be processed at once.', 'affinite-db-manager' ),
+					self::MAX_DELETE_ROWS
+				),
+				array( 'status' => 400 )
+			);
+		}
+
+		$normalized = array();
+
+		foreach ( $keys as $key ) {
+			$key = $this->validate_key( $table_name, $key );
+
+			if ( is_wp_error( $key ) ) {
+				return $key;
+			}
+
+			$normalized[] = $key;
+		}
+
+		return $normalized;
+	}
+
+	/**
+	 * Validate row values against the table structure.
+	 *
+	 * @param string $table_name Table name.
+	 * @param mixed  $values     Values keyed by column name.
+	 * @return array<string, string|null>|\WP_Error Normalized values or error.
+	 */
+	private function validate_values( string $table_name, mixed $values ): array|\WP_Error {
+		if ( ! is_array( $values ) ) {
+			return new \WP_Error(
+				'invalid_values',
+				__( 'Invalid row values.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$columns    = array_column( $this->schema->describe_table( $table_name ), null, 'name' );
+		$normalized = array();
+
+		foreach ( $values as $column => $value ) {
+			if ( ! isset( $columns[ $column ] ) ) {
+				return new \WP_Error(
+					'column_not_found',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Column not found: %s', 'affinite-db-manager' ),
+						$column
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			if ( $this->schema->is_generated_column( $columns[ $column ] ) ) {
+				return new \WP_Error(
+					'column_generated',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Column %s is generated and cannot be set.', 'affinite-db-manager' ),
+						$column
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			if ( null === $value ) {
+				if ( ! $columns[ $column ]['nullable'] ) {
+					return new \WP_Error(
+						'column_not_nullable',
+						sprintf(
+							/* translators: %s: Column name */
+							__( 'Column %s cannot be NULL.', 'affinite-db-manager' ),
+							$column
+						),
+						array( 'status' => 400 )
+					);
+				}
+
+				$normalized[ $column ] = null;
+				continue;
+			}
+
+			if ( is_bool( $value ) ) {
+				$value = $value ? '1' : '0';
+			}
+
+			if ( ! is_scalar( $value ) ) {
+				return new \WP_Error(
+					'invalid_values',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Invalid value for column %s.', 'affinite-db-manager' ),
+						$column
+					),
+					array( 'status' => 400 )
+				);
+			}
+
+			$normalized[ $column ] = (string) $value;
+		}
+
+		return $normalized;
+	}
+}
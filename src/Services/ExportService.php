@@ -0,0 +1,786 @@
+<?php
+/**
+ * Export service for Affinite DB Manager.
+ *
+ * Handles streaming table data as a downloadable file.
+ *
+ * @package Affinite\DBManager
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+namespace Affinite\DBManager\Services;
+
+use Affinite\DBManager\Database\Schema;
+
+/**
+ * Export service class.
+ */
+final class ExportService {
+
+	/**
+	 * Number of rows read from the database at once.
+	 *
+	 * @var int
+	 */
+	private const CHUNK_SIZE = 1000;
+
+	/**
+	 * Number of rows per INSERT statement of an SQL dump.
+	 *
+	 * @var int
+	 */
+	private const SQL_INSERT_ROWS = 100;
+
+	/**
+	 * Supported CSV delimiters keyed by their request value.
+	 *
+	 * @var array<string, string>
+	 */
+	public const CSV_DELIMITERS = array(
+		'comma'     => ',',
+		'semicolon' => ';',
+		'tab'       => "\t",
+		'pipe'      => '|',
+	);
+
+	/**
+	 * Schema instance.
+	 *
+	 * @var Schema
+	 */
+	private Schema $schema;
+
+	/**
+	 * Access service instance.
+	 *
+	 * @var AccessService
+	 */
+	private AccessService $access_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessService $access_service Access service instance.
+	 */
+	public function __construct( AccessService $access_service ) {
+		$this->access_service = $access_service;
+		$this->schema         = new Schema();
+	}
+
+	/**
+	 * Stream a table as a file download.
+	 *
+	 * Rows are read in chunks and written to the output as they arrive, so
+	 * memory use does not grow with the table size. Headers are only sent
+	 * once the query has been validated; on error nothing is output and the
+	 * error is returned. An error after the first chunk ends the file early,
+	 * without its footer, so a JSON export no longer parses.
+	 *
+	 * Supported options:
+	 * - delimiter: CSV delimiter, a key of CSV_DELIMITERS. Defaults to comma.
+	 * - quote:     CSV quoting, minimal (only where needed) or all. Defaults to minimal.
+	 * - bom:       Whether to start a CSV file with a UTF-8 byte order mark.
+	 * - structure, data, drop: Parts of an SQL dump, see export_sql().
+	 *
+	 * @param string               $table_name Table name.
+	 * @param string               $format     Export format: csv, json, ndjson or sql.
+	 * @param array<string, mixed> $args       Query arguments, see Schema::get_data_preview().
+	 * @param array<string, mixed> $options    Format options.
+	 * @return bool|\WP_Error True once the file has been sent, or error.
+	 */
+	public function export( string $table_name, string $format, array $args, array $options ): bool|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( 'sql' === $format ) {
+			return $this->export_sql( array( $table_name ), $args, $options );
+		}
+
+		$writer = $this->get_writer( $format, $this->schema->describe_table( $table_name ), $options );
+
+		if ( is_wp_error( $writer ) ) {
+			return $writer;
+		}
+
+		$started = false;
+
+		// Headers are sent with the first chunk, or after an empty result.
+		$start = function () use ( &$started, $writer, $table_name ): void {
+			$started = true;
+
+			$this->send_headers( $table_name . '-' . gmdate( 'Y-m-d' ) . '.' . $writer['extension'], $writer['content_type'] );
+			$this->write( ( empty( $writer['bom'] ) ? '' : "\xEF\xBB\xBF" ) . $writer['header'] );
+		};
+
+		$result = $this->schema->each_row_chunk(
+			$table_name,
+			$args,
+			function ( array $rows ) use ( &$started, $start, $writer ): void {
+				if ( ! $started ) {
+					$start();
+				}
+
+				$this->write( call_user_func( $writer['chunk'], $rows ) );
+			},
+			self::CHUNK_SIZE
+		);
+
+		if ( is_wp_error( $result ) ) {
+			// An error sent now would only be appended to the download.
+			return $started ? true : $result;
+		}
+
+		if ( ! $started ) {
+			$start();
+		}
+
+		$this->write( $writer['footer'] );
+
+		return true;
+	}
+
+	/**
+	 * Check that a table export can start, without sending anything.
+	 *
+	 * Takes the arguments of export(). The browser asks first, as an error
+	 * returned by the download itself would replace the admin page.
+	 *
+	 * @param string               $table_name Table name.
+	 * @param string               $format     Export format: csv, json, ndjson or sql.
+	 * @param array<string, mixed> $args       Query arguments, see Schema::get_data_preview().
+	 * @param array<string, mixed> $options    Format options.
+	 * @return bool|\WP_Error True if the export can start, or error.
+	 */
+	public function check_export( string $table_name, string $format, array $args, array $options ): bool|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( 'sql' === $format ) {
+			return $this->check_sql( array( $table_name ), $args, $options );
+		}
+
+		$writer = $this->get_writer( $format, $this->schema->describe_table( $table_name ), $options );
+
+		if ( is_wp_error( $writer ) ) {
+			return $writer;
+		}
+
+		return $this->schema->validate_query_args( $table_name, $args );
+	}
+
+	/**
+	 * Check that an SQL dump can start, without sending anything.
+	 *
+	 * @param array<string>        $tables  Table names.
+	 * @param array<string, mixed> $args    Query arguments applied to the rows of every table.
+	 * @param array<string, mixed> $options Dump options, see export_sql().
+	 * @return bool|\WP_Error True if the dump can start, or error.
+	 */
+	public function check_sql( array $tables, array $args, array $options ): bool|\WP_Error {
+		$tables = array_values( array_unique( array_map( 'sanitize_text_field', $tables ) ) );
+
+		if ( empty( $tables ) ) {
+			return new \WP_Error(
+				'no_tables',
+				__( 'No tables selected.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( ! (bool) ( $options['structure'] ?? true ) && ! (bool) ( $options['data'] ?? true ) ) {
+			return new \WP_Error(
+				'empty_dump',
+				__( 'Select structure, data or both.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		foreach ( $tables as $table_name ) {
+			if ( ! $this->schema->table_exists( $table_name ) ) {
+				return new \WP_Error(
+					'table_not_found',
+					/* translators: %s: table name */
+					sprintf( __( 'Table %s not found.', 'affinite-db-manager' ), $table_name ),
+					array( 'status' => 404 )
+				);
+			}
+
+			$valid = $this->schema->validate_query_args( $table_name, $args );
+
+			if ( is_wp_error( $valid ) ) {
+				return $valid;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Stream an SQL dump of one or more tables as a file download.
+	 *
+	 * Each table gets an optional DROP TABLE IF EXISTS, its CREATE TABLE
+	 * statement and its rows as multi-row INSERT statements. Foreign key
+	 * checks are disabled while the dump is imported, so tables can be
+	 * loaded in any order.
+	 *
+	 * Supported options:
+	 * - structure: Whether to include CREATE TABLE statements. Defaults to true.
+	 * - data:      Whether to include INSERT statements. Defaults to true.
+	 * - drop:      Whether to include DROP TABLE IF EXISTS. Defaults to false.
+	 *
+	 * @param array<string>        $tables  Table names.
+	 * @param array<string, mixed> $args    Query arguments applied to the rows of every table.
+	 * @param array<string, mixed> $options Dump options.
+	 * @return bool|\WP_Error True once the file has been sent, or error if nothing has been sent yet.
+	 */
+	public function export_sql( array $tables, array $args, array $options ): bool|\WP_Error {
+		$tables    = array_values( array_unique( array_map( 'sanitize_text_field', $tables ) ) );
+		$structure = (bool) ( $options['structure'] ?? true );
+		$data      = (bool) ( $options['data'] ?? true );
+		$drop      = (bool) ( $options['drop'] ?? false );
+		$check     = $this->check_sql( $tables, $args, $options );
+
+		if ( is_wp_error( $check ) ) {
+			return $check;
+		}
+
+		$filename = ( 1 === count( $tables ) ? $tables[0] : DB_NAME ) . '-' . gmdate( 'Y-m-d' ) . '.sql';
+		$started  = false;
+
+		// Headers are sent once the first table has been read without error.
+		$start = function () use ( &$started, $filename ): void {
+			$started = true;
+
+			$this->send_headers( $filename, 'application/sql; charset=utf-8' );
+			$this->write(
+				'-- Affinite DB Manager SQL dump, ' . gmdate( 'Y-m-d H:i:s' ) . " UTC\n\n" .
+				"SET NAMES utf8mb4;\n" .
+				"SET FOREIGN_KEY_CHECKS = 0;\n"
+			);
+		};
+
+		foreach ( $tables as $table_name ) {
+			$section = "\n-- Table " . $this->quote_identifier( $table_name ) . "\n\n";
+
+			if ( $drop ) {
+				$section .= 'DROP TABLE IF EXISTS ' . $this->quote_identifier( $table_name ) . ";\n";
+			}
+
+			if ( $structure ) {
+				$create = $this->schema->get_create_table( $table_name );
+
+				if ( is_wp_error( $create ) ) {
+					if ( ! $started ) {
+						return $create;
+					}
+
+					$this->abort_sql( $create );
+
+					return true;
+				}
+
+				$section .= $create . ";\n";
+			}
+
+			if ( $data ) {
+				$insert = $this->get_sql_insert_writer( $table_name, $this->schema->describe_table( $table_name ) );
+				$result = $this->schema->each_row_chunk(
+					$table_name,
+					$args,
+					function ( array $rows ) use ( &$started, &$section, $start, $insert ): void {
+						if ( ! $started ) {
+							$start();
+						}
+
+						$this->write( $section . call_user_func( $insert, $rows ) );
+						$section = '';
+					},
+					self::CHUNK_SIZE
+				);
+
+				if ( is_wp_error( $result ) ) {
+					if ( ! $started ) {
+						return $result;
+					}
+
+					$this->abort_sql( $result );
+
+					return true;
+				}
+			}
+
+			if ( ! $started ) {
+				$start();
+			}
+
+			$this->write( $section );
+		}
+
+		$this->write( "\nSET FOREIGN_KEY_CHECKS = 1;\n" );
+
+		return true;
+	}
+
+	/**
+	 * End an SQL dump that failed after output has started.
+	 *
+	 * The file is already partly sent, so the error cannot be returned.
+	 * Instead the dump ends in an unterminated statement, which makes any
+	 * import of the truncated file fail rather than succeed silently.
+	 *
+	 * @param \WP_Error $error Error that stopped the dump.
+	 */
+	private function abort_sql( \WP_Error $error ): void {
+		$message = preg_replace( '/\s+/', ' ', $error->get_error_message() );
+
+		$this->write(
+			"\n-- Export failed: " . $message . "\n" .
+			"-- This dump is incomplete. The statement below is left unterminated so that importing it fails.\n" .
+			'EXPORT FAILED, THIS DUMP IS INCOMPLETE'
+		);
+	}
+
+	/**
+	 * Format rows of a table as text.
+	 *
+	 * Uses the same quoting as exports: sql writes INSERT statements, json
+	 * a JSON array, tsv tab-separated values with a header line and markdown
+	 * a Markdown table.
+	 *
+	 * @param string                      $table_name Table name.
+	 * @param array<array<string, mixed>> $rows       Rows as returned by the database, keyed by column name.
+	 * @param string                      $format     Format: sql, json, tsv or markdown.
+	 * @return string|\WP_Error Formatted rows or error.
+	 */
+	public function format_rows( string $table_name, array $rows, string $format ): string|\WP_Error {
+		$columns_info = $this->schema->describe_table( $table_name );
+
+		if ( 'sql' === $format ) {
+			return call_user_func( $this->get_sql_insert_writer( $table_name, $columns_info ), $rows );
+		}
+
+		if ( 'tsv' === $format ) {
+			$writer = $this->get_csv_writer( $columns_info, array( 'delimiter' => 'tab' ) );
+		} elseif ( 'markdown' === $format ) {
+			$writer = $this->get_markdown_writer( $columns_info );
+		} elseif ( 'json' === $format ) {
+			$writer = $this->get_json_writer( $columns_info, false );
+		} else {
+			$writer = new \WP_Error(
+				'invalid_format',
+				__( 'Unsupported format.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( is_wp_error( $writer ) ) {
+			return $writer;
+		}
+
+		return $writer['header'] . call_user_func( $writer['chunk'], $rows ) . $writer['footer'];
+	}
+
+	/**
+	 * Get the writer of an export format.
+	 *
+	 * A writer has the file extension and content type, the text written
+	 * before and after the rows, and a callback turning a chunk of rows into
+	 * text.
+	 *
+	 * @param string                      $format       Export format.
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @param array<string, mixed>        $options      Format options.
+	 * @return array{extension: string, content_type: string, bom?: bool, header: string, chunk: callable, footer: string}|\WP_Error Writer or error.
+	 */
+	private function get_writer( string $format, array $columns_info, array $options ): array|\WP_Error {
+		if ( 'csv' === $format ) {
+			return $this->get_csv_writer( $columns_info, $options );
+		}
+
+		if ( 'json' === $format || 'ndjson' === $format ) {
+			return $this->get_json_writer( $columns_info, 'ndjson' === $format );
+		}
+
+		return new \WP_Error(
+			'invalid_format',
+			__( 'Unsupported export format.', 'affinite-db-manager' ),
+			array( 'status' => 400 )
+		);
+	}
+
+	/**
+	 * Get the CSV writer.
+	 *
+	 * NULL is written as an empty unquoted field, so with quoting of all
+	 * fields it can be told apart from an empty string. Binary values are
+	 * written as hex with a 0x prefix.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @param array<string, mixed>        $options      CSV options.
+	 * @return array{extension: string, content_type: string, bom: bool, header: string, chunk: callable, footer: string}|\WP_Error Writer or error.
+	 */
+	private function get_csv_writer( array $columns_info, array $options ): array|\WP_Error {
+		$delimiter = $options['delimiter'] ?? 'comma';
+
+		if ( ! isset( self::CSV_DELIMITERS[ $delimiter ] ) ) {
+			return new \WP_Error(
+				'invalid_delimiter',
+				__( 'Unsupported CSV delimiter.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$delimiter = self::CSV_DELIMITERS[ $delimiter ];
+		$quote_all = 'all' === ( $options['quote'] ?? 'minimal' );
+		$binary    = $this->schema->get_binary_columns( $columns_info );
+
+		$format_line = function ( array $values ) use ( $delimiter, $quote_all ): string {
+			$fields = array();
+
+			foreach ( $values as $value ) {
+				if ( null === $value ) {
+					$fields[] = '';
+					continue;
+				}
+
+				$value = (string) $value;
+
+				if ( $quote_all || '' === $value || strpbrk( $value, $delimiter . "\"\r\n" ) !== false || trim( $value ) !== $value ) {
+					$value = '"' . str_replace( '"', '""', $value ) . '"';
+				}
+
+				$fields[] = $value;
+			}
+
+			return implode( $delimiter, $fields ) . "\r\n";
+		};
+
+		return array(
+			'extension'    => 'csv',
+			'content_type' => 'text/csv; charset=utf-8',
+			'bom'          => ! empty( $options['bom'] ),
+			'header'       => $format_line( array_column( $columns_info, 'name' ) ),
+			'chunk'        => function ( array $rows ) use ( $format_line, $binary ): string {
+				$lines = '';
+
+				foreach ( $rows as $row ) {
+					foreach ( $binary as $column ) {
+						if ( null !== $row[ $column ] ) {
+							$row[ $column ] = '0x' . bin2hex( $row[ $column ] );
+						}
+					}
+
+					$lines .= $format_line( $row );
+				}
+
+				return $lines;
+			},
+			'footer'       => '',
+		);
+	}
+
+	/**
+	 * Get the JSON writer.
+	 *
+	 * Writes a JSON array of row objects, or one object per line for NDJSON.
+	 * Values keep their column types: numeric columns are written as numbers
+	 * exactly as the database returns them, NULL as null, and valid values of
+	 * JSON columns are embedded as they are. Binary values are written as hex
+	 * strings with a 0x prefix.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @param bool                        $lines        Whether to write NDJSON.
+	 * @return array{extension: string, content_type: string, header: string, chunk: callable, footer: string} Writer.
+	 */
+	private function get_json_writer( array $columns_info, bool $lines ): array {
+		$binary = $this->schema->get_binary_columns( $columns_info );
+		$kinds  = array();
+
+		foreach ( $columns_info as $column ) {
+			$kind = 'string';
+
+			if ( in_array( $column['name'], $binary, true ) ) {
+				$kind = 'binary';
+			} elseif ( preg_match( '/^(tinyint|smallint|mediumint|int|integer|bigint|decimal|numeric|float|double|real|year)\b/i', $column['type'] ) ) {
+				$kind = 'number';
+			} elseif ( preg_match( '/^json\b/i', $column['type'] ) ) {
+				$kind = 'json';
+			}
+
+			$kinds[ $column['name'] ] = $kind;
+		}
+
+		$first = true;
+
+		return array(
+			'extension'    => $lines ? 'ndjson' : 'json',
+			'content_type' => $lines ? 'application/x-ndjson; charset=utf-8' : 'application/json; charset=utf-8',
+			'header'       => $lines ? '' : '[',
+			'chunk'        => function ( array $rows ) use ( $kinds, $lines, &$first ): string {
+				$output = '';
+
+				foreach ( $rows as $row ) {
+					$fields = array();
+
+					foreach ( $row as $name => $value ) {
+						$fields[] = $this->encode_json( (string) $name ) . ':' . $this->encode_json_value( $value, $kinds[ $name ] ?? 'string' );
+					}
+
+					$object = '{' . implode( ',', $fields ) . '}';
+
+					if ( $lines ) {
+						$output .= $object . "\n";
+					} else {
+						$output .= ( $first ? "\n" : ",\n" ) . $object;
+					}
+
+					$first = false;
+				}
+
+				return $output;
+			},
+			'footer'       => $lines ? '' : "\n]\n",
+		);
+	}
+
+	/**
+	 * Get the Markdown table writer.
+	 *
+	 * Numeric columns are right-aligned. NULL is written as NULL in italics
+	 * and binary values as hex with a 0x prefix. Pipes are escaped and line
+	 * breaks written as <br>, so that every row stays on one line.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @return array{extension: string, content_type: string, header: string, chunk: callable, footer: string} Writer.
+	 */
+	private function get_markdown_writer( array $columns_info ): array {
+		$binary    = $this->schema->get_binary_columns( $columns_info );
+		$alignment = array();
+
+		foreach ( $columns_info as $column ) {
+			$alignment[] = preg_match( '/^(tinyint|smallint|mediumint|int|integer|bigint|decimal|numeric|float|double|real|year)\b/i', $column['type'] ) ? '---:' : '---';
+		}
+
+		$escape = static fn( string $value ): string => str_replace( array( '\\', '|', "\r\n", "\n", "\r" ), array( '\\\\', '\\|', '<br>', '<br>', '<br>' ), $value );
+
+		return array(
+			'extension'    => 'md',
+			'content_type' => 'text/markdown; charset=utf-8',
+			'header'       => '| ' . implode( ' | ', array_map( $escape, array_column( $columns_info, 'name' ) ) ) . " |\n"
+				. '| ' . implode( ' | ', $alignment ) . " |\n",
+			'chunk'        => function ( array $rows ) use ( $binary, $escape ): string {
+				$lines = '';
+
+				foreach ( $rows as $row ) {
+					$cells = array();
+
+					foreach ( $row as $name => $value ) {
+						if ( null === $value ) {
+							$cells[] = '*NULL*';
+						} elseif ( in_array( $name, $binary, true ) ) {
+							$cells[] = '0x' . bin2hex( $value );
+						} else {
+							$cells[] = $escape( (string) $value );
+						}
+					}
+
+					$lines .= '| ' . implode( ' | ', $cells ) . " |\n";
+				}
+
+				return $lines;
+			},
+			'footer'       => '',
+		);
+	}
+
+	/**
+	 * Encode a database value as JSON according to its column kind.
+	 *
+	 * @param mixed  $value Value as returned by the database.
+	 * @param string $kind  Column kind: string, number, json or binary.
+	 * @return string JSON text.
+	 */
+	private function encode_json_value( mixed $value, string $kind ): string {
+		if ( null === $value ) {
+			return 'null';
+		}
+
+		$value = (string) $value;
+
+		if ( 'number' === $kind && preg_match( '/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/', $value ) ) {
+			return $value;
+		}
+
+		if ( 'json' === $kind ) {
+			json_decode( $value );
+
+			if ( JSON_ERROR_NONE === json_last_error() ) {
+				return $value;
+			}
+		}
+
+		if ( 'binary' === $kind ) {
+			$value = '0x' . bin2hex( $value );
+		}
+
+		return $this->encode_json( $value );
+	}
+
+	/**
+	 * Encode a string as JSON.
+	 *
+	 * @param string $value String to encode.
+	 * @return string JSON string.
+	 */
+	private function encode_json( string $value ): string {
+		return (string) wp_json_encode( $value, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+	}
+
+	/**
+	 * Get the callback writing rows of a table as INSERT statements.
+	 *
+	 * Numeric values are written unquoted, binary values as hex literals and
+	 * everything else as escaped string literals. Generated columns are left
+	 * out, as the database computes them and refuses values for them.
+	 *
+	 * @param string                      $table_name   Table name.
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @return callable Callback turning a chunk of rows into INSERT statements.
+	 */
+	private function get_sql_insert_writer( string $table_name, array $columns_info ): callable {
+		$columns_info = array_values(
+			array_filter(
+				$columns_info,
+				fn( array $column ): bool => ! $this->schema->is_generated_column( $column )
+			)
+		);
+		$columns      = array_column( $columns_info, 'name' );
+		$binary       = $this->schema->get_binary_columns( $columns_info );
+		$numeric      = array();
+
+		foreach ( $columns_info as $column ) {
+			if ( preg_match( '/^(tinyint|smallint|mediumint|int|integer|bigint|decimal|numeric|float|double|real|year)\b/i', $column['type'] ) ) {
+				$numeric[] = $column['name'];
+			}
+		}
+
+		$prefix = 'INSERT INTO ' . $this->quote_identifier( $table_name ) . ' ('
+			. implode( ', ', array_map( array( $this, 'quote_identifier' ), $columns ) )
+			. ') VALUES';
+
+		return function ( array $rows ) use ( $prefix, $columns, $binary, $numeric ): string {
+			$statements = '';
+
+			foreach ( array_chunk( $rows, self::SQL_INSERT_ROWS ) as $batch ) {
+				$tuples = array();
+
+				foreach ( $batch as $row ) {
+					$values = array();
+
+					foreach ( $columns as $name ) {
+						$value = $row[ $name ] ?? null;
+
+						if ( null === $value ) {
+							$values[] = 'NULL';
+						} elseif ( in_array( $name, $binary, true ) ) {
+							$values[] = '' === $value ? "''" : '0x' . bin2hex( $value );
+						} elseif ( in_array( $name, $numeric, true ) && is_numeric( $value ) ) {
+							$values[] = (string) $value;
+						} else {
+							$values[] = $this->quote_string( (string) $value );
+						}
+					}
+
+					$tuples[] = '(' . implode( ', ', $values ) . ')';
+				}
+
+				$statements .= $prefix . "\n" . implode( ",\n", $tuples ) . ";\n";
+			}
+
+			return $statements;
+		};
+	}
+
+	/**
+	 * Quote an identifier for MySQL.
+	 *
+	 * @param string $name Table or column name.
+	 * @return string Quoted identifier.
+	 */
+	private function quote_identifier( string $name ): string {
+		return '`' . str_replace( '`', '``', $name ) . '`';
+	}
+
+	/**
+	 * Quote a string literal for MySQL.
+	 *
+	 * @param string $value String value.
+	 * @return string Quoted and escaped literal.
+	 */
+	private function quote_string( string $value ): string {
+		return "'" . strtr(
+			$value,
+			array(
+				'\\'   => '\\\\',
+				"\0"   => '\\0',
+				"\n"   => '\\n',
+				"\r"   => '\\r',
+				"'"    => "\\'",
+				'"'    => '\\"',
+				"\x1a" => '\\Z',
+			)
+		) . "'";
+	}
+
+	/**
+	 * Send the headers of a file download and end output buffering.
+	 *
+	 * @param string $filename     File name.
+	 * @param string $content_type Content type.
+	 */
+	private function send_headers( string $filename, string $content_type ): void {
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		if ( function_exists( 'set_time_limit' ) ) {
+			set_time_limit( 0 );
+		}
+
+		nocache_headers();
+		header( 'Content-Type: ' . $content_type );
+		header( 'Content-Disposition: attachment; filename="' . sanitize_file_name( $filename ) . '"' );
+		header( 'X-Content-Type-Options: nosniff' );
+	}
+
+	/**
+	 * Write text to the output and flush it to the client.
+	 *
+	 * @param string $text Text to write.
+	 */
+	private function write( string $text ): void {
+		if ( '' === $text ) {
+			return;
+		}
+
+		// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- File download, not HTML.
+		echo $text;
+		flush();
+	}
+}
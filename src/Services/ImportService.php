@@ -0,0 +1,435 @@
+<?php
+/**
+ * Import service for Affinite DB Manager.
+ *
+ * Writes batches of imported rows into an existing table.
+ *
+ * @package Affinite\DBManager
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+namespace Affinite\DBManager\Services;
+
+use Affinite\DBManager\Database\Schema;
+
+/**
+ * Import service class.
+ */
+final class ImportService {
+
+	/**
+	 * Maximum number of rows imported in a single request.
+	 *
+	 * @var int
+	 */
+	public const MAX_ROWS = 500;
+
+	/**
+	 * Import modes.
+	 *
+	 * - insert:  Insert every row; rows with an existing key are rejected.
+	 * - upsert:  Update the row with the same primary key, insert otherwise.
+	 * - replace: Delete the row with the same primary or unique key and insert.
+	 *
+	 * @var array<string>
+	 */
+	public const MODES = array( 'insert', 'upsert', 'replace' );
+
+	/**
+	 * Value ranges of integer types, signed and unsigned.
+	 *
+	 * @var array<string, array<int>>
+	 */
+	private const INTEGER_RANGES = array(
+		'tinyint'   => array( -128, 127, 255 ),
+		'smallint'  => array( -32768, 32767, 65535 ),
+		'mediumint' => array( -8388608, 8388607, 16777215 ),
+		'int'       => array( -2147483648, 2147483647, 4294967295 ),
+		'integer'   => array( -2147483648, 2147483647, 4294967295 ),
+	);
+
+	/**
+	 * Schema instance.
+	 *
+	 * @var Schema
+	 */
+	private Schema $schema;
+
+	/**
+	 * Access service instance.
+	 *
+	 * @var AccessService
+	 */
+	private AccessService $access_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessService $access_service Access service instance.
+	 */
+	public function __construct( AccessService $access_service ) {
+		$this->access_service = $access_service;
+		$this->schema         = new Schema();
+	}
+
+	/**
+	 * Import a batch of rows into a table.
+	 *
+	 * Every row is validated against the column types and nullability and
+	 * written on its own, so a rejected row does not stop the rest of the
+	 * batch. Columns missing from a row fall back to their defaults.
+	 *
+	 * @param string $table_name Table name.
+	 * @param mixed  $rows       List of rows, each keyed by column name.
+	 * @param string $mode       Import mode, one of MODES.
+	 * @return array<string, mixed>|\WP_Error Counts of inserted and updated rows and the rejected rows with their index and message, or error.
+	 */
+	public function import_rows( string $table_name, mixed $rows, string $mode ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( $this->access_service->is_table_locked( $table_name ) ) {
+			return new \WP_Error(
+				'table_locked',
+				__( 'Cannot modify data of a locked table.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		if ( ! in_array( $mode, self::MODES, true ) ) {
+			return new \WP_Error(
+				'invalid_mode',
+				__( 'Invalid import mode.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( ! is_array( $rows ) || empty( $rows ) ) {
+			return new \WP_Error(
+				'no_rows',
+				__( 'No rows to import.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( count( $rows ) > self::MAX_ROWS ) {
+			return new \WP_Error(
+				'too_many_rows',
+				sprintf(
+					/* translators: %d: Maximum number of rows */
+					__( 'At most %d rows can be processed at once.', 'affinite-db-manager' ),
+					self::MAX_ROWS
+				),
+				array( 'status' => 400 )
+			);
+		}
+
+		$columns     = array_column( $this->schema->describe_table( $table_name ), null, 'name' );
+		$primary_key = $this->schema->get_primary_key( $table_name );
+
+		if ( 'insert' !== $mode && empty( $primary_key ) ) {
+			return new \WP_Error(
+				'no_primary_key',
+				__( 'This table has no primary key, so rows can only be inserted.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$result = array(
+			'inserted' => 0,
+			'updated'  => 0,
+			'rejected' => array(),
+		);
+
+		foreach ( array_values( $rows ) as $index => $row ) {
+			$values  = $this->validate_row( $columns, $row );
+			$outcome = is_wp_error( $values ) ? $values : $this->write_row( $table_name, $columns, $values, $primary_key, $mode );
+
+			if ( is_wp_error( $outcome ) ) {
+				$result['rejected'][] = array(
+					'index'   => $index,
+					'message' => $outcome->get_error_message(),
+				);
+				continue;
+			}
+
+			++$result[ $outcome ];
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Write a validated row.
+	 *
+	 * New rows must have a value for every column that is NOT NULL without
+	 * a default; updated rows only change the given columns.
+	 *
+	 * @param string                              $table_name  Table name.
+	 * @param array<string, array<string, mixed>> $columns     Column definitions keyed by name.
+	 * @param array<string, mixed>                $values      Validated values keyed by column name.
+	 * @param array<string>                       $primary_key Primary key column names.
+	 * @param string                              $mode        Import mode.
+	 * @return string|\WP_Error Result count the row adds to, inserted or updated, or error.
+	 */
+	private function write_row( string $table_name, array $columns, array $values, array $primary_key, string $mode ): string|\WP_Error {
+		if ( 'upsert' === $mode ) {
+			$key = array();
+
+			foreach ( $primary_key as $column ) {
+				if ( isset( $values[ $column ] ) ) {
+					$key[ $column ] = $values[ $column ];
+				}
+			}
+
+			// Rows without a full key, e.g. relying on auto-increment, are new.
+			if ( count( $key ) === count( $primary_key ) && null !== $this->schema->get_row( $table_name, $key ) ) {
+				$updated = $this->schema->update_row( $table_name, $key, $values );
+
+				return is_wp_error( $updated ) ? $updated : 'updated';
+			}
+		}
+
+		foreach ( $columns as $name => $column ) {
+			$is_required = ! $column['nullable']
+				&& null === $column['default']
+				&& false === stripos( $column['extra'], 'auto_increment' )
+				&& ! $this->schema->is_generated_column( $column );
+
+			if ( $is_required && ! array_key_exists( $name, $values ) ) {
+				return new \WP_Error(
+					'missing_value',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Column %s requires a value.', 'affinite-db-manager' ),
+						$name
+					)
+				);
+			}
+		}
+
+		if ( 'replace' === $mode ) {
+			$affected = $this->schema->replace_row( $table_name, $values );
+
+			if ( is_wp_error( $affected ) ) {
+				return $affected;
+			}
+
+			return $affected > 1 ? 'updated' : 'inserted';
+		}
+
+		$inserted = $this->schema->insert_row( $table_name, $values );
+
+		return is_wp_error( $inserted ) ? $inserted : 'inserted';
+	}
+
+	/**
+	 * Validate a row against the table structure.
+	 *
+	 * @param array<string, array<string, mixed>> $columns Column definitions keyed by name.
+	 * @param mixed                               $row     Values keyed by column name.
+	 * @return array<string, string|null>|\WP_Error Normalized values or error.
+	 */
+	private function validate_row( array $columns, mixed $row ): array|\WP_Error {
+		if ( ! is_array( $row ) || empty( $row ) ) {
+			return new \WP_Error( 'invalid_row', __( 'Row has no values.', 'affinite-db-manager' ) );
+		}
+
+		$normalized = array();
+
+		foreach ( $row as $name => $value ) {
+			if ( ! isset( $columns[ $name ] ) ) {
+				return new \WP_Error(
+					'column_not_found',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Column not found: %s', 'affinite-db-manager' ),
+						$name
+					)
+				);
+			}
+
+			if ( $this->schema->is_generated_column( $columns[ $name ] ) ) {
+				return new \WP_Error(
+					'column_generated',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Column %s is generated and cannot be set.', 'affinite-db-manager' ),
+						$name
+					)
+				);
+			}
+
+			$value = $this->validate_value( $columns[ $name ], $value );
+
+			if ( is_wp_error( $value ) ) {
+				return $value;
+			}
+
+			$normalized[ $name ] = $value;
+		}
+
+		return $normalized;
+	}
+
+	/**
+	 * Validate a value against the type and nullability of its column.
+	 *
+	 * @param array<string, mixed> $column Column definition.
+	 * @param mixed                $value  Value.
+	 * @return string|\WP_Error|null Normalized value, NULL, or error.
+	 */
+	private function validate_value( array $column, mixed $value ): string|\WP_Error|null {
+		$name = $column['name'];
+
+		if ( null === $value ) {
+			if ( $column['nullable'] ) {
+				return null;
+			}
+
+			return new \WP_Error(
+				'column_not_nullable',
+				sprintf(
+					/* translators: %s: Column name */
+					__( 'Column %s cannot be NULL.', 'affinite-db-manager' ),
+					$name
+				)
+			);
+		}
+
+		if ( is_bool( $value ) ) {
+			$value = $value ? '1' : '0';
+		}
+
+		if ( ! is_scalar( $value ) ) {
+			return $this->invalid_value( $name, __( 'not a single value', 'affinite-db-manager' ) );
+		}
+
+		$value = (string) $value;
+		$type  = strtolower( $column['type'] );
+		$base  = preg_match( '/^\w+/', $type, $match ) ? $match[0] : '';
+
+		if ( isset( self::INTEGER_RANGES[ $base ] ) || 'bigint' === $base ) {
+			if ( ! preg_match( '/^[+-]?\d+$/', $value ) ) {
+				return $this->invalid_value( $name, __( 'not an integer', 'affinite-db-manager' ) );
+			}
+
+			$is_unsigned = str_contains( $type, 'unsigned' );
+
+			if ( $is_unsigned && str_starts_with( $value, '-' ) && 0 !== (int) $value ) {
+				return $this->invalid_value( $name, __( 'negative value in an unsigned column', 'affinite-db-manager' ) );
+			}
+
+			if ( isset( self::INTEGER_RANGES[ $base ] ) ) {
+				list( $min, $max, $unsigned_max ) = self::INTEGER_RANGES[ $base ];
+
+				if ( (float) $value < ( $is_unsigned ? 0 : $min ) || (float) $value > ( $is_unsigned ? $unsigned_max : $max ) ) {
+					return $this->invalid_value( $name, __( 'out of range', 'affinite-db-manager' ) );
+				}
+			}
+
+			return $value;
+		}
+
+		if ( in_array( $base, array( 'decimal', 'numeric', 'float', 'double', 'real' ), true ) ) {
+			if ( ! is_numeric( $value ) ) {
+				return $this->invalid_value( $name, __( 'not a number', 'affinite-db-manager' ) );
+			}
+
+			return $value;
+		}
+
+		if ( in_array( $base, array( 'date', 'datetime', 'timestamp' ), true ) ) {
+			$pattern = 'date' === $base
+				? '/^(\d{4})-(\d{2})-(\d{2})$/'
+				: '/^(\d{4})-(\d{2})-(\d{2})(?:[ T]\d{2}:[0-5]\d(?::[0-5]\d(?:\.\d{1,6})?)?)?$/';
+
+			if ( ! preg_match( $pattern, $value, $parts ) || ! checkdate( (int) $parts[2], (int) $parts[3], (int) $parts[1] ) ) {
+				return $this->invalid_value( $name, __( 'not a valid date', 'affinite-db-manager' ) );
+			}
+
+			return $value;
+		}
+
+		if ( 'time' === $base ) {
+			if ( ! preg_match( '/^-?\d{1,3}:[0-5]\d(?::[0-5]\d(?:\.\d{1,6})?)?$/', $value ) ) {
+				return $this->invalid_value( $name, __( 'not a valid time', 'affinite-db-manager' ) );
+			}
+
+			return $value;
+		}
+
+		if ( 'year' === $base ) {
+			if ( ! preg_match( '/^\d{4}$/', $value ) ) {
+				return $this->invalid_value( $name, __( 'not a valid year', 'affinite-db-manager' ) );
+			}
+
+			return $value;
+		}
+
+		if ( 'enum' === $base || 'set' === $base ) {
+			preg_match_all( "/'((?:[^']|'')*)'/", $column['type'], $matches );
+			$allowed = str_replace( "''", "'", $matches[1] );
+			$items   = 'set' === $base ? ( '' === $value ? array() : explode( ',', $value ) ) : array( $value );
+
+			if ( array_diff( $items, $allowed ) ) {
+				return $this->invalid_value( $name, __( 'not one of the allowed values', 'affinite-db-manager' ) );
+			}
+
+			return $value;
+		}
+
+		if ( 'json' === $base ) {
+			json_decode( $value );
+
+			if ( JSON_ERROR_NONE !== json_last_error() ) {
+				return $this->invalid_value( $name, __( 'not valid JSON', 'affinite-db-manager' ) );
+			}
+
+			return $value;
+		}
+
+		if ( in_array( $base, array( 'char', 'varchar' ), true ) && preg_match( '/\((\d+)\)/', $type, $length ) ) {
+			if ( mb_strlen( $value ) > (int) $length[1] ) {
+				return $this->invalid_value(
+					$name,
+					sprintf(
+						/* translators: %d: Maximum length */
+						_n( 'longer than %d character', 'longer than %d characters', (int) $length[1], 'affinite-db-manager' ),
+						(int) $length[1]
+					)
+				);
+			}
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Build the error of an invalid value.
+	 *
+	 * @param string $column Column name.
+	 * @param string $reason Reason the value is invalid.
+	 * @return \WP_Error Error.
+	 */
+	private function invalid_value( string $column, string $reason ): \WP_Error {
+		return new \WP_Error(
+			'invalid_value',
+			sprintf(
+				/* translators: 1: Column name, 2: Reason */
+				__( 'Invalid value for column %1$s: %2$s.', 'affinite-db-manager' ),
+				$column,
+				$reason
+			)
+		);
+	}
+}
@@ -0,0 +1,154 @@
+<?php
+/**
+ * Layout service for Affinite DB Manager.
+ *
+ * Handles per-user column layouts of the data grid.
+ *
+ * @package Affinite\DBManager
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+namespace Affinite\DBManager\Services;
+
+use Affinite\DBManager\Database\Schema;
+
+/**
+ * Layout service class.
+ */
+final class LayoutService {
+
+	/**
+	 * User option name for column layouts.
+	 *
+	 * Stored per site, since each site has its own tables.
+	 *
+	 * @var string
+	 */
+	public const OPTION_NAME = 'affinite_db_manager_layouts';
+
+	/**
+	 * Schema instance.
+	 *
+	 * @var Schema
+	 */
+	private Schema $schema;
+
+	/**
+	 * Access service instance.
+	 *
+	 * @var AccessService
+	 */
+	private AccessService $access_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessService $access_service Access service instance.
+	 */
+	public function __construct( AccessService $access_service ) {
+		$this->access_service = $access_service;
+		$this->schema         = new Schema();
+	}
+
+	/**
+	 * Get the current user's column layout of a table.
+	 *
+	 * @param string $table_name Table name.
+	 * @return array{order: array<string>, hidden: array<string>, pinned: array<string>}|\WP_Error Layout or error.
+	 */
+	public function get_layout( string $table_name ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$layouts = $this->get_layouts();
+
+		return $this->sanitize_layout( $table_name, $layouts[ $table_name ] ?? array() );
+	}
+
+	/**
+	 * Save the current user's column layout of a table.
+	 *
+	 * Column names that do not exist in the table are dropped.
+	 *
+	 * @param string $table_name Table name.
+	 * @param array  $layout     Layout with order, hidden and pinned column names.
+	 * @return array{order: array<string>, hidden: array<string>, pinned: array<string>}|\WP_Error Saved layout or error.
+	 */
+	public function update_layout( string $table_name, array $layout ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$layout                 = $this->sanitize_layout( $table_name, $layout );
+		$layouts                = $this->get_layouts();
+		$layouts[ $table_name ] = $layout;
+
+		update_user_option( get_current_user_id(), self::OPTION_NAME, $layouts );
+
+		return $layout;
+	}
+
+	/**
+	 * Reset the current user's column layout of a table.
+	 *
+	 * @param string $table_name Table name.
+	 * @return bool Whether a saved layout was removed.
+	 */
+	public function delete_layout( string $table_name ): bool {
+		$table_name = sanitize_text_field( $table_name );
+		$layouts    = $this->get_layouts();
+
+		if ( ! isset( $layouts[ $table_name ] ) ) {
+			return false;
+		}
+
+		unset( $layouts[ $table_name ] );
+
+		return (bool) update_user_option( get_current_user_id(), self::OPTION_NAME, $layouts );
+	}
+
+	/**
+	 * Get all column layouts of the current user.
+	 *
+	 * @return array<string, array> Layouts keyed by table name.
+	 */
+	private function get_layouts(): array {
+		$layouts = get_user_option( self::OPTION_NAME );
+
+		return is_array( $layouts ) ? $layouts : array();
+	}
+
+	/**
+	 * Sanitize a layout against the columns of a table.
+	 *
+	 * @param string $table_name Table name.
+	 * @param array  $layout     Layout to sanitize.
+	 * @return array{order: array<string>, hidden: array<string>, pinned: array<string>} Sanitized layout.
+	 */
+	public function sanitize_layout( string $table_name, array $layout ): array {
+		$columns = array_column( $this->schema->describe_table( $table_name ), 'name' );
+		$result  = array();
+
+		foreach ( array( 'order', 'hidden', 'pinned' ) as $field ) {
+			$names            = isset( $layout[ $field ] ) && is_array( $layout[ $field ] ) ? $layout[ $field ] : array();
+			$result[ $field ] = array_values( array_unique( array_intersect( array_filter( $names, 'is_string' ), $columns ) ) );
+		}
+
+		return $result;
+	}
+}
@@ -2,7 +2,8 @@
 /**
  * Relation service for Affinite DB Manager.
  *
- * Handles foreign key operations like adding and deleting relations.
+ * Handles foreign key operations like adding and deleting relations, and
+ * looking up rows that reference a given row.
  *
  * @package Affinite\DBManager
  * @since 1.0.0
@@ -62,6 +63,102 @@ final class RelationService {
 		return $this->schema->get_foreign_keys( $table_name );
 	}
 
+	/**
+	 * Get foreign keys in other tables that reference a table.
+	 *
+	 * Each foreign key is listed once with all of its columns, in order.
+	 * When a row key is given, each foreign key also carries the referenced
+	 * values of that row and the number of rows pointing at it. Rows of
+	 * locked tables are counted too; locked tables are only read-only.
+	 *
+	 * @param string $table_name Table name.
+	 * @param mixed  $key        Primary key values of a row keyed by column name (optional).
+	 * @return array<array<string, mixed>>|\WP_Error Incoming relations or error.
+	 */
+	public function get_incoming_relations( string $table_name, mixed $key = null ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$relations = array();
+
+		// Composite foreign keys come as one entry per column.
+		foreach ( $this->schema->get_referencing_foreign_keys( $table_name ) as $foreign_key ) {
+			$id = $foreign_key['table'] . '.' . $foreign_key['name'];
+
+			if ( ! isset( $relations[ $id ] ) ) {
+				$relations[ $id ] = array(
+					'name'               => $foreign_key['name'],
+					'table'              => $foreign_key['table'],
+					'columns'            => array(),
+					'referenced_columns' => array(),
+					'on_delete'          => $foreign_key['on_delete'],
+					'on_update'          => $foreign_key['on_update'],
+					'is_locked'          => $this->access_service->is_table_locked( $foreign_key['table'] ),
+				);
+			}
+
+			$relations[ $id ]['columns'][]            = $foreign_key['column'];
+			$relations[ $id ]['referenced_columns'][] = $foreign_key['referenced_column'];
+		}
+
+		$relations = array_values( $relations );
+
+		if ( null === $key || empty( $relations ) ) {
+			return $relations;
+		}
+
+		$primary_key = $this->schema->get_primary_key( $table_name );
+		$row_key     = array();
+
+		foreach ( $primary_key as $column ) {
+			if ( ! is_array( $key ) || ! isset( $key[ $column ] ) || ! is_scalar( $key[ $column ] ) ) {
+				return new \WP_Error(
+					'invalid_key',
+					__( 'Invalid row key.', 'affinite-db-manager' ),
+					array( 'status' => 400 )
+				);
+			}
+
+			$row_key[ $column ] = (string) $key[ $column ];
+		}
+
+		$row = empty( $row_key ) ? null : $this->schema->get_row( $table_name, $row_key );
+
+		if ( null === $row ) {
+			return new \WP_Error(
+				'row_not_found',
+				__( 'Row not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		foreach ( $relations as $index => $relation ) {
+			$values = array();
+
+			foreach ( $relation['columns'] as $position => $column ) {
+				$values[ $column ] = $row[ $relation['referenced_columns'][ $position ] ] ?? null;
+			}
+
+			$relations[ $index ]['values'] = $values;
+
+			if ( in_array( null, $values, true ) ) {
+				// No row can reference a NULL value.
+				$relations[ $index ]['count'] = 0;
+			} else {
+				$relations[ $index ]['count'] = $this->schema->count_rows_with_values( $relation['table'], $values );
+			}
+		}
+
+		return $relations;
+	}
+
 	/**
 	 * Add a foreign key to a table.
 	 *
@@ -0,0 +1,472 @@
+<?php
+/**
+ * Replace service for Affinite DB Manager.
+ *
+ * Handles find and replace within columns of a table.
+ *
+ * @package Affinite\DBManager
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+namespace Affinite\DBManager\Services;
+
+use Affinite\DBManager\Database\Schema;
+
+/**
+ * Replace service class.
+ *
+ * Rows are walked in batches ordered by primary key, so a replacement can be
+ * previewed and applied one request at a time on tables of any size. Values
+ * holding PHP-serialized data are rewritten token by token with their string
+ * lengths recomputed, without unserializing them.
+ */
+final class ReplaceService {
+
+	/**
+	 * Number of rows read per batch.
+	 *
+	 * @var int
+	 */
+	private const BATCH_SIZE = 500;
+
+	/**
+	 * Number of characters kept around a change in previews.
+	 *
+	 * @var int
+	 */
+	private const PREVIEW_CONTEXT = 60;
+
+	/**
+	 * Schema instance.
+	 *
+	 * @var Schema
+	 */
+	private Schema $schema;
+
+	/**
+	 * Access service instance.
+	 *
+	 * @var AccessService
+	 */
+	private AccessService $access_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessService $access_service Access service instance.
+	 */
+	public function __construct( AccessService $access_service ) {
+		$this->access_service = $access_service;
+		$this->schema         = new Schema();
+	}
+
+	/**
+	 * Find and replace in a batch of rows.
+	 *
+	 * Reads the next batch of rows after the given primary key. On a dry run
+	 * the changes are only listed with excerpts of the values before and
+	 * after, otherwise the changed rows are updated.
+	 *
+	 * @param string $table_name Table name.
+	 * @param array  $args       {
+	 *     Replacement arguments.
+	 *
+	 *     @type array  $columns        Columns to search in.
+	 *     @type string $search         Text or regular expression to find.
+	 *     @type string $replace        Replacement, may reference regex groups like $1.
+	 *     @type string $mode           Either 'text' or 'regex'.
+	 *     @type bool   $case_sensitive Whether matching is case sensitive.
+	 *     @type bool   $dry_run        Whether to only list the changes.
+	 *     @type array  $after          Primary key of the last row of the previous batch.
+	 * }
+	 * @return array<string, mixed>|\WP_Error Scanned and changed row counts, changes on a dry run and the key to continue after, or error.
+	 */
+	public function replace( string $table_name, array $args ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( $this->access_service->is_table_locked( $table_name ) ) {
+			return new \WP_Error(
+				'table_locked',
+				__( 'Cannot modify data of a locked table.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		$primary_key = $this->schema->get_primary_key( $table_name );
+
+		if ( empty( $primary_key ) ) {
+			return new \WP_Error(
+				'no_primary_key',
+				__( 'This table has no primary key, so its rows cannot be identified.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$columns = $this->validate_columns( $table_name, $primary_key, $args['columns'] ?? array() );
+
+		if ( is_wp_error( $columns ) ) {
+			return $columns;
+		}
+
+		$search = (string) ( $args['search'] ?? '' );
+
+		if ( '' === $search ) {
+			return new \WP_Error(
+				'invalid_search',
+				__( 'Text to find is required.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$replacer = $this->get_replacer( $search, (string) ( $args['replace'] ?? '' ), 'regex' === ( $args['mode'] ?? 'text' ), ! empty( $args['case_sensitive'] ) );
+
+		if ( is_wp_error( $replacer ) ) {
+			return $replacer;
+		}
+
+		$after   = is_array( $args['after'] ?? null ) ? $args['after'] : array();
+		$dry_run = ! empty( $args['dry_run'] );
+
+		// Plain text can only match values that contain it, a pattern can match anything.
+		$contains = 'regex' === ( $args['mode'] ?? 'text' ) ? '' : $search;
+		$rows     = $this->schema->get_rows_after_key( $table_name, $primary_key, $columns, $after, $contains, self::BATCH_SIZE );
+		$changes  = array();
+		$changed  = 0;
+		$skipped  = 0;
+
+		foreach ( $rows as $row ) {
+			$values = array();
+
+			foreach ( $columns as $column ) {
+				if ( null === $row[ $column ] ) {
+					continue;
+				}
+
+				$before = (string) $row[ $column ];
+				$value  = $this->replace_value( $before, $replacer );
+
+				if ( null === $value ) {
+					++$skipped;
+					continue;
+				}
+
+				if ( $value === $before ) {
+					continue;
+				}
+
+				$values[ $column ] = $value;
+
+				if ( $dry_run ) {
+					$changes[] = array_merge(
+						array(
+							'key'    => array_intersect_key( $row, array_flip( $primary_key ) ),
+							'column' => $column,
+						),
+						$this->get_excerpts( $before, $value )
+					);
+				}
+			}
+
+			if ( empty( $values ) ) {
+				continue;
+			}
+
+			if ( ! $dry_run ) {
+				$result = $this->schema->update_row( $table_name, array_intersect_key( $row, array_flip( $primary_key ) ), $values );
+
+				if ( is_wp_error( $result ) ) {
+					return $result;
+				}
+			}
+
+			++$changed;
+		}
+
+		$last = end( $rows );
+
+		return array(
+			'scanned' => count( $rows ),
+			'changed' => $changed,
+			'skipped' => $skipped,
+			'changes' => $changes,
+			'next'    => count( $rows ) < self::BATCH_SIZE || false === $last ? null : array_intersect_key( $last, array_flip( $primary_key ) ),
+		);
+	}
+
+	/**
+	 * Validate the columns to search in.
+	 *
+	 * Only text columns outside the primary key can be searched, since rows
+	 * are walked in primary key order.
+	 *
+	 * @param string        $table_name  Table name.
+	 * @param array<string> $primary_key Primary key column names.
+	 * @param mixed         $columns     Requested column names.
+	 * @return array<string>|\WP_Error Column names or error.
+	 */
+	private function validate_columns( string $table_name, array $primary_key, mixed $columns ): array|\WP_Error {
+		if ( ! is_array( $columns ) || empty( $columns ) ) {
+			return new \WP_Error(
+				'invalid_columns',
+				__( 'Select at least one column to search in.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$searchable = array_diff( $this->schema->get_searchable_columns( $this->schema->describe_table( $table_name ) ), $primary_key );
+
+		foreach ( $columns as $column ) {
+			if ( ! is_string( $column ) || ! in_array( $column, $searchable, true ) ) {
+				return new \WP_Error(
+					'invalid_column',
+					sprintf(
+						/* translators: %s: Column name */
+						__( 'Cannot replace in column: %s', 'affinite-db-manager' ),
+						is_scalar( $column ) ? (string) $column : ''
+					),
+					array( 'status' => 400 )
+				);
+			}
+		}
+
+		return array_values( array_unique( $columns ) );
+	}
+
+	/**
+	 * Build the function replacing in a string.
+	 *
+	 * @param string $search         Text or regular expression to find.
+	 * @param string $replace        Replacement.
+	 * @param bool   $regex          Whether the search is a regular expression.
+	 * @param bool   $case_sensitive Whether matching is case sensitive.
+	 * @return callable|\WP_Error Function taking and returning a string, returning null if it cannot be applied, or error.
+	 */
+	private function get_replacer( string $search, string $replace, bool $regex, bool $case_sensitive ): callable|\WP_Error {
+		if ( ! $regex ) {
+			return $case_sensitive
+				? static fn( string $value ): string => str_replace( $search, $replace, $value )
+				: static fn( string $value ): string => str_ireplace( $search, $replace, $value );
+		}
+
+		// Escape slashes that are not escaped yet, as they delimit the pattern.
+		$pattern = '/' . preg_replace( '#(?<!\\\\)((?:\\\\\\\\)*)/#', '$1\\/', $search ) . '/u' . ( $case_sensitive ? '' : 'i' );
+
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged -- The pattern is user input, failure is reported below.
+		if ( false === @preg_match( $pattern, '' ) ) {
+			return new \WP_Error(
+				'invalid_pattern',
+				__( 'Invalid regular expression.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Values that are not valid UTF-8 make preg_replace() return null.
+		return static fn( string $value ): ?string => preg_replace( $pattern, $replace, $value );
+	}
+
+	/**
+	 * Replace in a value, keeping PHP-serialized data valid.
+	 *
+	 * @param string   $value    Value.
+	 * @param callable $replacer Function replacing in a string.
+	 * @return string|null New value, or null if the replacement cannot be applied safely.
+	 */
+	private function replace_value( string $value, callable $replacer ): ?string {
+		if ( ! is_serialized( $value ) ) {
+			return $replacer( $value );
+		}
+
+		$offset = 0;
+		$result = $this->replace_serialized( $value, $offset, $replacer );
+
+		return null === $result || strlen( $value ) !== $offset ? null : $result;
+	}
+
+	/**
+	 * Replace in the strings of a serialized value.
+	 *
+	 * Reads one value starting at the offset and moves the offset past it.
+	 * Strings are replaced in, recursively when they hold serialized data
+	 * themselves, and written back with their new byte length. Objects with
+	 * custom serialization are copied unchanged.
+	 *
+	 * @param string   $data     Serialized data.
+	 * @param int      $offset   Position of the value, moved past it.
+	 * @param callable $replacer Function replacing in a string.
+	 * @return string|null Serialized value, or null if the data is malformed.
+	 */
+	private function replace_serialized( string $data, int &$offset, callable $replacer ): ?string {
+		$type = $data[ $offset ] ?? '';
+
+		if ( 'N' === $type ) {
+			if ( 'N;' !== substr( $data, $offset, 2 ) ) {
+				return null;
+			}
+
+			$offset += 2;
+
+			return 'N;';
+		}
+
+		if ( in_array( $type, array( 'b', 'i', 'd', 'r', 'R' ), true ) ) {
+			if ( ! preg_match( '/\G[bidrR]:[^;]*;/', $data, $matches, 0, $offset ) ) {
+				return null;
+			}
+
+			$offset += strlen( $matches[0] );
+
+			return $matches[0];
+		}
+
+		if ( 's' === $type ) {
+			$string = $this->read_serialized_string( $data, $offset, ';' );
+
+			if ( null === $string ) {
+				return null;
+			}
+
+			// Strings that only look like serialized data are replaced in as text.
+			$value = is_serialized( $string ) ? $this->replace_value( $string, $replacer ) ?? $replacer( $string ) : $replacer( $string );
+
+			return null === $value ? null : 's:' . strlen( $value ) . ':"' . $value . '";';
+		}
+
+		if ( 'E' === $type ) {
+			$start = $offset;
+
+			return null === $this->read_serialized_string( $data, $offset, ';' ) ? null : substr( $data, $start, $offset - $start );
+		}
+
+		if ( 'C' === $type ) {
+			$start = $offset;
+
+			if (
+				null === $this->read_serialized_string( $data, $offset, ':' )
+				|| ! preg_match( '/\G(\d+):\{/', $data, $matches, 0, $offset )
+			) {
+				return null;
+			}
+
+			$offset += strlen( $matches[0] ) + (int) $matches[1];
+
+			if ( '}' !== ( $data[ $offset ] ?? '' ) ) {
+				return null;
+			}
+
+			++$offset;
+
+			return substr( $data, $start, $offset - $start );
+		}
+
+		if ( 'a' === $type || 'O' === $type ) {
+			$start = $offset;
+
+			// Objects are prefixed with their class name like O:8:"stdClass":.
+			if ( 'O' === $type && null === $this->read_serialized_string( $data, $offset, ':' ) ) {
+				return null;
+			}
+
+			if ( 'a' === $type ) {
+				$offset += 2;
+			}
+
+			if ( ! preg_match( '/\G(\d+):\{/', $data, $matches, 0, $offset ) ) {
+				return null;
+			}
+
+			$offset += strlen( $matches[0] );
+			$result  = substr( $data, $start, $offset - $start );
+
+			// Keys are copied as they are, only values are replaced in.
+			for ( $i = 0; $i < 2 * (int) $matches[1]; $i++ ) {
+				$start = $offset;
+				$item  = $this->replace_serialized( $data, $offset, 0 === $i % 2 ? static fn( string $value ): string => $value : $replacer );
+
+				if ( null === $item ) {
+					return null;
+				}
+
+				$result .= 0 === $i % 2 ? substr( $data, $start, $offset - $start ) : $item;
+			}
+
+			if ( '}' !== ( $data[ $offset ] ?? '' ) ) {
+				return null;
+			}
+
+			++$offset;
+
+			return $result . '}';
+		}
+
+		return null;
+	}
+
+	/**
+	 * Read a length-prefixed string like s:5:"hello"; of serialized data.
+	 *
+	 * @param string $data       Serialized data.
+	 * @param int    $offset     Position of the type letter, moved past the terminator.
+	 * @param string $terminator Character expected after the closing quote.
+	 * @return string|null String contents, or null if the data is malformed.
+	 */
+	private function read_serialized_string( string $data, int &$offset, string $terminator ): ?string {
+		if ( ! preg_match( '/\G[a-zA-Z]:(\d+):"/', $data, $matches, 0, $offset ) ) {
+			return null;
+		}
+
+		$start  = $offset + strlen( $matches[0] );
+		$length = (int) $matches[1];
+
+		if ( substr( $data, $start + $length, 2 ) !== '"' . $terminator ) {
+			return null;
+		}
+
+		$offset = $start + $length + 2;
+
+		return substr( $data, $start, $length );
+	}
+
+	/**
+	 * Get excerpts of a value around the changed part.
+	 *
+	 * @param string $before Value before the replacement.
+	 * @param string $after  Value after the replacement.
+	 * @return array{before: string, after: string} Excerpts of both values.
+	 */
+	private function get_excerpts( string $before, string $after ): array {
+		$shorter = min( strlen( $before ), strlen( $after ) );
+		$prefix  = strspn( $before ^ $after, "\0" );
+		$suffix  = min( strspn( strrev( $before ) ^ strrev( $after ), "\0" ), $shorter - $prefix );
+		$start   = max( 0, $prefix - self::PREVIEW_CONTEXT );
+
+		return array(
+			'before' => $this->get_excerpt( $before, $start, strlen( $before ) - $suffix + self::PREVIEW_CONTEXT ),
+			'after'  => $this->get_excerpt( $after, $start, strlen( $after ) - $suffix + self::PREVIEW_CONTEXT ),
+		);
+	}
+
+	/**
+	 * Cut a value between byte positions without splitting characters.
+	 *
+	 * @param string $value Value.
+	 * @param int    $start Start position in bytes.
+	 * @param int    $end   End position in bytes.
+	 * @return string Excerpt, with ellipses where the value was cut.
+	 */
+	private function get_excerpt( string $value, int $start, int $end ): string {
+		$end     = min( strlen( $value ), $end );
+		$excerpt = mb_strcut( $value, $start, $end - $start, 'UTF-8' );
+
+		return ( $start > 0 ? '…' : '' ) . $excerpt . ( $end < strlen( $value ) ? '…' : '' );
+	}
+}
@@ -0,0 +1,557 @@
+<?php
+/**
+ * SQL import service for Affinite DB Manager.
+ *
+ * Executes statements of an uploaded SQL dump.
+ *
+ * @package Affinite\DBManager
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+namespace Affinite\DBManager\Services;
+
+use Affinite\DBManager\Database\Schema;
+
+/**
+ * SQL import service class.
+ *
+ * Only statements that work on table structure and data are executed, and
+ * only when every table they touch can be named: session settings,
+ * transactions, table locks, CREATE/ALTER/DROP/TRUNCATE/RENAME TABLE and
+ * single-table INSERT, REPLACE, UPDATE and DELETE. Anything else, such as
+ * user management or statements on other databases, is refused.
+ */
+final class SqlImportService {
+
+	/**
+	 * Maximum number of statements executed in a single request.
+	 *
+	 * @var int
+	 */
+	public const MAX_STATEMENTS = 200;
+
+	/**
+	 * Pattern of a table name, optionally quoted and qualified by a database name.
+	 *
+	 * @var string
+	 */
+	private const TABLE_PATTERN = '(?:`(?:[^`]|``)+`|[A-Za-z0-9_$]+)(?:\s*\.\s*(?:`(?:[^`]|``)+`|[A-Za-z0-9_$]+))?';
+
+	/**
+	 * Session variables that SET statements may change.
+	 *
+	 * The character set variables are the ones SET NAMES changes, which
+	 * mysqldump also sets one by one. Their values are carried over to the
+	 * following batches.
+	 *
+	 * @var array<string>
+	 */
+	private const SESSION_VARIABLES = array(
+		'FOREIGN_KEY_CHECKS',
+		'UNIQUE_CHECKS',
+		'SQL_MODE',
+		'TIME_ZONE',
+		'AUTOCOMMIT',
+		'SQL_NOTES',
+		'CHARACTER_SET_CLIENT',
+		'CHARACTER_SET_RESULTS',
+		'CHARACTER_SET_CONNECTION',
+		'COLLATION_CONNECTION',
+	);
+
+	/**
+	 * Maximum number of session and user variables carried over between batches.
+	 *
+	 * @var int
+	 */
+	private const MAX_SESSION_VARIABLES = 100;
+
+	/**
+	 * Maximum length of a statement quoted in an error.
+	 *
+	 * @var int
+	 */
+	private const EXCERPT_LENGTH = 200;
+
+	/**
+	 * Schema instance.
+	 *
+	 * @var Schema
+	 */
+	private Schema $schema;
+
+	/**
+	 * Access service instance.
+	 *
+	 * @var AccessService
+	 */
+	private AccessService $access_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessService $access_service Access service instance.
+	 */
+	public function __construct( AccessService $access_service ) {
+		$this->access_service = $access_service;
+		$this->schema         = new Schema();
+	}
+
+	/**
+	 * Execute a batch of SQL statements in order.
+	 *
+	 * Statements that touch locked or WordPress core tables are refused
+	 * unless protected tables are explicitly allowed.
+	 *
+	 * Each batch runs in its own database session. The session settings
+	 * returned by the previous batch are restored before the statements
+	 * run, and a batch that would leave a transaction open is refused,
+	 * as the transaction would be rolled back when the batch ends.
+	 *
+	 * @param mixed $statements      List of SQL statements without the trailing delimiter.
+	 * @param bool  $stop_on_error   Whether to stop at the first failed statement.
+	 * @param bool  $allow_protected Whether statements may touch locked and core tables.
+	 * @param mixed $session         Session and user variables returned by the previous batch.
+	 * @return array<string, mixed>|\WP_Error Numbers of executed and failed statements, affected rows per table, errors, warnings and session variables, or error.
+	 */
+	public function execute( mixed $statements, bool $stop_on_error, bool $allow_protected, mixed $session = array() ): array|\WP_Error {
+		if ( ! is_array( $statements ) || empty( $statements ) ) {
+			return new \WP_Error(
+				'no_statements',
+				__( 'No statements to execute.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( count( $statements ) > self::MAX_STATEMENTS ) {
+			return new \WP_Error(
+				'too_many_statements',
+				sprintf(
+					/* translators: %d: Maximum number of statements */
+					__( 'At most %d statements can be executed at once.', 'affinite-db-manager' ),
+					self::MAX_STATEMENTS
+				),
+				array( 'status' => 400 )
+			);
+		}
+
+		$session = $this->validate_session( $session );
+
+		if ( is_wp_error( $session ) ) {
+			return $session;
+		}
+
+		$statements = array_map(
+			static fn( mixed $statement ): string => is_string( $statement ) ? trim( $statement ) : '',
+			array_values( $statements )
+		);
+		$end_state  = $this->get_end_state( $statements, ! isset( $session['AUTOCOMMIT'] ) || '0' !== (string) $session['AUTOCOMMIT'] );
+
+		if ( $end_state['transaction'] ) {
+			return new \WP_Error(
+				'open_transaction',
+				sprintf(
+					/* translators: %d: Maximum number of statements */
+					__( 'The statements leave a transaction open. Each batch of statements runs in its own database session and an open transaction is rolled back when it ends, so a transaction has to end within %d statements.', 'affinite-db-manager' ),
+					self::MAX_STATEMENTS
+				),
+				array( 'status' => 400 )
+			);
+		}
+
+		$restored = $this->schema->set_session_variables( $session );
+
+		if ( is_wp_error( $restored ) ) {
+			return $restored;
+		}
+
+		$result = array(
+			'executed' => 0,
+			'failed'   => 0,
+			'stopped'  => false,
+			'tables'   => array(),
+			'errors'   => array(),
+			'warnings' => array(),
+			'session'  => array(),
+		);
+
+		$has_settings   = ! empty( $session );
+		$user_variables = array_filter( array_keys( $session ), static fn( string $name ): bool => str_starts_with( $name, '@' ) );
+
+		foreach ( $statements as $index => $statement ) {
+			$tables = $this->get_statement_tables( $statement );
+
+			if ( ! is_wp_error( $tables ) ) {
+				$tables = $this->check_tables( $tables, $allow_protected );
+			}
+
+			$affected = is_wp_error( $tables ) ? $tables : $this->schema->execute_statement( $statement );
+
+			if ( is_wp_error( $affected ) ) {
+				++$result['failed'];
+				$result['errors'][] = array(
+					'index'     => $index,
+					'message'   => $affected->get_error_message(),
+					'statement' => mb_substr( $statement, 0, self::EXCERPT_LENGTH ),
+				);
+
+				if ( $stop_on_error ) {
+					$result['stopped'] = true;
+					break;
+				}
+
+				continue;
+			}
+
+			++$result['executed'];
+
+			$body = $this->get_statement_body( $statement );
+
+			if ( is_string( $body ) && preg_match( '/^SET\b/i', $body ) ) {
+				$has_settings = true;
+
+				preg_match_all( '/(?:^SET|,)\s*(@[A-Za-z0-9_$.]+)\s*:?=/i', $body, $names );
+				$user_variables = array_merge( $user_variables, $names[1] );
+			}
+
+			foreach ( $tables as $table ) {
+				if ( ! isset( $result['tables'][ $table ] ) ) {
+					$result['tables'][ $table ] = array(
+						'statements' => 0,
+						'rows'       => 0,
+					);
+				}
+
+				++$result['tables'][ $table ]['statements'];
+				$result['tables'][ $table ]['rows'] += $affected;
+			}
+		}
+
+		if ( $has_settings ) {
+			$names             = array_merge( self::SESSION_VARIABLES, array_unique( $user_variables ) );
+			$result['session'] = $this->schema->get_session_variables( array_slice( $names, 0, self::MAX_SESSION_VARIABLES ) );
+		}
+
+		if ( $end_state['locked'] ) {
+			$result['warnings'][] = __( 'Table locks are released at the end of each batch of statements, so statements after a LOCK TABLES statement in the next batch run without the lock.', 'affinite-db-manager' );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Check the session settings returned by the previous batch.
+	 *
+	 * @param mixed $session Values keyed by session variable name, or by user variable name starting with @.
+	 * @return array<string, string|int|float|null>|\WP_Error The session settings, or error.
+	 */
+	private function validate_session( mixed $session ): array|\WP_Error {
+		$error = new \WP_Error(
+			'invalid_session',
+			__( 'Invalid session settings.', 'affinite-db-manager' ),
+			array( 'status' => 400 )
+		);
+
+		if ( ! is_array( $session ) || count( $session ) > self::MAX_SESSION_VARIABLES ) {
+			return $error;
+		}
+
+		foreach ( $session as $name => $value ) {
+			$name = (string) $name;
+
+			if ( ! in_array( $name, self::SESSION_VARIABLES, true ) && ! preg_match( '/^@[A-Za-z0-9_$.]+$/', $name ) ) {
+				return $error;
+			}
+
+			if ( null !== $value && ! is_scalar( $value ) ) {
+				return $error;
+			}
+		}
+
+		return $session;
+	}
+
+	/**
+	 * Find out how a batch of statements leaves its database session.
+	 *
+	 * Statements are followed without running them: explicit transactions,
+	 * data changes while autocommit is off, and the implicit commits of
+	 * table structure statements and table locks.
+	 *
+	 * @param array<string> $statements SQL statements.
+	 * @param bool          $autocommit Whether autocommit is on at the start of the batch.
+	 * @return array{transaction: bool, locked: bool} Whether a transaction is still open and whether tables are still locked after the last statement.
+	 */
+	private function get_end_state( array $statements, bool $autocommit ): array {
+		$transaction = false;
+		$locked      = false;
+
+		foreach ( $statements as $statement ) {
+			$sql = $this->get_statement_body( $statement );
+
+			if ( is_wp_error( $sql ) ) {
+				continue;
+			}
+
+			if ( preg_match( '/^(?:START\s+TRANSACTION|BEGIN)\b/i', $sql ) ) {
+				$transaction = true;
+			} elseif ( preg_match( '/^(?:COMMIT|ROLLBACK)\b/i', $sql ) ) {
+				$transaction = false;
+			} elseif ( preg_match( '/^SET\b.*\bAUTOCOMMIT\s*:?=\s*[\'"]?(\w*)/is', $sql, $match ) ) {
+				$enabled = in_array( strtoupper( $match[1] ), array( '1', 'ON', 'TRUE' ), true );
+
+				// Turning autocommit back on commits the open transaction.
+				if ( $enabled && ! $autocommit ) {
+					$transaction = false;
+				}
+
+				$autocommit = $enabled;
+			} elseif ( preg_match( '/^LOCK\s+TABLES?\b/i', $sql ) ) {
+				$transaction = false;
+				$locked      = true;
+			} elseif ( preg_match( '/^UNLOCK\s+TABLES\b/i', $sql ) ) {
+				$transaction = $transaction && ! $locked;
+				$locked      = false;
+			} elseif ( preg_match( '/^(?:(?:CREATE|DROP)\s+(?!TEMPORARY\b)|ALTER\b|RENAME\b|TRUNCATE\b)/i', $sql ) ) {
+				$transaction = false;
+			} elseif ( ! $autocommit && preg_match( '/^(?:INSERT|REPLACE|UPDATE|DELETE)\b/i', $sql ) ) {
+				$transaction = true;
+			}
+		}
+
+		return array(
+			'transaction' => $transaction,
+			'locked'      => $locked,
+		);
+	}
+
+	/**
+	 * Get the statement to classify, without leading comments.
+	 *
+	 * A MySQL conditional comment such as the version-guarded statements of
+	 * mysqldump is read as its content. It has to span the whole statement:
+	 * anything after the comment or another comment inside it is refused,
+	 * so no part of the statement escapes classification.
+	 *
+	 * @param string $sql SQL statement.
+	 * @return string|\WP_Error Statement to classify, or error.
+	 */
+	private function get_statement_body( string $sql ): string|\WP_Error {
+		$sql = $this->strip_leading_comments( $sql );
+
+		if ( str_starts_with( $sql, '/*!' ) ) {
+			$end = strpos( $sql, '*/' );
+
+			if ( false === $end || '' !== trim( substr( $sql, $end + 2 ) ) ) {
+				return new \WP_Error(
+					'unsupported_statement',
+					__( 'Unsupported statement. A conditional comment has to contain the whole statement.', 'affinite-db-manager' )
+				);
+			}
+
+			$sql = (string) preg_replace( '/^\/\*!\d*/', '', substr( $sql, 0, $end ) );
+
+			if ( str_contains( $sql, '/*' ) ) {
+				return new \WP_Error(
+					'unsupported_statement',
+					__( 'Unsupported statement. Comments inside a conditional comment are not allowed.', 'affinite-db-manager' )
+				);
+			}
+
+			$sql = $this->strip_leading_comments( $sql );
+		}
+
+		if ( '' === trim( $sql ) ) {
+			return new \WP_Error( 'empty_statement', __( 'Empty statement.', 'affinite-db-manager' ) );
+		}
+
+		return trim( $sql );
+	}
+
+	/**
+	 * Get the tables a statement touches.
+	 *
+	 * @param string $sql SQL statement.
+	 * @return array<string>|\WP_Error Table names, empty for statements without tables, or error if the statement is not supported.
+	 */
+	private function get_statement_tables( string $sql ): array|\WP_Error {
+		$sql   = $this->get_statement_body( $sql );
+		$table = self::TABLE_PATTERN;
+
+		if ( is_wp_error( $sql ) ) {
+			return $sql;
+		}
+
+		if ( preg_match( '/^SET\b/i', $sql ) ) {
+			if ( ! $this->is_session_setting( $sql ) ) {
+				return new \WP_Error(
+					'unsupported_statement',
+					__( 'Unsupported statement. Only character set, foreign and unique key checks, SQL mode, time zone, autocommit, SQL notes and user variables can be set.', 'affinite-db-manager' )
+				);
+			}
+
+			return array();
+		}
+
+		// Transactions and releasing table locks.
+		if ( preg_match( '/^(?:START\s+TRANSACTION\b|BEGIN\s*$|COMMIT\b|ROLLBACK\b|UNLOCK\s+TABLES\s*$)/is', $sql ) ) {
+			return array();
+		}
+
+		$lists = array(
+			'/^LOCK\s+TABLES?\s+(.+)$/is',
+			"/^DROP\s+(?:TEMPORARY\s+)?TABLES?\s+(?:IF\s+EXISTS\s+)?({$table}(?:\s*,\s*{$table})*)\s*(?:RESTRICT|CASCADE)?\s*$/is",
+			'/^RENAME\s+TABLES?\s+(.+)$/is',
+		);
+
+		foreach ( $lists as $pattern ) {
+			if ( preg_match( $pattern, $sql, $match ) ) {
+				preg_match_all( "/(?:^|,|\bTO\b)\s*({$table})/is", $match[1], $names );
+
+				return $this->parse_table_names( $names[1] );
+			}
+		}
+
+		$single = array(
+			"/^CREATE\s+(?:TEMPORARY\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?({$table})/is",
+			"/^TRUNCATE\s+(?:TABLE\s+)?({$table})\s*$/is",
+			"/^(?:INSERT|REPLACE)\s+(?:(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY)\s+)?(?:IGNORE\s+)?(?:INTO\s+)?({$table})/is",
+			"/^UPDATE\s+(?:LOW_PRIORITY\s+)?(?:IGNORE\s+)?({$table})\s+(?:(?:AS\s+)?[A-Za-z0-9_$]+\s+)?SET\b/is",
+			"/^DELETE\s+(?:LOW_PRIORITY\s+)?(?:QUICK\s+)?(?:IGNORE\s+)?FROM\s+({$table})\s*(?:$|WHERE\b|ORDER\b|LIMIT\b)/is",
+		);
+
+		foreach ( $single as $pattern ) {
+			if ( preg_match( $pattern, $sql, $match ) ) {
+				return $this->parse_table_names( array( $match[1] ) );
+			}
+		}
+
+		if ( preg_match( "/^ALTER\s+(?:ONLINE\s+)?(?:IGNORE\s+)?TABLE\s+({$table})/is", $sql, $match ) ) {
+			$names = array( $match[1] );
+
+			// Renaming moves the table to a new name, which is touched as well.
+			if ( preg_match( "/\bRENAME\s+(?:TO\s+|AS\s+)?({$table})/is", substr( $sql, strlen( $match[0] ) ), $rename ) ) {
+				$names[] = $rename[1];
+			}
+
+			return $this->parse_table_names( $names );
+		}
+
+		return new \WP_Error(
+			'unsupported_statement',
+			__( 'Unsupported statement. Only table structure and data statements can be imported.', 'affinite-db-manager' )
+		);
+	}
+
+	/**
+	 * Check whether a SET statement only changes allowed session settings.
+	 *
+	 * Values are limited to literals, variables and IFNULL() of those, as
+	 * written by mysqldump, so a subquery cannot read other tables.
+	 *
+	 * @param string $sql SET statement without comments.
+	 * @return bool Whether the statement can be executed.
+	 */
+	private function is_session_setting( string $sql ): bool {
+		$value = '(?:\'(?:[^\'\\\\]|\\\\.|\'\')*\'|"(?:[^"\\\\]|\\\\.|"")*"|@@?[A-Za-z0-9_$.]+|[A-Za-z0-9_+.:-]+)';
+		$value = "(?:IFNULL\\s*\\(\\s*{$value}\\s*,\\s*{$value}\\s*\\)|{$value})";
+
+		if ( preg_match( "/^SET\\s+(?:NAMES|CHARACTER\\s+SET|CHARSET)\\s+{$value}(?:\\s+COLLATE\\s+{$value})?\\s*$/is", $sql ) ) {
+			return true;
+		}
+
+		$variables  = implode( '|', self::SESSION_VARIABLES );
+		$assignment = "(?:(?:(?:SESSION|LOCAL)\\s+|@@(?:SESSION\\.|LOCAL\\.)?)?(?:{$variables})\\b|@[A-Za-z0-9_$.]+)\\s*:?=\\s*{$value}";
+
+		return 1 === preg_match( "/^SET\\s+{$assignment}(?:\\s*,\\s*{$assignment})*\\s*$/is", $sql );
+	}
+
+	/**
+	 * Remove comments and whitespace from the start of a statement.
+	 *
+	 * MySQL conditional comments starting with /*! are kept.
+	 *
+	 * @param string $sql SQL statement.
+	 * @return string Statement without leading comments.
+	 */
+	private function strip_leading_comments( string $sql ): string {
+		do {
+			$previous = $sql;
+			$sql      = ltrim( $sql );
+			$sql      = (string) preg_replace( '/^(?:(?:--(?:\s|$)|#)[^\n]*(?:\n|$)|\/\*(?!!).*?\*\/)/s', '', $sql );
+		} while ( $sql !== $previous );
+
+		return $sql;
+	}
+
+	/**
+	 * Turn table names as written in a statement into plain table names.
+	 *
+	 * @param array<string> $names Table names, optionally quoted and qualified by a database name.
+	 * @return array<string>|\WP_Error Unique plain table names, or error for a table of another database.
+	 */
+	private function parse_table_names( array $names ): array|\WP_Error {
+		$tables = array();
+
+		foreach ( $names as $name ) {
+			preg_match_all( '/`((?:[^`]|``)+)`|([A-Za-z0-9_$]+)/', $name, $parts, PREG_SET_ORDER );
+
+			$parts = array_map(
+				static fn( array $part ): string => '' !== $part[1] ? str_replace( '``', '`', $part[1] ) : $part[2],
+				$parts
+			);
+
+			if ( 2 === count( $parts ) && DB_NAME !== $parts[0] ) {
+				return new \WP_Error(
+					'other_database',
+					__( 'Statements on other databases are not allowed.', 'affinite-db-manager' )
+				);
+			}
+
+			$tables[] = end( $parts );
+		}
+
+		return array_values( array_unique( $tables ) );
+	}
+
+	/**
+	 * Check that statements may touch the given tables.
+	 *
+	 * @param array<string> $tables          Table names.
+	 * @param bool          $allow_protected Whether locked and core tables are allowed.
+	 * @return array<string>|\WP_Error The tables, or error naming a protected table.
+	 */
+	private function check_tables( array $tables, bool $allow_protected ): array|\WP_Error {
+		if ( $allow_protected ) {
+			return $tables;
+		}
+
+		foreach ( $tables as $table ) {
+			if ( $this->access_service->is_table_locked( $table ) ) {
+				return new \WP_Error(
+					'table_locked',
+					sprintf(
+						/* translators: %s: Table name */
+						__( 'Table %s is locked.', 'affinite-db-manager' ),
+						$table
+					)
+				);
+			}
+
+			if ( $this->access_service->is_core_table( $table ) ) {
+				return new \WP_Error(
+					'core_table',
+					sprintf(
+						/* translators: %s: Table name */
+						__( 'Table %s is a WordPress core table.', 'affinite-db-manager' ),
+						$table
+					)
+				);
+			}
+		}
+
+		return $tables;
+	}
+}
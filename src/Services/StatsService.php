@@ -0,0 +1,178 @@
+<?php
+/**
+ * Stats service for Affinite DB Manager.
+ *
+ * Computes column statistics of a table.
+ *
+ * @package Affinite\DBManager
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+namespace Affinite\DBManager\Services;
+
+use Affinite\DBManager\Database\Schema;
+
+/**
+ * Stats service class.
+ */
+final class StatsService {
+
+	/**
+	 * Number of rows above which statistics are computed on a sample.
+	 *
+	 * The sample is spread across the key range of tables with a single
+	 * integer primary key, and the first rows as stored of other tables.
+	 *
+	 * @var int
+	 */
+	public const SAMPLE_SIZE = 100000;
+
+	/**
+	 * Number of most frequent values listed per column.
+	 *
+	 * @var int
+	 */
+	private const TOP_VALUES = 10;
+
+	/**
+	 * Maximum length of values in statistics.
+	 *
+	 * @var int
+	 */
+	private const VALUE_LENGTH = 200;
+
+	/**
+	 * Schema instance.
+	 *
+	 * @var Schema
+	 */
+	private Schema $schema;
+
+	/**
+	 * Access service instance.
+	 *
+	 * @var AccessService
+	 */
+	private AccessService $access_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessService $access_service Access service instance.
+	 */
+	public function __construct( AccessService $access_service ) {
+		$this->access_service = $access_service;
+		$this->schema         = new Schema();
+	}
+
+	/**
+	 * Get statistics of every column of a table.
+	 *
+	 * Binary and spatial columns only get distinct and NULL counts. Min,
+	 * max and the most frequent values of other columns are cut to a
+	 * readable length.
+	 *
+	 * @param string $table_name Table name.
+	 * @return array<string, mixed>|\WP_Error Row count, sample size and kind, and per-column statistics, or error.
+	 */
+	public function get_stats( string $table_name ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$columns_info = $this->schema->describe_table( $table_name );
+		$total        = $this->schema->get_row_count( $table_name );
+		$sample_size  = $total > self::SAMPLE_SIZE ? self::SAMPLE_SIZE : 0;
+		$opaque       = array_merge( $this->schema->get_binary_columns( $columns_info ), $this->get_spatial_columns( $columns_info ) );
+		$columns      = array();
+
+		foreach ( $columns_info as $column ) {
+			$is_opaque = in_array( $column['name'], $opaque, true );
+
+			$columns[] = array(
+				'name'   => $column['name'],
+				'minmax' => ! $is_opaque,
+				'length' => ! $is_opaque && (bool) preg_match( '/^(char|varchar|tinytext|text|mediumtext|longtext|enum|set|json)\b/i', $column['type'] ),
+			);
+		}
+
+		$aggregates = $this->schema->get_column_aggregates( $table_name, $columns, $sample_size );
+		$rows       = $aggregates['rows'];
+		$stats      = array();
+
+		foreach ( $columns_info as $column ) {
+			$name   = $column['name'];
+			$values = $aggregates['columns'][ $name ];
+			$top    = in_array( $name, $opaque, true ) ? array() : $this->schema->get_top_values( $table_name, $name, self::TOP_VALUES, $sample_size );
+
+			$stats[] = array(
+				'name'       => $name,
+				'type'       => $column['type'],
+				'distinct'   => $values['distinct'],
+				'nulls'      => $values['nulls'],
+				'null_ratio' => $rows > 0 ? $values['nulls'] / $rows : 0,
+				'min'        => $this->shorten( $values['min'] ),
+				'max'        => $this->shorten( $values['max'] ),
+				'avg_length' => null === $values['avg_length'] ? null : round( $values['avg_length'], 1 ),
+				'top'        => array_map(
+					fn( array $item ): array => array(
+						'value' => $this->shorten( $item['value'] ),
+						'count' => $item['count'],
+					),
+					$top
+				),
+			);
+		}
+
+		return array(
+			'table'   => $table_name,
+			'rows'    => $total,
+			'sampled' => $sample_size > 0,
+			'spread'  => $aggregates['spread'],
+			'sample'  => $rows,
+			'columns' => $stats,
+		);
+	}
+
+	/**
+	 * Get the spatial columns of a table.
+	 *
+	 * @param array<array<string, mixed>> $columns_info Column definitions from describe_table().
+	 * @return array<string> Names of geometry columns.
+	 */
+	private function get_spatial_columns( array $columns_info ): array {
+		$columns = array();
+
+		foreach ( $columns_info as $column ) {
+			if ( preg_match( '/^(geometry|point|linestring|polygon|multipoint|multilinestring|multipolygon|geometrycollection|geomcollection)\b/i', $column['type'] ) ) {
+				$columns[] = $column['name'];
+			}
+		}
+
+		return $columns;
+	}
+
+	/**
+	 * Cut a value to a readable length.
+	 *
+	 * @param mixed $value Value as returned by the database.
+	 * @return string|null Value, or null for NULL.
+	 */
+	private function shorten( mixed $value ): ?string {
+		if ( null === $value ) {
+			return null;
+		}
+
+		$value = (string) $value;
+
+		return mb_strlen( $value ) > self::VALUE_LENGTH ? mb_substr( $value, 0, self::VALUE_LENGTH ) . '…' : $value;
+	}
+}
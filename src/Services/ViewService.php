@@ -0,0 +1,330 @@
+<?php
+/**
+ * View service for Affinite DB Manager.
+ *
+ * Handles saved views of the data grid.
+ *
+ * @package Affinite\DBManager
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+namespace Affinite\DBManager\Services;
+
+use Affinite\DBManager\Database\Schema;
+
+/**
+ * View service class.
+ *
+ * A saved view is a named combination of filters, sorting, search and
+ * column layout of a table. Views are private to their owner unless shared,
+ * in which case every user with access to DB Manager can apply them. Only
+ * the owner can change or delete a view.
+ */
+final class ViewService {
+
+	/**
+	 * Option name for saved views.
+	 *
+	 * @var string
+	 */
+	public const OPTION_NAME = 'affinite_db_manager_views';
+
+	/**
+	 * Maximum length of a view name.
+	 *
+	 * @var int
+	 */
+	private const MAX_NAME_LENGTH = 100;
+
+	/**
+	 * Schema instance.
+	 *
+	 * @var Schema
+	 */
+	private Schema $schema;
+
+	/**
+	 * Access service instance.
+	 *
+	 * @var AccessService
+	 */
+	private AccessService $access_service;
+
+	/**
+	 * Layout service instance.
+	 *
+	 * @var LayoutService
+	 */
+	private LayoutService $layout_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessService $access_service Access service instance.
+	 */
+	public function __construct( AccessService $access_service ) {
+		$this->access_service = $access_service;
+		$this->schema         = new Schema();
+		$this->layout_service = new LayoutService( $access_service );
+	}
+
+	/**
+	 * Get the views of a table visible to the current user.
+	 *
+	 * @param string $table_name Table name.
+	 * @return array<int, array<string, mixed>>|\WP_Error Own and shared views sorted by name, or error.
+	 */
+	public function get_views( string $table_name ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$user_id = get_current_user_id();
+		$views   = array_filter(
+			$this->get_all_views(),
+			static fn( array $view ): bool => $view['table'] === $table_name && ( $view['shared'] || $view['owner'] === $user_id )
+		);
+
+		usort(
+			$views,
+			static fn( array $a, array $b ): int => strcasecmp( $a['name'], $b['name'] )
+		);
+
+		return array_map( array( $this, 'format_view' ), $views );
+	}
+
+	/**
+	 * Save a new view of a table owned by the current user.
+	 *
+	 * @param string $table_name Table name.
+	 * @param array  $data       View with name, shared, query and layout.
+	 * @return array<string, mixed>|\WP_Error Saved view or error.
+	 */
+	public function create_view( string $table_name, array $data ): array|\WP_Error {
+		$table_name = sanitize_text_field( $table_name );
+
+		if ( ! $this->schema->table_exists( $table_name ) ) {
+			return new \WP_Error(
+				'table_not_found',
+				__( 'Table not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$view = $this->sanitize_view( $table_name, $data );
+
+		if ( is_wp_error( $view ) ) {
+			return $view;
+		}
+
+		$view = array_merge(
+			array(
+				'id'    => wp_generate_uuid4(),
+				'table' => $table_name,
+				'owner' => get_current_user_id(),
+			),
+			$view
+		);
+
+		$views                = $this->get_all_views();
+		$views[ $view['id'] ] = $view;
+
+		update_option( self::OPTION_NAME, $views, false );
+
+		return $this->format_view( $view );
+	}
+
+	/**
+	 * Update a view owned by the current user.
+	 *
+	 * @param string $table_name Table name.
+	 * @param string $id         View ID.
+	 * @param array  $data       View with name, shared, query and layout.
+	 * @return array<string, mixed>|\WP_Error Saved view or error.
+	 */
+	public function update_view( string $table_name, string $id, array $data ): array|\WP_Error {
+		$views = $this->get_all_views();
+		$view  = $this->get_owned_view( $views, sanitize_text_field( $table_name ), $id );
+
+		if ( is_wp_error( $view ) ) {
+			return $view;
+		}
+
+		$data = $this->sanitize_view( $view['table'], $data );
+
+		if ( is_wp_error( $data ) ) {
+			return $data;
+		}
+
+		$views[ $id ] = array_merge( $view, $data );
+
+		update_option( self::OPTION_NAME, $views, false );
+
+		return $this->format_view( $views[ $id ] );
+	}
+
+	/**
+	 * Delete a view owned by the current user.
+	 *
+	 * @param string $table_name Table name.
+	 * @param string $id         View ID.
+	 * @return bool|\WP_Error True on success, error otherwise.
+	 */
+	public function delete_view( string $table_name, string $id ): bool|\WP_Error {
+		$views = $this->get_all_views();
+		$view  = $this->get_owned_view( $views, sanitize_text_field( $table_name ), $id );
+
+		if ( is_wp_error( $view ) ) {
+			return $view;
+		}
+
+		unset( $views[ $id ] );
+
+		update_option( self::OPTION_NAME, $views, false );
+
+		return true;
+	}
+
+	/**
+	 * Get all saved views of the site.
+	 *
+	 * @return array<string, array<string, mixed>> Views keyed by ID.
+	 */
+	private function get_all_views(): array {
+		$views = get_option( self::OPTION_NAME, array() );
+
+		return is_array( $views ) ? $views : array();
+	}
+
+	/**
+	 * Find a view of a table that the current user may change.
+	 *
+	 * @param array<string, array<string, mixed>> $views      All views keyed by ID.
+	 * @param string                              $table_name Table name.
+	 * @param string                              $id         View ID.
+	 * @return array<string, mixed>|\WP_Error View or error.
+	 */
+	private function get_owned_view( array $views, string $table_name, string $id ): array|\WP_Error {
+		$view = $views[ $id ] ?? null;
+
+		if ( null === $view || $view['table'] !== $table_name ) {
+			return new \WP_Error(
+				'view_not_found',
+				__( 'View not found.', 'affinite-db-manager' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( $view['owner'] !== get_current_user_id() ) {
+			return new \WP_Error(
+				'rest_forbidden',
+				__( 'Only the owner can change a view.', 'affinite-db-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return $view;
+	}
+
+	/**
+	 * Sanitize the editable fields of a view.
+	 *
+	 * Filters, sorting and layout referencing columns that do not exist in
+	 * the table are dropped.
+	 *
+	 * @param string $table_name Table name.
+	 * @param array  $data       View with name, shared, query and layout.
+	 * @return array<string, mixed>|\WP_Error Sanitized fields or error.
+	 */
+	private function sanitize_view( string $table_name, array $data ): array|\WP_Error {
+		$name = isset( $data['name'] ) && is_string( $data['name'] ) ? sanitize_text_field( $data['name'] ) : '';
+
+		if ( '' === $name ) {
+			return new \WP_Error(
+				'invalid_view_name',
+				__( 'View name is required.', 'affinite-db-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$columns = array_column( $this->schema->describe_table( $table_name ), 'name' );
+		$query   = isset( $data['query'] ) && is_array( $data['query'] ) ? $data['query'] : array();
+		$layout  = isset( $data['layout'] ) && is_array( $data['layout'] ) ? $data['layout'] : array();
+
+		return array(
+			'name'    => mb_substr( $name, 0, self::MAX_NAME_LENGTH ),
+			'shared'  => ! empty( $data['shared'] ),
+			'query'   => $this->sanitize_query( $columns, $query ),
+			'layout'  => $this->layout_service->sanitize_layout( $table_name, $layout ),
+			'updated' => current_time( 'mysql', true ),
+		);
+	}
+
+	/**
+	 * Sanitize the data query of a view.
+	 *
+	 * @param array<string> $columns Column names of the table.
+	 * @param array         $query   Query with orderby, order, filters, match and search.
+	 * @return array{orderby: string, order: string, filters: array, match: string, search: string} Sanitized query.
+	 */
+	private function sanitize_query( array $columns, array $query ): array {
+		$filters = array();
+		$items   = isset( $query['filters'] ) && is_array( $query['filters'] ) ? $query['filters'] : array();
+
+		foreach ( $items as $filter ) {
+			if (
+				! is_array( $filter )
+				|| ! in_array( $filter['column'] ?? null, $columns, true )
+				|| ! in_array( $filter['operator'] ?? null, Schema::FILTER_OPERATORS, true )
+			) {
+				continue;
+			}
+
+			$value = $filter['value'] ?? '';
+
+			$filters[] = array(
+				'column'   => $filter['column'],
+				'operator' => $filter['operator'],
+				'value'    => is_array( $value )
+					? array_values( array_map( 'strval', array_filter( $value, 'is_scalar' ) ) )
+					: ( is_scalar( $value ) ? (string) $value : '' ),
+			);
+		}
+
+		$orderby = $query['orderby'] ?? '';
+
+		return array(
+			'orderby' => in_array( $orderby, $columns, true ) ? $orderby : '',
+			'order'   => 'desc' === ( $query['order'] ?? '' ) ? 'desc' : 'asc',
+			'filters' => array_slice( $filters, 0, Schema::MAX_FILTERS ),
+			'match'   => 'or' === ( $query['match'] ?? '' ) ? 'or' : 'and',
+			'search'  => isset( $query['search'] ) && is_string( $query['search'] ) ? $query['search'] : '',
+		);
+	}
+
+	/**
+	 * Prepare a view for a response.
+	 *
+	 * @param array<string, mixed> $view Stored view.
+	 * @return array<string, mixed> View with the owner's name and whether the current user owns it.
+	 */
+	private function format_view( array $view ): array {
+		$owner = get_userdata( $view['owner'] );
+
+		return array_merge(
+			$view,
+			array(
+				'owner_name' => $owner ? $owner->display_name : '',
+				'is_owner'   => get_current_user_id() === $view['owner'],
+			)
+		);
+	}
+}
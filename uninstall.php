@@ -25,7 +25,11 @@ if ( ! current_user_can( 'activate_plugins' ) ) {
  * Delete plugin options.
  */
 function affinite_db_manager_delete_options(): void {
+	global $wpdb;
+
 	delete_option( 'affinite_db_manager_settings' );
+	delete_option( 'affinite_db_manager_views' );
+	delete_metadata( 'user', 0, $wpdb->get_blog_prefix() . 'affinite_db_manager_layouts', '', true );
 }
 
 /**